@@ -0,0 +1,93 @@
+// Preloads every model in the asset manifest (see game/assets.mjs) before play starts.
+// Each model is checked once it arrives; a model that fails to load or doesn't hold anything
+// drawable is replaced by a visible placeholder and a warning, so a bad asset never silently
+// leaves a hole in the course.
+import * as THREE from 'three';
+import { getObstacleColliders } from '../game/config.mjs';
+
+const PLACEHOLDER_COLOUR = 0xff00ff;
+
+// Returns why a loaded model can't be used, or null if it's fine.
+function findModelProblem(model) {
+    let meshCount = 0;
+    model.traverse((object) => {
+        if (object.isMesh) {
+            meshCount++;
+        }
+    });
+    if (meshCount === 0) {
+        return 'it contains no meshes';
+    }
+    const bounds = new THREE.Box3().setFromObject(model);
+    const size = bounds.getSize(new THREE.Vector3());
+    if (bounds.isEmpty() || ![size.x, size.y, size.z].every(Number.isFinite)) {
+        return 'its bounding box is empty';
+    }
+    return null;
+}
+
+// Magenta box the size of the obstacle's collision footprint (a small cube for anything else).
+export function createPlaceholderModel(entry) {
+    let size = [0.5, 0.5, 0.5];
+    let centre = [0, 0.25, 0];
+    if (entry.kind === 'obstacle') {
+        const { min, max } = getObstacleColliders(entry.key).footprint;
+        size = [max.x - min.x, max.y - min.y, max.z - min.z];
+        centre = [(min.x + max.x) / 2, (min.y + max.y) / 2, (min.z + max.z) / 2];
+    }
+    const mesh = new THREE.Mesh(
+        new THREE.BoxGeometry(...size),
+        new THREE.MeshStandardMaterial({ color: PLACEHOLDER_COLOUR, transparent: true, opacity: 0.6 })
+    );
+    mesh.position.fromArray(centre);
+    const placeholder = new THREE.Group();
+    placeholder.add(mesh);
+    placeholder.userData.isPlaceholder = true;
+    return placeholder;
+}
+
+function loadEntry(gltfLoader, entry, onEntryProgress) {
+    return new Promise((resolve) => {
+        const usePlaceholder = (reason, error) => {
+            console.warn(`Model ${entry.url} could not be used (${reason}); showing a placeholder instead.`, error || '');
+            resolve({ model: createPlaceholderModel(entry), animations: [], isPlaceholder: true });
+        };
+        gltfLoader.load(
+            entry.url,
+            (gltf) => {
+                const problem = findModelProblem(gltf.scene);
+                if (problem) {
+                    usePlaceholder(problem);
+                } else {
+                    resolve({ model: gltf.scene, animations: gltf.animations, isPlaceholder: false });
+                }
+            },
+            (event) => {
+                if (event.lengthComputable && event.total > 0) {
+                    onEntryProgress(event.loaded / event.total);
+                }
+            },
+            (error) => usePlaceholder('it failed to load', error)
+        );
+    });
+}
+
+// Loads the whole manifest. onProgress(fraction 0-1, entry that just finished or null).
+// Resolves with Map `${kind}:${key}` -> { model, animations, isPlaceholder }; it never rejects.
+export async function preloadModels(gltfLoader, manifest, onProgress = () => {}) {
+    const entryProgress = new Array(manifest.length).fill(0);
+    const report = (entry) => {
+        const total = entryProgress.reduce((sum, value) => sum + value, 0);
+        onProgress(manifest.length === 0 ? 1 : total / manifest.length, entry);
+    };
+    const results = await Promise.all(manifest.map(async (entry, index) => {
+        const result = await loadEntry(gltfLoader, entry, (fraction) => {
+            entryProgress[index] = Math.min(fraction, 0.99); // Only done once it's been checked
+            report(null);
+        });
+        entryProgress[index] = 1;
+        report(entry);
+        return [`${entry.kind}:${entry.key}`, result];
+    }));
+    return new Map(results);
+}
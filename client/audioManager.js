@@ -0,0 +1,258 @@
+// Sound: Web Audio with a music bus and a sound-effects bus under one master gain.
+// Each cue plays its file from assets/sounds/ (see soundFiles in game/assets.mjs); a cue whose file is
+// missing or can't be decoded gets a short synthesized stand-in instead, and so does the music.
+// Volumes and mute are saved in localStorage.
+import { SOUND_PATH, soundFiles } from '../game/assets.mjs';
+
+const SETTINGS_STORAGE_KEY = 'topdog.audio';
+const defaultSettings = { musicVolume: 0.5, sfxVolume: 0.8, muted: false };
+const MIN_REPEAT_INTERVAL = 0.05; // Seconds; one frame can run several steps that all trigger the same cue
+
+// Stand-in cues: [frequency (Hz), start (s), duration (s)] notes on one oscillator type.
+// slide bends each note to that fraction of its frequency by the end (a falling buzz for faults).
+const synthCues = {
+    themeChange: { wave: 'triangle', gain: 0.3, notes: [[523.25, 0, 0.12], [659.25, 0.1, 0.12], [783.99, 0.2, 0.3]] },
+    obstacleCleared: { wave: 'square', gain: 0.1, notes: [[880, 0, 0.06], [1318.5, 0.05, 0.09]] },
+    fault: { wave: 'sawtooth', gain: 0.2, slide: 0.6, notes: [[220, 0, 0.35]] },
+    faultAbsorbed: { wave: 'triangle', gain: 0.25, notes: [[392, 0, 0.08], [392, 0.1, 0.08]] },
+    powerUp: {
+        wave: 'square',
+        gain: 0.1,
+        notes: [[523.25, 0, 0.07], [659.25, 0.06, 0.07], [783.99, 0.12, 0.07], [1046.5, 0.18, 0.18]]
+    },
+    gameOver: { wave: 'triangle', gain: 0.3, notes: [[392, 0, 0.25], [311.13, 0.25, 0.25], [261.63, 0.5, 0.7]] },
+    courseComplete: {
+        wave: 'triangle',
+        gain: 0.3,
+        notes: [[523.25, 0, 0.12], [659.25, 0.12, 0.12], [783.99, 0.24, 0.12], [1046.5, 0.36, 0.5]]
+    }
+};
+
+// Stand-in music: a bass line and an arpeggio over one bar of eighth notes, looped. null is a rest.
+const synthMusic = {
+    tempo: 132,
+    bass: [130.81, null, 130.81, null, 174.61, null, 196, null],
+    lead: [523.25, 659.25, 783.99, 659.25, 698.46, 880, 783.99, 587.33]
+};
+const MUSIC_SCHEDULE_AHEAD = 0.2; // Seconds of music queued at a time
+const MUSIC_SCHEDULE_INTERVAL = 50; // Milliseconds between top-ups
+
+function loadSettings() {
+    try {
+        return { ...defaultSettings, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) };
+    } catch {
+        return { ...defaultSettings };
+    }
+}
+
+function clampVolume(value) {
+    return Math.min(1, Math.max(0, Number(value) || 0));
+}
+
+export function createAudioManager() {
+    const settings = loadSettings();
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let context = null;
+    let masterBus = null;
+    const buses = { music: null, sfx: null };
+    const buffers = new Map(); // Cue name -> decoded AudioBuffer, once loaded
+    const lastPlayed = new Map(); // Cue name -> context time
+    let musicWanted = false;
+    let musicSource = null; // Looping file, when music.ogg loaded
+    let musicTimer = null; // Stand-in scheduler
+    let nextMusicStep = 0;
+    let nextMusicTime = 0;
+
+    if (!AudioContextClass) {
+        console.warn('Web Audio is not supported in this browser; the game will be silent.');
+    }
+
+    // Browsers only let audio start from a user gesture, so the context is made on the first one.
+    function unlock() {
+        if (!AudioContextClass) {
+            return;
+        }
+        if (!context) {
+            context = new AudioContextClass();
+            masterBus = context.createGain();
+            masterBus.connect(context.destination);
+            for (const name of Object.keys(buses)) {
+                buses[name] = context.createGain();
+                buses[name].connect(masterBus);
+            }
+            applySettings();
+            loadSounds();
+        }
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        if (musicWanted) {
+            startMusic();
+        }
+    }
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+
+    async function loadSound(name, file) {
+        const response = await fetch(`${SOUND_PATH}${file}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        buffers.set(name, await context.decodeAudioData(await response.arrayBuffer()));
+    }
+
+    // Never rejects: anything that fails keeps its synthesized stand-in.
+    async function loadSounds() {
+        const missing = [];
+        await Promise.all(Object.entries(soundFiles).map(([name, file]) =>
+            loadSound(name, file).catch((error) => missing.push(`${file} (${error.message})`))));
+        if (missing.length > 0) {
+            console.warn(`Sounds missing or unreadable, using synthesized stand-ins: ${missing.join(', ')}`);
+        }
+        // The looping file replaces the stand-in music if it arrived while the music was playing.
+        if (musicWanted && buffers.has('music') && !musicSource) {
+            stopMusic();
+            startMusic();
+        }
+    }
+
+    function applySettings() {
+        if (!context) {
+            return;
+        }
+        const now = context.currentTime;
+        masterBus.gain.setValueAtTime(settings.muted ? 0 : 1, now);
+        buses.music.gain.setValueAtTime(settings.musicVolume, now);
+        buses.sfx.gain.setValueAtTime(settings.sfxVolume, now);
+    }
+
+    function saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Could not save the sound settings:', error);
+        }
+        applySettings();
+    }
+
+    // One oscillator note with a quick attack and an exponential fade.
+    function playNote(bus, wave, frequency, start, duration, gain, slide = 1) {
+        const oscillator = context.createOscillator();
+        const envelope = context.createGain();
+        oscillator.type = wave;
+        oscillator.frequency.setValueAtTime(frequency, start);
+        if (slide !== 1) {
+            oscillator.frequency.exponentialRampToValueAtTime(frequency * slide, start + duration);
+        }
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+        oscillator.connect(envelope);
+        envelope.connect(bus);
+        oscillator.start(start);
+        oscillator.stop(start + duration + 0.05);
+    }
+
+    // Play a cue (a key of soundFiles) on the effects bus. Does nothing until the first user gesture.
+    function play(name) {
+        if (!context || context.state !== 'running') {
+            return;
+        }
+        const now = context.currentTime;
+        if (now - (lastPlayed.get(name) ?? -Infinity) < MIN_REPEAT_INTERVAL) {
+            return;
+        }
+        lastPlayed.set(name, now);
+        const buffer = buffers.get(name);
+        if (buffer) {
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(buses.sfx);
+            source.start();
+            return;
+        }
+        const cue = synthCues[name];
+        if (!cue) {
+            console.warn(`Unknown sound cue: ${name}`);
+            return;
+        }
+        for (const [frequency, offset, duration] of cue.notes) {
+            playNote(buses.sfx, cue.wave, frequency, now + offset, duration, cue.gain, cue.slide);
+        }
+    }
+
+    // Queue stand-in music notes up to MUSIC_SCHEDULE_AHEAD in front of the audio clock.
+    function scheduleMusic() {
+        const stepLength = 60 / synthMusic.tempo / 2;
+        while (nextMusicTime < context.currentTime + MUSIC_SCHEDULE_AHEAD) {
+            const bass = synthMusic.bass[nextMusicStep];
+            if (bass) {
+                playNote(buses.music, 'triangle', bass, nextMusicTime, stepLength * 1.8, 0.35);
+            }
+            playNote(buses.music, 'square', synthMusic.lead[nextMusicStep], nextMusicTime, stepLength * 0.8, 0.06);
+            nextMusicStep = (nextMusicStep + 1) % synthMusic.lead.length;
+            nextMusicTime += stepLength;
+        }
+    }
+
+    function startMusic() {
+        musicWanted = true;
+        if (!context || musicSource || musicTimer) {
+            return; // Starts on unlock, or is already playing
+        }
+        const buffer = buffers.get('music');
+        if (buffer) {
+            musicSource = context.createBufferSource();
+            musicSource.buffer = buffer;
+            musicSource.loop = true;
+            musicSource.connect(buses.music);
+            musicSource.start();
+            return;
+        }
+        nextMusicStep = 0;
+        nextMusicTime = context.currentTime + 0.05;
+        scheduleMusic();
+        musicTimer = setInterval(scheduleMusic, MUSIC_SCHEDULE_INTERVAL);
+    }
+
+    function stopMusic() {
+        musicWanted = false;
+        if (musicSource) {
+            musicSource.stop();
+            musicSource = null;
+        }
+        if (musicTimer) {
+            clearInterval(musicTimer);
+            musicTimer = null;
+        }
+    }
+
+    // bus: 'music' or 'sfx'; volume from 0 to 1.
+    function setVolume(bus, volume) {
+        settings[bus === 'music' ? 'musicVolume' : 'sfxVolume'] = clampVolume(volume);
+        saveSettings();
+    }
+
+    function setMuted(muted) {
+        settings.muted = Boolean(muted);
+        saveSettings();
+    }
+
+    function getSettings() {
+        return { ...settings };
+    }
+
+    return { play, startMusic, stopMusic, setVolume, setMuted, getSettings };
+}
+
+// Event bus plugin (see game/events.mjs) playing the cues for a live run.
+export function createAudioPlugin(audio) {
+    return {
+        id: 'audio',
+        obstaclePassed: () => audio.play('obstacleCleared'),
+        collision: ({ absorbed }) => audio.play(absorbed ? 'faultAbsorbed' : 'fault'),
+        powerUpCollected: () => audio.play('powerUp'),
+        themeChanged: () => audio.play('themeChange'),
+        gameOver: ({ finished }) => audio.play(finished ? 'courseComplete' : 'gameOver')
+    };
+}
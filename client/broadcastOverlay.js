@@ -0,0 +1,82 @@
+// Spectator overlay: live standings (distance and faults), the camera mode buttons, the latest fault
+// with its instant replay button and the replay banner. Driven by client/broadcastView.js.
+export const cameraModeLabels = {
+    leader: 'Follow leader',
+    overview: 'Overview',
+    cycle: 'Cycle'
+};
+
+function colourToCss(colour) {
+    return `#${colour.toString(16).padStart(6, '0')}`;
+}
+
+// onCameraMode(mode), onInstantReplay() and onLeave() run when their buttons are clicked.
+export function createBroadcastOverlay({ onCameraMode, onInstantReplay, onLeave }) {
+    const elements = {
+        overlay: document.getElementById('broadcastOverlay'),
+        status: document.getElementById('broadcastStatus'),
+        standings: document.getElementById('broadcastStandings'),
+        cameraModes: document.getElementById('broadcastCameraModes'),
+        lastFault: document.getElementById('broadcastLastFault'),
+        instantReplay: document.getElementById('instantReplay'),
+        replayBanner: document.getElementById('instantReplayBanner'),
+        leave: document.getElementById('leaveBroadcast')
+    };
+    const modeButtons = new Map();
+
+    for (const [mode, label] of Object.entries(cameraModeLabels)) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.addEventListener('click', () => onCameraMode(mode));
+        elements.cameraModes.appendChild(button);
+        modeButtons.set(mode, button);
+    }
+    elements.instantReplay.addEventListener('click', () => onInstantReplay());
+    elements.leave.addEventListener('click', () => onLeave());
+
+    function setVisible(visible) {
+        elements.overlay.classList.toggle('hidden', !visible);
+    }
+
+    function setStatus(text) {
+        elements.status.textContent = text;
+    }
+
+    function setCameraMode(mode) {
+        for (const [key, button] of modeButtons) {
+            button.classList.toggle('selected', key === mode);
+        }
+    }
+
+    // rows: [{ name, colour, detail }] in standings order; detail is the distance/faults/status text.
+    function showStandings(rows) {
+        elements.standings.replaceChildren();
+        for (const row of rows) {
+            const item = document.createElement('li');
+            const swatch = document.createElement('span');
+            swatch.className = 'racerSwatch';
+            swatch.style.backgroundColor = colourToCss(row.colour);
+            const name = document.createElement('span');
+            name.className = 'racerName';
+            name.textContent = row.name;
+            const detail = document.createElement('span');
+            detail.className = 'racerDetail';
+            detail.textContent = row.detail;
+            item.append(swatch, name, detail);
+            elements.standings.appendChild(item);
+        }
+    }
+
+    // text is null when there hasn't been a fault (or it can't be replayed).
+    function setLastFault(text, canReplay) {
+        elements.lastFault.textContent = text || 'No faults yet.';
+        elements.instantReplay.disabled = !canReplay;
+    }
+
+    function setReplayBanner(text) {
+        elements.replayBanner.textContent = text || '';
+        elements.replayBanner.classList.toggle('hidden', !text);
+    }
+
+    return { setVisible, setStatus, setCameraMode, showStandings, setLastFault, setReplayBanner };
+}
@@ -0,0 +1,439 @@
+// Spectator view of a race room, for showing a race on a big screen (see client/spectatorClient.js).
+// Every racer whose input log arrives is re-run here from it with the race's seed, so their dog, their
+// course and their faults are exactly what they saw; a racer without a usable log is drawn from the
+// server's snapshots alone. The course on screen is the one of the racer the camera is on.
+// Camera modes: follow the leader, an overview of the whole field, or cycle through the racers.
+// Any fault can be watched again: the instant replay re-runs its racer's log around it in slow motion.
+import * as THREE from 'three';
+import { playerSettings } from '../game/config.mjs';
+import { defaultDifficulty } from '../game/difficulty.mjs';
+import { FIXED_TIMESTEP } from '../game/simulation.mjs';
+import { REPLAY_VERSION, createReplayPlayer } from '../game/replay.mjs';
+import { createDogCharacter, coatVariants, collarVariants } from './dogCharacter.js';
+import { createBroadcastOverlay, cameraModeLabels } from './broadcastOverlay.js';
+
+export const cameraModes = Object.keys(cameraModeLabels);
+
+const START_Z = playerSettings.startPosition[2];
+// Re-runs trail their newest known step by this much (three state messages), so a log arriving in
+// bursts still plays smoothly; further behind than MAX_LAG_TICKS (e.g. the tab was hidden) skips ahead.
+const PLAYBACK_DELAY_TICKS = 9;
+const MAX_LAG_TICKS = 60;
+const CYCLE_SECONDS = 8; // Time on each racer in cycle mode
+const REPLAY_BEFORE_TICKS = 120; // The instant replay runs from 2s before the fault
+const REPLAY_AFTER_TICKS = 60; // to 1s after it,
+const REPLAY_SPEED = 0.5; // at half speed
+const OVERVIEW_HEIGHT = 10;
+const OVERVIEW_BACK = 8; // Behind the last racer
+const OVERVIEW_LOOK_AHEAD = 8; // In front of the middle of the field
+const OVERVIEW_SMOOTHING = 3; // Per second
+
+// Racers are told apart by coat and collar, handed out in the order they first show up.
+const coatKeys = Object.keys(coatVariants);
+const collarKeys = Object.keys(collarVariants).filter((key) => collarVariants[key].colour !== null);
+
+// Stand-in state for a racer without a log, filled in from snapshots (just enough for the dog and camera).
+function createSnapshotState() {
+    return {
+        distanceCovered: 0,
+        speed: 0,
+        player: {
+            x: 0,
+            y: playerSettings.size[1] / 2,
+            z: START_Z,
+            size: playerSettings.size,
+            standingSize: playerSettings.size,
+            velocityY: 0,
+            isAirborne: false,
+            isCrouching: false,
+            laneLocked: false
+        },
+        score: { faults: [], faultsAbsorbed: 0 },
+        obstacles: [],
+        pickups: []
+    };
+}
+
+// scene, camera, chaseCamera, trackView, obstacleRenderer and powerUpView are main.js's; the view takes
+// them over while it's open. getDogModel() returns the preloaded rigged dog, or null.
+export function createBroadcastView({ scene, camera, chaseCamera, trackView, obstacleRenderer, powerUpView, getDogModel }) {
+    const overlay = createBroadcastOverlay({
+        onCameraMode: (mode) => setCameraMode(mode),
+        onInstantReplay: () => toggleInstantReplay(),
+        onLeave: () => onLeave()
+    });
+    let onLeave = () => {};
+    let race = null; // { seed, laneCount, raceDistance } of the race being shown
+    const racers = new Map(); // player id -> racer
+    let racersSeen = 0;
+    let finalPlaces = null; // player id -> place, once the results are in
+    let cameraMode = 'leader';
+    let cycleIndex = 0;
+    let cycleTime = 0;
+    let focusKey = null; // What the course and camera were last showing
+    let lastFault = null; // { racer, tick, label }
+    let instantReplay = null; // { racer, player, clock, endTick, label } while one is playing
+    const overviewTarget = new THREE.Vector3();
+    const overviewLook = new THREE.Vector3();
+    const smoothedLook = new THREE.Vector3();
+
+    function addRacer(id, name) {
+        const index = racersSeen++;
+        const cosmetics = { coat: coatKeys[index % coatKeys.length], collar: collarKeys[index % collarKeys.length] };
+        const dog = createDogCharacter(scene, { cosmetics });
+        const model = getDogModel();
+        if (model) {
+            dog.setModel(model);
+        }
+        const racer = {
+            id,
+            name,
+            colour: coatVariants[cosmetics.coat].coat,
+            dog,
+            snapshot: { distance: 0, faults: 0, status: 'running', place: null },
+            snapshotState: createSnapshotState(),
+            snapshotTime: null,
+            replay: null, // The racer's log so far, as a replay that keeps growing
+            player: null, // Replay player re-running it
+            knownTick: 0,
+            clock: 0, // Seconds into the race the re-run is shown at
+            faultsSeen: 0
+        };
+        racers.set(id, racer);
+        return racer;
+    }
+
+    function removeRacer(racer) {
+        racer.dog.dispose();
+        racers.delete(racer.id);
+        if (lastFault && lastFault.racer === racer) {
+            lastFault = null;
+            showLastFault();
+        }
+        if (instantReplay && instantReplay.racer === racer) {
+            stopInstantReplay();
+        }
+    }
+
+    function clearRacers() {
+        for (const racer of [...racers.values()]) {
+            removeRacer(racer);
+        }
+        racersSeen = 0;
+    }
+
+    function racerState(racer) {
+        return racer.player ? racer.player.sim.state : racer.snapshotState;
+    }
+
+    // Finishers by place, then everyone else by distance, as the server ranks them.
+    function orderedRacers() {
+        const placeOf = (racer) => (finalPlaces && finalPlaces.get(racer.id)) ?? racer.snapshot.place ?? Infinity;
+        return [...racers.values()].sort((a, b) =>
+            placeOf(a) - placeOf(b) || racerState(b).distanceCovered - racerState(a).distanceCovered);
+    }
+
+    function showStandings() {
+        overlay.showStandings(orderedRacers().map((racer) => {
+            const { distance, faults, status } = racer.snapshot;
+            const parts = [`${Math.floor(distance)}`, `${faults} ${faults === 1 ? 'fault' : 'faults'}`];
+            if (status !== 'running') {
+                parts.push(status);
+            }
+            return { name: racer.name, colour: racer.colour, detail: parts.join(' | ') };
+        }));
+    }
+
+    function showLastFault() {
+        overlay.setLastFault(lastFault ? `Last fault: ${lastFault.racer.name}, ${lastFault.label}` : null, lastFault !== null);
+    }
+
+    function setCameraMode(mode) {
+        cameraMode = mode;
+        cycleTime = 0;
+        focusKey = null; // Snap the camera to the new view
+        overlay.setCameraMode(mode);
+    }
+
+    // --- Server messages (see client/spectatorClient.js) ---
+
+    function watch(room) {
+        overlay.setStatus(`Watching room ${room.id}. Waiting for a race...`);
+    }
+
+    function setLobby({ phase, players }) {
+        if (phase === 'racing') {
+            return; // A spectator joining mid-race; the snapshots have the standings
+        }
+        if (!race) {
+            overlay.showStandings(players.map((player) => ({
+                name: player.name,
+                colour: 0x808080,
+                detail: player.ready ? 'ready' : 'not ready'
+            })));
+        }
+    }
+
+    function setCountdown(seconds) {
+        overlay.setStatus(`Starting in ${seconds}...`);
+    }
+
+    function start(settings) {
+        stopInstantReplay();
+        clearRacers();
+        race = settings;
+        finalPlaces = null;
+        lastFault = null;
+        focusKey = null;
+        showLastFault();
+        trackView.setLaneCount(race.laneCount);
+        overlay.setStatus(`Racing to ${race.raceDistance}`);
+    }
+
+    function addSnapshot(snapshot, now = performance.now()) {
+        if (!race) {
+            return;
+        }
+        const liveIds = new Set();
+        for (const player of snapshot.players) {
+            liveIds.add(player.id);
+            const racer = racers.get(player.id) || addRacer(player.id, player.name);
+            racer.name = player.name;
+            racer.snapshot = player;
+            if (!racer.player && player.lane !== null) {
+                const state = racer.snapshotState;
+                const elapsed = racer.snapshotTime === null ? 0 : (now - racer.snapshotTime) / 1000;
+                state.speed = elapsed > 0 ? Math.max(0, (player.distance - state.distanceCovered) / elapsed) : state.speed;
+                state.distanceCovered = player.distance;
+                state.player.x = player.x;
+                state.player.y = player.y;
+                racer.snapshotTime = now;
+            }
+        }
+        for (const racer of [...racers.values()]) {
+            if (!liveIds.has(racer.id)) {
+                removeRacer(racer); // Left the room
+            }
+        }
+        showStandings();
+    }
+
+    // inputs is null once the racer's log can't be used; they're drawn from snapshots from then on.
+    function addInputs({ playerId, tick, inputs }) {
+        if (!race) {
+            return;
+        }
+        const racer = racers.get(playerId) || addRacer(playerId, `Player ${playerId}`);
+        if (inputs === null) {
+            racer.replay = null;
+            racer.player = null;
+            racer.dog.reset();
+            return;
+        }
+        if (!racer.replay) {
+            racer.replay = {
+                version: REPLAY_VERSION,
+                seed: race.seed,
+                laneCount: race.laneCount,
+                difficulty: defaultDifficulty, // Races always use the default difficulty
+                courseFile: null,
+                finishDistance: race.raceDistance,
+                ticks: 0,
+                inputs: []
+            };
+            racer.player = createReplayPlayer(racer.replay);
+            racer.clock = Math.max(0, tick - PLAYBACK_DELAY_TICKS) * FIXED_TIMESTEP;
+            racer.faultsSeen = 0;
+            racer.dog.reset();
+        }
+        for (const entry of inputs) {
+            racer.replay.inputs.push(entry); // The first chunk can be a whole race's log when joining late
+        }
+        racer.replay.ticks = tick;
+        racer.knownTick = tick;
+    }
+
+    // Race news, e.g. a racer finishing.
+    function announce(text) {
+        overlay.setStatus(text);
+    }
+
+    function setResults(standings) {
+        finalPlaces = new Map(standings.map((standing) => [standing.id, standing.place]));
+        overlay.setStatus('Race over. Waiting for the next race...');
+        showStandings();
+    }
+
+    // --- Instant replay ---
+
+    function toggleInstantReplay() {
+        if (instantReplay) {
+            stopInstantReplay();
+            return;
+        }
+        if (!lastFault || !lastFault.racer.replay) {
+            return;
+        }
+        const { racer, tick, label } = lastFault;
+        // A copy of the log up to just after the fault, so the live log can keep growing.
+        const replay = {
+            ...racer.replay,
+            inputs: racer.replay.inputs.slice(),
+            ticks: Math.min(racer.replay.ticks, tick + REPLAY_AFTER_TICKS)
+        };
+        const player = createReplayPlayer(replay);
+        player.seek(Math.max(0, tick - REPLAY_BEFORE_TICKS));
+        instantReplay = { racer, player, clock: player.tick * FIXED_TIMESTEP, label };
+        racer.dog.reset();
+        focusKey = null;
+        overlay.setReplayBanner(`Instant replay: ${racer.name}, ${label}`);
+    }
+
+    function stopInstantReplay() {
+        if (!instantReplay) {
+            return;
+        }
+        instantReplay.racer.dog.reset();
+        instantReplay = null;
+        focusKey = null;
+        overlay.setReplayBanner(null);
+    }
+
+    // --- Per frame ---
+
+    // Re-run a racer up to where their log says they were (less the delay), noting any faults.
+    function advanceRacer(racer, deltaTime) {
+        const { player } = racer;
+        racer.clock += deltaTime;
+        if (racer.knownTick - racer.clock / FIXED_TIMESTEP > MAX_LAG_TICKS) {
+            racer.clock = (racer.knownTick - PLAYBACK_DELAY_TICKS) * FIXED_TIMESTEP;
+        }
+        const targetTick = Math.min(racer.knownTick, Math.floor(racer.clock / FIXED_TIMESTEP));
+        while (player.tick < targetTick && player.step()) {
+            const { faults } = player.sim.state.score;
+            if (faults.length > racer.faultsSeen) {
+                lastFault = { racer, tick: player.tick, label: faults[faults.length - 1].label };
+                showLastFault();
+            }
+            racer.faultsSeen = faults.length;
+        }
+    }
+
+    function chooseFocus(ordered, deltaTime) {
+        if (cameraMode !== 'cycle') {
+            return ordered[0];
+        }
+        cycleTime += deltaTime;
+        if (cycleTime >= CYCLE_SECONDS) {
+            cycleTime = 0;
+            cycleIndex++;
+        }
+        return ordered[cycleIndex % ordered.length];
+    }
+
+    // Camera above and behind the whole field, pulled back as it spreads out.
+    function updateOverview(spread, deltaTime, snap) {
+        overviewTarget.set(0, OVERVIEW_HEIGHT + spread * 0.4, START_Z + spread + OVERVIEW_BACK);
+        overviewLook.set(0, 0, START_Z + spread / 2 - OVERVIEW_LOOK_AHEAD);
+        const blend = snap ? 1 : 1 - Math.exp(-OVERVIEW_SMOOTHING * deltaTime);
+        camera.position.lerp(overviewTarget, blend);
+        smoothedLook.lerp(overviewLook, blend);
+        camera.lookAt(smoothedLook);
+    }
+
+    function update(deltaTime) {
+        for (const racer of racers.values()) {
+            if (racer.player) {
+                advanceRacer(racer, deltaTime);
+            }
+        }
+        if (instantReplay) {
+            instantReplay.clock += deltaTime * REPLAY_SPEED;
+            instantReplay.player.seek(Math.floor(instantReplay.clock / FIXED_TIMESTEP));
+            if (instantReplay.player.isDone()) {
+                stopInstantReplay();
+            }
+        }
+
+        const ordered = orderedRacers();
+        const replaying = instantReplay !== null;
+        const focus = replaying ? instantReplay.racer : (ordered.length > 0 ? chooseFocus(ordered, deltaTime) : null);
+        const focusState = replaying ? instantReplay.player.sim.state : (focus ? racerState(focus) : null);
+        const key = replaying ? 'replay' : (focus ? focus.id : null);
+        const snap = key !== focusKey;
+        if (snap) {
+            obstacleRenderer.reset(); // Each racer's re-run (and the replay) has its own obstacles
+            powerUpView.reset();
+            focusKey = key;
+        }
+        if (!focusState) {
+            return;
+        }
+
+        // A racer drawn from snapshots has no obstacles, so needs no getConfigFor.
+        const focusSim = replaying ? instantReplay.player.sim : (focus.player ? focus.player.sim : null);
+        obstacleRenderer.sync(focusState.obstacles, focusSim ? focusSim.getConfigFor : null);
+        trackView.sync(focusState);
+        powerUpView.sync(focusState);
+
+        // Everyone is placed by how far they are from the racer in focus.
+        let spread = 0;
+        for (const racer of racers.values()) {
+            const visible = !replaying || racer === focus;
+            racer.dog.setVisible(visible);
+            if (!visible) {
+                continue;
+            }
+            const state = racer === focus ? focusState : racerState(racer);
+            const z = START_Z + focusState.distanceCovered - state.distanceCovered;
+            racer.dog.sync(state, deltaTime * (replaying ? REPLAY_SPEED : 1), z);
+            spread = Math.max(spread, z - START_Z);
+        }
+
+        if (cameraMode === 'overview' && !replaying) {
+            updateOverview(spread, deltaTime, snap);
+        } else if (snap) {
+            chaseCamera.snap(focusState.player, race.laneCount);
+        } else {
+            chaseCamera.update(focusState.player, deltaTime);
+        }
+    }
+
+    function open(handleLeave) {
+        onLeave = handleLeave;
+        race = null;
+        lastFault = null;
+        focusKey = null;
+        setCameraMode(cameraMode);
+        showLastFault();
+        overlay.showStandings([]);
+        overlay.setReplayBanner(null);
+        overlay.setVisible(true);
+    }
+
+    function close() {
+        stopInstantReplay();
+        clearRacers();
+        race = null;
+        overlay.setVisible(false);
+    }
+
+    return {
+        open,
+        close,
+        watch,
+        setLobby,
+        setCountdown,
+        start,
+        addSnapshot,
+        addInputs,
+        announce,
+        setResults,
+        setCameraMode,
+        toggleInstantReplay,
+        update,
+        get cameraMode() {
+            return cameraMode;
+        }
+    };
+}
@@ -0,0 +1,43 @@
+// Chase camera: sits behind and above the player (further back with more lanes, see
+// laneModeSettings) and eases after it, so lane changes and jumps don't jerk the view.
+import * as THREE from 'three';
+import { getLaneModeSettings } from '../game/config.mjs';
+
+const FOLLOW_X = 0.6; // How much of the player's sideways movement the camera follows
+const FOLLOW_Y = 0.3; // ... and of a jump's height
+const POSITION_SMOOTHING = 6; // Per second; higher catches up faster
+const LOOK_AHEAD = 10; // Looks this far in front of the player
+const LOOK_HEIGHT = 0.5;
+
+export function createChaseCamera(camera) {
+    let offset = getLaneModeSettings(null).camera;
+    const target = new THREE.Vector3();
+    const lookAt = new THREE.Vector3();
+
+    function targetFor(player) {
+        const [height, distance] = offset;
+        return target.set(player.x * FOLLOW_X, height + (player.y - player.standingSize[1] / 2) * FOLLOW_Y,
+            player.z + distance);
+    }
+
+    function aim(player) {
+        lookAt.set(player.x * FOLLOW_X, LOOK_HEIGHT, player.z - LOOK_AHEAD);
+        camera.lookAt(lookAt);
+    }
+
+    // Jump straight to the player, e.g. when a run starts or a replay seeks.
+    function snap(player, laneCount) {
+        offset = getLaneModeSettings(laneCount).camera;
+        camera.position.copy(targetFor(player));
+        aim(player);
+    }
+
+    // Call once per frame with the real frame time.
+    function update(player, frameDelta) {
+        const blend = 1 - Math.exp(-POSITION_SMOOTHING * frameDelta);
+        camera.position.lerp(targetFor(player), blend);
+        aim(player);
+    }
+
+    return { snap, update };
+}
@@ -0,0 +1,142 @@
+// Debug view of the simulation's collision volumes.
+// Draws every obstacle's compound collider (and the player's capsule) as wireframes so they can be
+// checked against the models. Toggle with the ` key or start with ?debugColliders.
+import * as THREE from 'three';
+import { getObstacleColliders } from '../game/config.mjs';
+import { createCapsule, setCapsuleFromCenterAndSize } from '../game/collision.mjs';
+
+const PART_COLOURS = {
+    rim: 0xff8800,
+    bar: 0xffff00,
+    roof: 0x00ffff,
+    wall: 0x00aaff
+};
+const DEFAULT_COLOUR = 0x00ff00;
+const PLAYER_COLOUR = 0xff00ff;
+
+const materials = new Map();
+
+function materialFor(colour) {
+    let material = materials.get(colour);
+    if (!material) {
+        material = new THREE.MeshBasicMaterial({ color: colour, wireframe: true });
+        materials.set(colour, material);
+    }
+    return material;
+}
+
+// One wireframe group per collider definition; built once per model and cloned per obstacle.
+function buildTemplate(resolved) {
+    const group = new THREE.Group();
+    for (const shape of resolved.shapes) {
+        const material = materialFor(PART_COLOURS[shape.part] || DEFAULT_COLOUR);
+        let mesh;
+        if (shape.shape === 'cylinder') {
+            const height = shape.max[shape.axis] - shape.min[shape.axis];
+            mesh = new THREE.Mesh(new THREE.CylinderGeometry(shape.radius, shape.radius, height, 12), material);
+            if (shape.axis === 'x') {
+                mesh.rotation.z = Math.PI / 2;
+            } else if (shape.axis === 'z') {
+                mesh.rotation.x = Math.PI / 2;
+            }
+        } else {
+            mesh = new THREE.Mesh(new THREE.BoxGeometry(shape.size.x, shape.size.y, shape.size.z), material);
+        }
+        mesh.position.set(shape.center.x, shape.center.y, shape.center.z);
+        group.add(mesh);
+    }
+    return group;
+}
+
+const templates = new Map();
+
+// Wireframes of a model's colliders, measured from the lane centre at ground level like the colliders
+// themselves. Shares geometry and materials with every other wireframe of the model.
+export function createColliderWireframe(modelFile) {
+    let template = templates.get(modelFile);
+    if (!template) {
+        template = buildTemplate(getObstacleColliders(modelFile));
+        templates.set(modelFile, template);
+    }
+    return template.clone();
+}
+
+// The player's capsule as a unit cylinder along z between two unit spheres, rescaled every frame.
+function buildCapsuleWireframe() {
+    const material = materialFor(PLAYER_COLOUR);
+    const middle = new THREE.Mesh(new THREE.CylinderGeometry(1, 1, 1, 12, 1, true), material);
+    middle.rotation.x = Math.PI / 2;
+    const sphere = new THREE.SphereGeometry(1, 12, 8);
+    const front = new THREE.Mesh(sphere, material);
+    const back = new THREE.Mesh(sphere, material);
+    const group = new THREE.Group();
+    group.add(middle, front, back);
+    return { group, middle, front, back };
+}
+
+export function createColliderDebugView(scene, { enabled = false } = {}) {
+    const obstacleGroups = new Map();
+    const capsule = createCapsule();
+    const playerCapsule = buildCapsuleWireframe();
+    playerCapsule.group.visible = enabled;
+    scene.add(playerCapsule.group);
+
+    function clear() {
+        for (const group of obstacleGroups.values()) {
+            scene.remove(group);
+        }
+        obstacleGroups.clear();
+    }
+
+    function setEnabled(value) {
+        enabled = value;
+        playerCapsule.group.visible = value;
+        if (!value) {
+            clear();
+        }
+    }
+
+    // Call once per frame after the simulation has stepped.
+    function sync(state) {
+        if (!enabled) {
+            return;
+        }
+        const player = state.player;
+        setCapsuleFromCenterAndSize(capsule, player.x, player.y, player.z, player.size[0], player.size[1], player.size[2]);
+        const { radius } = capsule;
+        const length = capsule.max.z - capsule.min.z;
+        playerCapsule.group.position.set(player.x, player.y, player.z);
+        playerCapsule.middle.scale.set(radius, Math.max(length, 1e-3), radius); // Its height is along z once rotated
+        playerCapsule.front.scale.setScalar(radius);
+        playerCapsule.front.position.z = capsule.min.z - player.z;
+        playerCapsule.back.scale.setScalar(radius);
+        playerCapsule.back.position.z = capsule.max.z - player.z;
+
+        const liveIds = new Set();
+        for (const obstacle of state.obstacles) {
+            liveIds.add(obstacle.id);
+            let group = obstacleGroups.get(obstacle.id);
+            if (!group) {
+                group = createColliderWireframe(obstacle.type);
+                obstacleGroups.set(obstacle.id, group);
+                scene.add(group);
+            }
+            // Colliders are measured from the lane centre at ground level.
+            group.position.set(obstacle.x, 0, obstacle.z);
+        }
+        for (const [id, group] of obstacleGroups) {
+            if (!liveIds.has(id)) {
+                scene.remove(group);
+                obstacleGroups.delete(id);
+            }
+        }
+    }
+
+    return {
+        sync,
+        reset: clear, // Call when a new run starts; obstacle ids restart from 1
+        setEnabled,
+        toggle: () => setEnabled(!enabled),
+        isEnabled: () => enabled
+    };
+}
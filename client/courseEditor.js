@@ -0,0 +1,591 @@
+// Course editor: lay out a trial course on the track, line each obstacle model up with its collision
+// volumes (scale, rotation, positionY) and test-play the course from the start or any obstacle.
+// Obstacles are placed by distance from the start line (see courseToPlacements in game/course.mjs);
+// dragging one snaps it to the nearest lane. Transform edits go either to the selected obstacle (a
+// config override saved in the course file) or to every obstacle of its model (saved in the exported
+// obstacleConfigurations JSON, to be copied into game/config.mjs).
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { obstacleConfigurations, getObstacleConfig, getLanePositions, laneWidth, playerSettings } from '../game/config.mjs';
+import {
+    validateCourse,
+    getKnownObstacleModels,
+    courseToPlacements,
+    placementsToCourse,
+    editableConfigKeys,
+    validateConfigurationEdits
+} from '../game/course.mjs';
+import { createColliderWireframe } from './colliderDebug.js';
+import { createPlaceholderModel } from './assetLoader.js';
+
+const START_Z = playerSettings.startPosition[2]; // The start line, where the player stands
+const NEW_OBSTACLE_GAP = 15; // Added obstacles go this far past the last one
+const TEST_RUN_UP = 10; // Testing from an obstacle starts this far before it
+const TRACK_BEHIND_FOCUS = 20; // How much track to show behind the point the camera looks at
+const CLICK_TOLERANCE = 4; // Pixels a click may move and still select rather than orbit
+const SELECTION_COLOUR = 0xffff00;
+const START_LINE_COLOUR = 0xffffff;
+const FINISH_LINE_COLOUR = 0xff3333;
+
+const defaultSettings = { name: 'New course', laneCount: 3, startDistance: 20, finishSpacing: 15 };
+
+function round(value, places = 3) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+function pickEditable(config) {
+    const picked = {};
+    for (const key of editableConfigKeys) {
+        if (config && config[key] !== undefined) {
+            picked[key] = config[key];
+        }
+    }
+    return picked;
+}
+
+function downloadJson(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function readJsonFile(file) {
+    try {
+        return JSON.parse(await file.text());
+    } catch {
+        throw new Error(`${file.name} is not a JSON file.`);
+    }
+}
+
+function createLineMarker(colour) {
+    const marker = new THREE.Mesh(new THREE.BoxGeometry(1, 0.02, 0.15), new THREE.MeshBasicMaterial({ color: colour }));
+    marker.position.y = 0.02;
+    return marker;
+}
+
+// models: Map of obstacle model file -> preloaded model (see main.js loadAssets).
+// onTestPlay(course): play a validated course. onExit(): back to the main menu.
+export function createCourseEditor({ scene, camera, renderer, models, trackView, onTestPlay, onExit }) {
+    const element = (id) => document.getElementById(id);
+    const elements = {
+        panel: element('courseEditor'),
+        name: element('editorName'),
+        laneCount: element('editorLaneCount'),
+        startDistance: element('editorStartDistance'),
+        finishSpacing: element('editorFinishSpacing'),
+        model: element('editorModel'),
+        lane: element('editorLane'),
+        add: element('editorAdd'),
+        selection: element('editorSelection'),
+        selectedTitle: element('editorSelectedTitle'),
+        selectedLane: element('editorSelectedLane'),
+        distance: element('editorDistance'),
+        gizmoMode: element('editorGizmoMode'),
+        scope: element('editorScope'),
+        positionY: element('editorPositionY'),
+        scale: ['X', 'Y', 'Z'].map((axis) => element(`editorScale${axis}`)),
+        rotation: ['X', 'Y', 'Z'].map((axis) => element(`editorRotation${axis}`)),
+        resetConfig: element('editorResetConfig'),
+        remove: element('editorDelete'),
+        colliders: element('editorColliders'),
+        testStart: element('editorTestStart'),
+        testSelected: element('editorTestSelected'),
+        exportCourse: element('editorExportCourse'),
+        exportConfigs: element('editorExportConfigs'),
+        importCourse: element('editorImportCourse'),
+        importConfigs: element('editorImportConfigs'),
+        error: element('editorError'),
+        exit: element('editorExit')
+    };
+
+    const settings = { ...defaultSettings };
+    // { model, lane, distance, overrides (the course's config for it), root (posed model), wireframe }
+    const items = [];
+    let modelEdits = {}; // model file -> { scale, rotation, positionY } edited for every obstacle of it
+    let selected = null;
+    let isOpen = false;
+    let savedCameraPose = null;
+
+    const group = new THREE.Group();
+    group.visible = false;
+    scene.add(group);
+    const startLine = createLineMarker(START_LINE_COLOUR);
+    const finishLine = createLineMarker(FINISH_LINE_COLOUR);
+    group.add(startLine, finishLine);
+    const selectionBox = new THREE.BoxHelper(undefined, SELECTION_COLOUR);
+    selectionBox.visible = false;
+    group.add(selectionBox);
+
+    const orbit = new OrbitControls(camera, renderer.domElement);
+    orbit.enabled = false;
+    const transform = new TransformControls(camera, renderer.domElement);
+    transform.enabled = false;
+    transform.addEventListener('dragging-changed', (event) => {
+        orbit.enabled = !event.value;
+        if (!event.value && selected) {
+            syncItem(selected); // Snap the dropped obstacle onto its lane (and the rounded values)
+        }
+    });
+    transform.addEventListener('objectChange', applyGizmo);
+    scene.add(transform);
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let pointerDownAt = null;
+
+    // What an item is drawn with: the model's configuration, then model-wide edits, then its own overrides.
+    function effectiveConfig(item) {
+        return {
+            ...pickEditable(getObstacleConfig(item.model)),
+            ...modelEdits[item.model],
+            ...pickEditable(item.overrides)
+        };
+    }
+
+    function lanePositions() {
+        return getLanePositions(settings.laneCount);
+    }
+
+    function finishDistance() {
+        const last = items.reduce((furthest, item) => Math.max(furthest, item.distance), settings.startDistance);
+        return last + settings.finishSpacing;
+    }
+
+    function syncItem(item) {
+        const config = effectiveConfig(item);
+        const x = lanePositions()[item.lane];
+        const z = START_Z - item.distance;
+        item.root.position.set(x, config.positionY, z);
+        item.root.rotation.fromArray(config.rotation);
+        item.root.scale.fromArray(config.scale);
+        item.wireframe.position.set(x, 0, z); // Colliders are measured from the lane centre at ground level
+        item.wireframe.visible = elements.colliders.checked;
+    }
+
+    function syncMarkers() {
+        const width = settings.laneCount * laneWidth + 1;
+        startLine.scale.x = width;
+        finishLine.scale.x = width;
+        startLine.position.z = START_Z - settings.startDistance;
+        finishLine.position.z = START_Z - finishDistance();
+    }
+
+    function syncAll() {
+        for (const item of items) {
+            syncItem(item);
+        }
+        syncMarkers();
+        refreshSelection();
+    }
+
+    function addItem(placement) {
+        const source = models.get(placement.model);
+        const root = new THREE.Group();
+        root.add(source ? source.clone() : createPlaceholderModel({ kind: 'obstacle', key: placement.model }));
+        const item = {
+            model: placement.model,
+            lane: Math.min(placement.lane, settings.laneCount - 1),
+            distance: placement.distance,
+            overrides: placement.config ? { ...placement.config } : {},
+            root,
+            wireframe: createColliderWireframe(placement.model)
+        };
+        root.userData.editorItem = item;
+        group.add(root, item.wireframe);
+        items.push(item);
+        syncItem(item);
+        return item;
+    }
+
+    function removeItem(item) {
+        group.remove(item.root, item.wireframe);
+        items.splice(items.indexOf(item), 1);
+        if (selected === item) {
+            select(null);
+        }
+        syncMarkers();
+    }
+
+    function clearItems() {
+        while (items.length > 0) {
+            removeItem(items[items.length - 1]);
+        }
+    }
+
+    // Selection panel
+
+    function select(item) {
+        selected = item;
+        if (item) {
+            transform.attach(item.root);
+        } else {
+            transform.detach();
+        }
+        refreshSelection();
+    }
+
+    function refreshSelection() {
+        elements.selection.classList.toggle('hidden', !selected);
+        elements.testSelected.disabled = !selected;
+        selectionBox.visible = Boolean(selected);
+        if (!selected) {
+            return;
+        }
+        selectionBox.setFromObject(selected.root);
+        const config = effectiveConfig(selected);
+        elements.selectedTitle.textContent = `${selected.model} (${items.indexOf(selected) + 1} of ${items.length})`;
+        elements.scope.options[1].textContent = `Every ${selected.model}`;
+        elements.selectedLane.value = String(selected.lane);
+        elements.distance.value = round(selected.distance, 2);
+        elements.positionY.value = round(config.positionY);
+        config.scale.forEach((value, index) => {
+            elements.scale[index].value = round(value);
+        });
+        config.rotation.forEach((value, index) => {
+            elements.rotation[index].value = round(THREE.MathUtils.radToDeg(value), 1);
+        });
+    }
+
+    // Store an edited configuration value for the selection, or for its whole model.
+    // Values that didn't change aren't stored, so moving an obstacle doesn't add overrides to it.
+    function setConfigValue(key, value) {
+        if (JSON.stringify(effectiveConfig(selected)[key]) === JSON.stringify(value)) {
+            return;
+        }
+        if (elements.scope.value === 'model') {
+            modelEdits[selected.model] = { ...modelEdits[selected.model], [key]: value };
+            delete selected.overrides[key];
+            for (const item of items) {
+                if (item.model === selected.model) {
+                    syncItem(item);
+                }
+            }
+        } else {
+            selected.overrides[key] = value;
+            syncItem(selected);
+        }
+    }
+
+    // The gizmo moved the selected model: read its pose back into the course.
+    function applyGizmo() {
+        if (!selected) {
+            return;
+        }
+        const root = selected.root;
+        if (transform.getMode() === 'translate') {
+            const positions = lanePositions();
+            let lane = 0;
+            positions.forEach((x, index) => {
+                if (Math.abs(root.position.x - x) < Math.abs(root.position.x - positions[lane])) {
+                    lane = index;
+                }
+            });
+            selected.lane = lane;
+            selected.distance = round(Math.max(0, START_Z - root.position.z), 2);
+            setConfigValue('positionY', round(root.position.y));
+            syncMarkers();
+        } else if (transform.getMode() === 'rotate') {
+            setConfigValue('rotation', [root.rotation.x, root.rotation.y, root.rotation.z].map((value) => round(value, 4)));
+        } else {
+            setConfigValue('scale', root.scale.toArray().map((value) => round(value)));
+        }
+        refreshSelection();
+    }
+
+    function readNumber(input, fallback) {
+        const value = Number(input.value);
+        return input.value !== '' && Number.isFinite(value) ? value : fallback;
+    }
+
+    // The selection panel's fields were edited: apply(config) stores the new values.
+    function bindField(inputs, apply) {
+        for (const input of inputs) {
+            input.addEventListener('change', () => {
+                if (selected) {
+                    apply(effectiveConfig(selected));
+                    syncItem(selected);
+                    syncMarkers();
+                    refreshSelection();
+                }
+            });
+        }
+    }
+
+    // Lane choices for the add and selection panels.
+    function fillLaneSelects() {
+        for (const select of [elements.lane, elements.selectedLane]) {
+            const previous = select.value;
+            select.replaceChildren();
+            for (let lane = 0; lane < settings.laneCount; lane++) {
+                select.add(new Option(`Lane ${lane + 1}`, String(lane)));
+            }
+            select.value = Number(previous) < settings.laneCount ? previous : String(Math.floor(settings.laneCount / 2));
+        }
+    }
+
+    function showSettings() {
+        elements.name.value = settings.name;
+        elements.laneCount.value = String(settings.laneCount);
+        elements.startDistance.value = settings.startDistance;
+        elements.finishSpacing.value = settings.finishSpacing;
+        fillLaneSelects();
+    }
+
+    function applySettings() {
+        settings.name = elements.name.value.trim() || defaultSettings.name;
+        settings.laneCount = Number(elements.laneCount.value);
+        settings.startDistance = Math.max(0, readNumber(elements.startDistance, settings.startDistance));
+        settings.finishSpacing = Math.max(0, readNumber(elements.finishSpacing, settings.finishSpacing));
+        for (const item of items) {
+            item.lane = Math.min(item.lane, settings.laneCount - 1);
+        }
+        fillLaneSelects();
+        trackView.setLaneCount(settings.laneCount);
+        syncAll();
+    }
+
+    // Courses out and in
+
+    // Placements as the course file stores them: only each obstacle's own overrides.
+    function coursePlacements() {
+        return items.map((item) => ({ model: item.model, lane: item.lane, distance: item.distance, config: item.overrides }));
+    }
+
+    function showErrors(title, errors) {
+        elements.error.textContent = errors.length > 0 ? `${title}\n${errors.join('\n')}` : '';
+    }
+
+    // A playable course from `fromDistance` on, with model-wide edits folded into each obstacle's
+    // overrides so the test matches what the editor shows.
+    function buildTestCourse(fromDistance) {
+        const startDistance = fromDistance > 0 ? 0 : settings.startDistance;
+        const offset = fromDistance > 0 ? TEST_RUN_UP - fromDistance : 0;
+        const placements = items
+            .filter((item) => item.distance >= fromDistance)
+            .map((item) => ({
+                model: item.model,
+                lane: item.lane,
+                distance: item.distance + offset,
+                config: { ...item.overrides, ...effectiveConfig(item) }
+            }));
+        const data = placementsToCourse({ ...settings, startDistance, name: `${settings.name} (test)` }, placements);
+        const { course, errors } = validateCourse(data);
+        showErrors('This course can\'t be played yet:', errors);
+        return course;
+    }
+
+    function testPlay(fromDistance) {
+        const course = buildTestCourse(fromDistance);
+        if (course) {
+            onTestPlay({ ...course, file: null, fromEditor: true });
+        }
+    }
+
+    function exportCourse() {
+        const data = placementsToCourse(settings, coursePlacements());
+        const { errors } = validateCourse(data);
+        showErrors('Fix these before exporting the course:', errors);
+        if (errors.length === 0) {
+            const slug = settings.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'course';
+            downloadJson(data, `${slug}.json`);
+        }
+    }
+
+    // Every model's configuration with the model-wide edits applied.
+    function exportConfigurations() {
+        const data = {};
+        for (const [model, config] of Object.entries(obstacleConfigurations)) {
+            data[model] = { ...config, ...modelEdits[model] };
+        }
+        downloadJson(data, 'obstacleConfigurations.json');
+    }
+
+    function loadCourseData(data) {
+        const { course, errors } = validateCourse(data);
+        showErrors('That course file is invalid:', errors);
+        if (!course) {
+            return;
+        }
+        clearItems();
+        Object.assign(settings, {
+            name: course.name,
+            laneCount: course.laneCount,
+            startDistance: course.startDistance,
+            finishSpacing: course.finishSpacing
+        });
+        showSettings();
+        trackView.setLaneCount(settings.laneCount);
+        for (const placement of courseToPlacements(course)) {
+            addItem(placement);
+        }
+        syncAll();
+    }
+
+    function loadConfigurationData(data) {
+        const { edits, errors } = validateConfigurationEdits(data);
+        showErrors('That obstacle configurations file is invalid:', errors);
+        if (edits) {
+            modelEdits = edits;
+            syncAll();
+        }
+    }
+
+    function bindImport(input, load) {
+        input.addEventListener('change', async () => {
+            const [file] = input.files;
+            input.value = '';
+            if (!file) {
+                return;
+            }
+            try {
+                load(await readJsonFile(file));
+            } catch (error) {
+                console.error(error);
+                showErrors(error.message, []);
+            }
+        });
+    }
+
+    // Picking obstacles with a click (a drag orbits the camera instead)
+
+    function pick(event) {
+        const bounds = renderer.domElement.getBoundingClientRect();
+        pointer.set(((event.clientX - bounds.left) / bounds.width) * 2 - 1, -((event.clientY - bounds.top) / bounds.height) * 2 + 1);
+        raycaster.setFromCamera(pointer, camera);
+        const hits = raycaster.intersectObjects(items.map((item) => item.root), true);
+        let object = hits.length > 0 ? hits[0].object : null;
+        while (object && !object.userData.editorItem) {
+            object = object.parent;
+        }
+        select(object ? object.userData.editorItem : null);
+    }
+
+    renderer.domElement.addEventListener('pointerdown', (event) => {
+        pointerDownAt = isOpen && transform.axis === null ? { x: event.clientX, y: event.clientY } : null;
+    });
+    renderer.domElement.addEventListener('pointerup', (event) => {
+        if (pointerDownAt && Math.hypot(event.clientX - pointerDownAt.x, event.clientY - pointerDownAt.y) <= CLICK_TOLERANCE) {
+            pick(event);
+        }
+        pointerDownAt = null;
+    });
+
+    window.addEventListener('keydown', (event) => {
+        if (!isOpen || event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement) {
+            return;
+        }
+        const modes = { KeyW: 'translate', KeyE: 'rotate', KeyR: 'scale' };
+        if (modes[event.code]) {
+            elements.gizmoMode.value = modes[event.code];
+            transform.setMode(modes[event.code]);
+        } else if ((event.code === 'Delete' || event.code === 'Backspace') && selected) {
+            removeItem(selected);
+        } else if (event.code === 'Escape') {
+            select(null);
+        }
+    });
+
+    // Panel wiring
+
+    for (const model of getKnownObstacleModels()) {
+        elements.model.add(new Option(model, model));
+    }
+    for (const input of [elements.name, elements.laneCount, elements.startDistance, elements.finishSpacing]) {
+        input.addEventListener('change', applySettings);
+    }
+    elements.add.addEventListener('click', () => {
+        const last = items.reduce((furthest, item) => Math.max(furthest, item.distance), settings.startDistance - NEW_OBSTACLE_GAP);
+        select(addItem({ model: elements.model.value, lane: Number(elements.lane.value), distance: last + NEW_OBSTACLE_GAP }));
+        syncMarkers();
+        orbit.target.z = selected.root.position.z;
+    });
+    bindField([elements.selectedLane], () => {
+        selected.lane = Number(elements.selectedLane.value);
+    });
+    bindField([elements.distance], () => {
+        selected.distance = Math.max(0, readNumber(elements.distance, selected.distance));
+    });
+    bindField([elements.positionY], (config) => {
+        setConfigValue('positionY', readNumber(elements.positionY, config.positionY));
+    });
+    bindField(elements.scale, (config) => {
+        setConfigValue('scale', elements.scale.map((input, index) => readNumber(input, config.scale[index])));
+    });
+    bindField(elements.rotation, (config) => {
+        setConfigValue('rotation', elements.rotation.map((input, index) => {
+            const degrees = readNumber(input, THREE.MathUtils.radToDeg(config.rotation[index]));
+            return round(THREE.MathUtils.degToRad(degrees), 4);
+        }));
+    });
+    elements.gizmoMode.addEventListener('change', () => transform.setMode(elements.gizmoMode.value));
+    elements.scope.addEventListener('change', refreshSelection);
+    elements.resetConfig.addEventListener('click', () => {
+        if (!selected) {
+            return;
+        }
+        if (elements.scope.value === 'model') {
+            delete modelEdits[selected.model];
+        }
+        selected.overrides = selected.overrides.interaction ? { interaction: selected.overrides.interaction } : {};
+        syncAll();
+    });
+    elements.remove.addEventListener('click', () => selected && removeItem(selected));
+    elements.colliders.addEventListener('change', syncAll);
+    elements.testStart.addEventListener('click', () => testPlay(0));
+    elements.testSelected.addEventListener('click', () => selected && testPlay(selected.distance));
+    elements.exportCourse.addEventListener('click', exportCourse);
+    elements.exportConfigs.addEventListener('click', exportConfigurations);
+    bindImport(elements.importCourse, loadCourseData);
+    bindImport(elements.importConfigs, loadConfigurationData);
+    elements.exit.addEventListener('click', () => onExit());
+    showSettings();
+
+    // Call when the editor is shown (the game state machine's editor state).
+    function open() {
+        isOpen = true;
+        elements.panel.classList.remove('hidden');
+        group.visible = true;
+        orbit.enabled = true;
+        transform.enabled = true;
+        trackView.setLaneCount(settings.laneCount);
+        if (savedCameraPose) {
+            camera.position.copy(savedCameraPose.position);
+            orbit.target.copy(savedCameraPose.target);
+        } else {
+            camera.position.set(10, 12, START_Z + 6);
+            orbit.target.set(0, 0, START_Z - settings.startDistance - 10);
+        }
+        orbit.update();
+        if (selected) {
+            transform.attach(selected.root);
+        }
+        syncAll();
+    }
+
+    function close() {
+        isOpen = false;
+        savedCameraPose = { position: camera.position.clone(), target: orbit.target.clone() };
+        elements.panel.classList.add('hidden');
+        group.visible = false;
+        orbit.enabled = false;
+        transform.enabled = false;
+        transform.detach();
+    }
+
+    // Call once per frame while open.
+    function update() {
+        orbit.update();
+        const distance = Math.max(0, START_Z - orbit.target.z - TRACK_BEHIND_FOCUS);
+        trackView.sync({ distanceCovered: distance, player: { z: START_Z - distance } });
+        if (selected) {
+            selectionBox.setFromObject(selected.root);
+        }
+    }
+
+    return { open, close, update };
+}
@@ -0,0 +1,26 @@
+// Fetches authored courses for trial mode and validates them against the known obstacle models.
+import { validateCourse } from '../game/course.mjs';
+
+const COURSES_URL = './courses/';
+
+// [{ file, name }] from courses/index.json
+export async function loadCourseList() {
+    const response = await fetch(`${COURSES_URL}index.json`);
+    if (!response.ok) {
+        throw new Error(`Could not load the course list (HTTP ${response.status}).`);
+    }
+    return response.json();
+}
+
+// Resolves with a validated course, or rejects listing everything wrong with it.
+export async function loadCourse(file) {
+    const response = await fetch(`${COURSES_URL}${file}`);
+    if (!response.ok) {
+        throw new Error(`Could not load course ${file} (HTTP ${response.status}).`);
+    }
+    const { course, errors } = validateCourse(await response.json());
+    if (!course) {
+        throw new Error(`Course ${file} is invalid:\n${errors.join('\n')}`);
+    }
+    return { ...course, file }; // file identifies the course in replays (see game/replay.mjs)
+}
@@ -0,0 +1,379 @@
+// The player's dog. A rigged model (see playerModelFile in game/assets.mjs) is animated by an
+// AnimationMixer; until it loads, or when it's missing, a dog built from primitives is animated by hand
+// with the same states. Either way the state comes from the simulation's player each frame:
+//   run, jump (airborne), crouch (also crawling through tunnels), weave (lane-locked in the poles)
+//   and stumble (for a moment after any fault, including ones a shield absorbed).
+// The dog stands on the ground under the player's centre and fills playerSettings.size, which is also
+// its collision capsule (see game/collision.mjs).
+// Coat and collar are cosmetic: picked in the menu and saved in localStorage.
+import * as THREE from 'three';
+import { SkeletonUtils } from 'three/addons/utils/SkeletonUtils.js';
+import { playerSettings } from '../game/config.mjs';
+
+export const dogAnimationStates = ['run', 'jump', 'crouch', 'weave', 'stumble'];
+
+// coat is the main colour, markings the muzzle, ears and tail tip.
+export const coatVariants = {
+    golden: { label: 'Golden', coat: 0xd9a441, markings: 0xf1dcae },
+    black: { label: 'Black and white', coat: 0x262626, markings: 0xeeeeee },
+    chocolate: { label: 'Chocolate', coat: 0x6b3e26, markings: 0xa8764f },
+    merle: { label: 'Blue merle', coat: 0x7f8a96, markings: 0xf0f0f0 },
+    cream: { label: 'Cream', coat: 0xeadcc0, markings: 0xc9a77a }
+};
+
+export const collarVariants = {
+    red: { label: 'Red', colour: 0xd32f2f },
+    blue: { label: 'Blue', colour: 0x1e63c8 },
+    green: { label: 'Green', colour: 0x2e9e48 },
+    pink: { label: 'Pink', colour: 0xe85d9c },
+    none: { label: 'None', colour: null }
+};
+
+const COSMETICS_STORAGE_KEY = 'topdog.dogCosmetics';
+export const defaultCosmetics = { coat: 'golden', collar: 'red' };
+
+export function loadDogCosmetics() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(COSMETICS_STORAGE_KEY)) || {};
+        return {
+            coat: Object.hasOwn(coatVariants, saved.coat) ? saved.coat : defaultCosmetics.coat,
+            collar: Object.hasOwn(collarVariants, saved.collar) ? saved.collar : defaultCosmetics.collar
+        };
+    } catch {
+        return { ...defaultCosmetics };
+    }
+}
+
+export function saveDogCosmetics(cosmetics) {
+    try {
+        localStorage.setItem(COSMETICS_STORAGE_KEY, JSON.stringify(cosmetics));
+    } catch (error) {
+        console.warn('Could not save the dog\'s coat and collar:', error);
+    }
+}
+
+const BLEND_TIME = 0.15; // Seconds to cross-fade from one state to the next
+const STUMBLE_TIME = 0.6;
+const RUN_CLIP_SPEED = 6; // Scroll speed the rig's run clip was animated for
+const STRIDE_LENGTH = 0.9; // Distance per stride of the primitive dog
+const MAX_TURN = 0.4; // Radians the dog turns into a lane change
+const TURN_PER_SPEED = 0.04; // ... per unit per second sideways
+
+function chooseState(player, stumbling) {
+    if (stumbling) {
+        return 'stumble';
+    }
+    if (player.isAirborne) {
+        return 'jump';
+    }
+    if (player.isCrouching) {
+        return 'crouch';
+    }
+    return player.laneLocked ? 'weave' : 'run';
+}
+
+// --- Rigged model ---
+
+// Clips are matched to states by name; a missing one plays the run clip instead.
+function createRigAnimator(model, clips) {
+    const mixer = new THREE.AnimationMixer(model);
+    const actions = new Map();
+    for (const state of dogAnimationStates) {
+        const clip = THREE.AnimationClip.findByName(clips, state);
+        if (!clip) {
+            continue;
+        }
+        const action = mixer.clipAction(clip);
+        if (state === 'jump' || state === 'stumble') {
+            action.setLoop(THREE.LoopOnce);
+            action.clampWhenFinished = true;
+        }
+        actions.set(state, action);
+    }
+    let current = null;
+
+    function update(state, speed, deltaTime) {
+        const next = actions.get(state) || actions.get('run');
+        if (next !== current) {
+            next.reset().play();
+            if (current) {
+                current.crossFadeTo(next, BLEND_TIME, false);
+            }
+            current = next;
+        }
+        if (next === actions.get('run')) {
+            next.timeScale = Math.max(0.5, speed / RUN_CLIP_SPEED);
+        }
+        mixer.update(deltaTime);
+    }
+
+    return { update, canAnimate: actions.has('run') };
+}
+
+// Scale and move a model so it stands on its origin, centred, as long as the player's size.
+function fitToPlayer(model) {
+    const bounds = new THREE.Box3().setFromObject(model);
+    const size = bounds.getSize(new THREE.Vector3());
+    const scale = playerSettings.size[2] / size.z;
+    model.scale.multiplyScalar(scale);
+    model.position.set(
+        -(bounds.min.x + bounds.max.x) / 2 * scale,
+        -bounds.min.y * scale,
+        -(bounds.min.z + bounds.max.z) / 2 * scale
+    );
+    const fitted = new THREE.Group();
+    fitted.add(model);
+    return fitted;
+}
+
+// --- Primitive dog ---
+
+// Proportions as fractions of playerSettings.size; the model faces -z like the run.
+function buildPrimitiveDog(materials) {
+    const [width, height, length] = playerSettings.size;
+    const legLength = height * 0.45;
+    const bodyHeight = height * 0.35;
+    const bodyLength = length * 0.55;
+    const box = (sx, sy, sz, material) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(sx, sy, sz), material);
+        mesh.castShadow = true;
+        return mesh;
+    };
+
+    const root = new THREE.Group();
+    const torso = new THREE.Group();
+    torso.add(box(width * 0.6, bodyHeight, bodyLength, materials.coat));
+    root.add(torso);
+
+    const head = new THREE.Group();
+    head.position.set(0, bodyHeight * 0.5, -bodyLength * 0.55);
+    head.add(box(width * 0.45, height * 0.38, length * 0.22, materials.coat));
+    const muzzle = box(width * 0.25, height * 0.18, length * 0.1, materials.markings);
+    muzzle.position.set(0, -height * 0.06, -length * 0.15);
+    head.add(muzzle);
+    for (const side of [-1, 1]) {
+        const ear = box(width * 0.1, height * 0.16, length * 0.06, materials.markings);
+        ear.position.set(side * width * 0.15, height * 0.22, length * 0.04);
+        head.add(ear);
+    }
+    torso.add(head);
+
+    const collar = new THREE.Mesh(new THREE.TorusGeometry(width * 0.2, width * 0.04, 6, 16), materials.collar);
+    collar.position.set(0, bodyHeight * 0.25, -bodyLength * 0.45);
+    torso.add(collar);
+
+    const tail = new THREE.Group();
+    tail.position.set(0, bodyHeight * 0.3, bodyLength / 2);
+    const tailMesh = box(width * 0.08, width * 0.08, length * 0.2, materials.markings);
+    tailMesh.position.z = length * 0.1;
+    tail.add(tailMesh);
+    torso.add(tail);
+
+    // Legs hang from hip pivots so they can swing; front pair first.
+    const legs = [];
+    for (const z of [-bodyLength * 0.35, bodyLength * 0.35]) {
+        for (const side of [-1, 1]) {
+            const hip = new THREE.Group();
+            hip.position.set(side * width * 0.2, -bodyHeight / 2, z);
+            const leg = box(width * 0.16, legLength, width * 0.16, materials.coat);
+            leg.position.y = -legLength / 2;
+            hip.add(leg);
+            torso.add(hip);
+            legs.push(hip);
+        }
+    }
+
+    return { root, torso, head, tail, legs, collar, standingHeight: legLength + bodyHeight / 2 };
+}
+
+// Target poses per state; the dog eases between them. Angles in radians, heights as fractions of the
+// standing torso height. swing is the leg stride, tuck how far the legs fold (front forward, back
+// back), pitch is nose-down positive.
+const poses = {
+    run: { height: 1, pitch: 0, headHeight: 1, swing: 0.7, tuck: 0, tailLift: 0.6, sway: 0 },
+    jump: { height: 1, pitch: 0, headHeight: 1, swing: 0, tuck: 0.9, tailLift: 0.2, sway: 0 },
+    crouch: { height: 0.5, pitch: 0, headHeight: 0, swing: 0.25, tuck: 1.2, tailLift: -0.2, sway: 0 },
+    weave: { height: 0.95, pitch: 0, headHeight: 0.8, swing: 0.5, tuck: 0, tailLift: 0.8, sway: 0.35 },
+    stumble: { height: 0.85, pitch: 0.35, headHeight: 0.5, swing: 0.2, tuck: 0.3, tailLift: -0.4, sway: 0 }
+};
+
+function createPrimitiveAnimator(dog) {
+    const pose = { ...poses.run };
+    let phase = 0;
+    let stateTime = 0;
+    let lastState = null;
+
+    function update(state, speed, player, deltaTime) {
+        stateTime = state === lastState ? stateTime + deltaTime : 0;
+        lastState = state;
+        const target = poses[state];
+        const blend = 1 - Math.exp(-deltaTime * 3 / BLEND_TIME);
+        for (const key of Object.keys(pose)) {
+            pose[key] += (target[key] - pose[key]) * blend;
+        }
+        // Crawling and weaving take shorter, quicker steps than running.
+        const strideLength = state === 'crouch' ? STRIDE_LENGTH * 0.5 : STRIDE_LENGTH;
+        phase = (phase + deltaTime * speed / strideLength * Math.PI * 2) % (Math.PI * 2);
+
+        const bob = state === 'run' ? Math.abs(Math.sin(phase)) * 0.04 : 0;
+        dog.torso.position.y = dog.standingHeight * pose.height + bob;
+        // Nose up on the way up and down on the way down.
+        const jumpPitch = player.isAirborne ? player.velocityY * 0.05 : 0;
+        const wobble = state === 'stumble' ? Math.sin(stateTime * 25) * 0.25 * Math.max(0, 1 - stateTime / STUMBLE_TIME) : 0;
+        dog.torso.rotation.set(jumpPitch - pose.pitch, Math.sin(phase) * pose.sway, wobble);
+        dog.head.position.y = dog.standingHeight * 0.35 * pose.headHeight;
+        dog.tail.rotation.set(-pose.tailLift, Math.sin(phase * 2) * 0.5, 0);
+        dog.legs.forEach((hip, index) => {
+            const front = index < 2;
+            const diagonal = index === 0 || index === 3 ? 1 : -1; // Trot: diagonal pairs move together
+            hip.rotation.x = (front ? pose.tuck : -pose.tuck) + Math.sin(phase) * pose.swing * diagonal;
+        });
+    }
+
+    return { update };
+}
+
+// --- Character ---
+
+// options.ghost draws a translucent dog (for the best-run ghost) that ignores cosmetics and tints.
+export function createDogCharacter(scene, { ghost = false, cosmetics = defaultCosmetics } = {}) {
+    const ghostMaterial = ghost
+        ? new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.35 })
+        : null;
+    const primitiveMaterials = {
+        coat: ghostMaterial || new THREE.MeshStandardMaterial({ color: 0xffffff }),
+        markings: ghostMaterial || new THREE.MeshStandardMaterial({ color: 0xffffff }),
+        collar: ghostMaterial || new THREE.MeshStandardMaterial({ color: 0xffffff })
+    };
+    const primitive = buildPrimitiveDog(primitiveMaterials);
+    const primitiveAnimator = createPrimitiveAnimator(primitive);
+    // Recoloured by cosmetics: the primitive dog's, then the rig's materials named Coat/Markings/Collar.
+    const coatMaterials = [primitiveMaterials.coat];
+    const markingsMaterials = [primitiveMaterials.markings];
+    const collarMaterials = [primitiveMaterials.collar];
+    const collarObjects = [primitive.collar];
+
+    const root = new THREE.Group();
+    root.add(primitive.root);
+    root.visible = !ghost;
+    scene.add(root);
+
+    let rig = null; // { model, animator } once a rigged model is set
+    let current = { ...cosmetics };
+    let tint = null;
+    let lastX = null;
+    let faultsSeen = 0;
+    let stumbleTime = 0;
+
+    function applyColours() {
+        if (ghost) {
+            return;
+        }
+        const coat = coatVariants[current.coat];
+        const collar = collarVariants[current.collar];
+        for (const material of coatMaterials) {
+            material.color.setHex(tint ?? coat.coat);
+        }
+        for (const material of markingsMaterials) {
+            material.color.setHex(coat.markings);
+        }
+        for (const material of collarMaterials) {
+            material.color.setHex(collar.colour ?? 0x000000);
+        }
+        for (const object of collarObjects) {
+            object.visible = collar.colour !== null;
+        }
+    }
+
+    // asset: the preloaded { model, animations } (see client/assetLoader.js). Each character gets its
+    // own copy of the rig and of the materials cosmetics change.
+    function setModel({ model, animations }) {
+        const instance = SkeletonUtils.clone(model);
+        const animator = createRigAnimator(instance, animations);
+        if (!animator.canAnimate) {
+            console.warn('The dog model has no "run" animation; keeping the primitive dog.');
+            return;
+        }
+        instance.traverse((object) => {
+            if (!object.isMesh) {
+                return;
+            }
+            object.castShadow = !ghost;
+            if (ghost) {
+                object.material = ghostMaterial;
+                return;
+            }
+            object.material = object.material.clone();
+            const name = object.material.name.toLowerCase();
+            if (name === 'coat') {
+                coatMaterials.push(object.material);
+            } else if (name === 'markings') {
+                markingsMaterials.push(object.material);
+            } else if (name === 'collar') {
+                collarMaterials.push(object.material);
+                collarObjects.push(object);
+            }
+        });
+        root.remove(primitive.root);
+        rig = { model: fitToPlayer(instance), animator };
+        root.add(rig.model);
+        applyColours();
+    }
+
+    function setCosmetics(cosmetics) {
+        current = { ...cosmetics };
+        applyColours();
+    }
+
+    // Override the coat colour (e.g. blue on a fault that ends the run); null restores it.
+    function setTint(colour) {
+        tint = colour;
+        applyColours();
+    }
+
+    function setVisible(visible) {
+        root.visible = visible;
+    }
+
+    // Call once per frame with the simulation state the dog belongs to. z defaults to the player's own
+    // (the ghost is drawn where its run is relative to the live one).
+    function sync(state, deltaTime, z = state.player.z) {
+        const player = state.player;
+        const faultCount = state.score.faults.length + state.score.faultsAbsorbed;
+        if (faultCount > faultsSeen) {
+            stumbleTime = STUMBLE_TIME;
+        }
+        faultsSeen = faultCount; // Also follows a replay seeking back to fewer faults
+        stumbleTime = Math.max(0, stumbleTime - deltaTime);
+
+        const animationState = chooseState(player, stumbleTime > 0);
+        const sideways = lastX === null || deltaTime === 0 ? 0 : (player.x - lastX) / deltaTime;
+        lastX = player.x;
+        root.position.set(player.x, player.y - player.size[1] / 2, z);
+        root.rotation.y = Math.max(-MAX_TURN, Math.min(MAX_TURN, -sideways * TURN_PER_SPEED));
+        if (rig) {
+            rig.animator.update(animationState, state.speed, deltaTime);
+        } else {
+            primitiveAnimator.update(animationState, state.speed, player, deltaTime);
+        }
+    }
+
+    // Forget the last run (call when a new one starts).
+    function reset() {
+        lastX = null;
+        faultsSeen = 0;
+        stumbleTime = 0;
+    }
+
+    // Take the dog out of the scene for good (e.g. a spectated racer left).
+    function dispose() {
+        scene.remove(root);
+        for (const material of new Set([...coatMaterials, ...markingsMaterials, ...collarMaterials])) {
+            material.dispose();
+        }
+    }
+
+    applyColours();
+    primitiveAnimator.update('run', 0, { isAirborne: false }, 0); // Standing, until the first sync
+    return { root, setModel, setCosmetics, setTint, setVisible, sync, reset, dispose };
+}
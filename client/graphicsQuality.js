@@ -0,0 +1,180 @@
+// Graphics quality presets and the adaptive "auto" mode that steps them down on slow devices.
+// A preset sets the renderer's pixel ratio, shadows, how far the camera sees (fog hides the cut-off),
+// which LOD variant of the obstacle models is drawn and how many lights are on.
+// The choice (a preset or auto, plus the level auto settled on) is saved in localStorage.
+import * as THREE from 'three';
+
+export const qualityLevels = ['low', 'medium', 'high'];
+
+// maxPixelRatio caps window.devicePixelRatio (below 1 renders under native resolution);
+// lodLevel 0 is the full models.
+export const qualityPresets = {
+    low: {
+        label: 'Low',
+        maxPixelRatio: 0.75,
+        shadows: false,
+        shadowMapSize: 0,
+        drawDistance: 70,
+        lodLevel: 2,
+        lightCount: 2
+    },
+    medium: {
+        label: 'Medium',
+        maxPixelRatio: 1.5,
+        shadows: true,
+        shadowMapSize: 1024,
+        drawDistance: 110,
+        lodLevel: 1,
+        lightCount: 3
+    },
+    high: {
+        label: 'High',
+        maxPixelRatio: 2,
+        shadows: true,
+        shadowMapSize: 2048,
+        drawDistance: 160,
+        lodLevel: 0,
+        lightCount: 4
+    }
+};
+
+const STORAGE_KEY = 'topdog.quality';
+const FOG_START = 0.6; // Fraction of the draw distance where the fog begins
+
+// Auto mode: drop a level when frames average slower than this over a whole sample window.
+const AUTO_SLOW_FRAME_TIME = 1 / 45;
+const AUTO_SAMPLE_SECONDS = 3;
+const AUTO_IGNORE_FRAME_TIME = 0.25; // Longer frames are hitches (tab switches, shader compiles), not load
+
+function loadSaved() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        return {
+            choice: saved.choice === 'auto' || qualityLevels.includes(saved.choice) ? saved.choice : 'auto',
+            autoLevel: qualityLevels.includes(saved.autoLevel) ? saved.autoLevel : 'high'
+        };
+    } catch {
+        return { choice: 'auto', autoLevel: 'high' };
+    }
+}
+
+// lights: every optional light in the order they're switched on (the first lightCount stay on);
+// shadowLight is the one that casts shadows. onChange(level) runs after a preset is applied.
+export function createGraphicsQuality({ renderer, scene, camera, lights, shadowLight, obstacleRenderer, onChange = () => {} }) {
+    const saved = loadSaved();
+    let choice = saved.choice;
+    let autoLevel = saved.autoLevel;
+    let level = null;
+    let sampleTime = 0;
+    let sampleFrames = 0;
+
+    scene.fog = new THREE.Fog(scene.background || 0x000000, 1, 2);
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ choice, autoLevel }));
+        } catch (error) {
+            console.warn('Could not save the graphics quality:', error);
+        }
+    }
+
+    function resetSample() {
+        sampleTime = 0;
+        sampleFrames = 0;
+    }
+
+    // Runs whenever the window (or the pixel ratio) changes size.
+    function resize() {
+        const preset = qualityPresets[level];
+        renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.maxPixelRatio));
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        camera.aspect = window.innerWidth / window.innerHeight;
+        camera.updateProjectionMatrix();
+    }
+
+    function apply(nextLevel) {
+        if (nextLevel === level) {
+            return;
+        }
+        const preset = qualityPresets[nextLevel];
+        const shadowsChanged = level === null || qualityPresets[level].shadows !== preset.shadows;
+        level = nextLevel;
+
+        renderer.shadowMap.enabled = preset.shadows;
+        shadowLight.castShadow = preset.shadows;
+        if (preset.shadows && shadowLight.shadow.mapSize.x !== preset.shadowMapSize) {
+            shadowLight.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            if (shadowLight.shadow.map) {
+                shadowLight.shadow.map.dispose(); // Recreated at the new size on the next render
+                shadowLight.shadow.map = null;
+            }
+        }
+        if (shadowsChanged) {
+            // Materials compiled with (or without) shadow support need recompiling.
+            scene.traverse((object) => {
+                if (object.material) {
+                    for (const material of [].concat(object.material)) {
+                        material.needsUpdate = true;
+                    }
+                }
+            });
+        }
+
+        camera.far = preset.drawDistance;
+        scene.fog.near = preset.drawDistance * FOG_START;
+        scene.fog.far = preset.drawDistance;
+        lights.forEach((light, index) => {
+            light.visible = index < preset.lightCount;
+        });
+        obstacleRenderer.setLodLevel(preset.lodLevel);
+        resize();
+        resetSample();
+        onChange(level);
+    }
+
+    // 'auto' or one of qualityLevels. Switching to auto starts it from the top again.
+    function setChoice(nextChoice) {
+        if (nextChoice === 'auto' && choice !== 'auto') {
+            autoLevel = qualityLevels[qualityLevels.length - 1];
+        }
+        choice = nextChoice;
+        save();
+        apply(choice === 'auto' ? autoLevel : choice);
+    }
+
+    // Call every frame of play with the real frame time; only does anything in auto mode.
+    function sampleFrame(frameDelta) {
+        if (choice !== 'auto' || frameDelta > AUTO_IGNORE_FRAME_TIME) {
+            return;
+        }
+        sampleTime += frameDelta;
+        sampleFrames++;
+        if (sampleTime < AUTO_SAMPLE_SECONDS) {
+            return;
+        }
+        const averageFrameTime = sampleTime / sampleFrames;
+        resetSample();
+        const index = qualityLevels.indexOf(level);
+        if (averageFrameTime > AUTO_SLOW_FRAME_TIME && index > 0) {
+            // Only ever steps down: stepping back up would flip-flop on a device near the threshold.
+            autoLevel = qualityLevels[index - 1];
+            save();
+            console.info(`Graphics quality lowered to ${autoLevel}: frames averaged ${(averageFrameTime * 1000).toFixed(1)}ms.`);
+            apply(autoLevel);
+        }
+    }
+
+    window.addEventListener('resize', resize);
+    apply(choice === 'auto' ? autoLevel : choice);
+
+    return {
+        setChoice,
+        sampleFrame,
+        get choice() {
+            return choice;
+        },
+        get level() {
+            return level;
+        }
+    };
+}
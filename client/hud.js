@@ -0,0 +1,56 @@
+// In-run HUD: distance, score, lives, combo multiplier, active power-ups, (trial mode or a race)
+// the timer to the finish line and the race position, read from the simulation state.
+// Only touches the DOM when a value actually changes.
+import { getPowerUpType } from '../game/powerups.mjs';
+
+export function createHud() {
+    const elements = {
+        distance: document.getElementById('distanceDisplay'),
+        score: document.getElementById('scoreDisplay'),
+        lives: document.getElementById('livesDisplay'),
+        combo: document.getElementById('comboDisplay'),
+        timer: document.getElementById('timerDisplay'),
+        race: document.getElementById('raceDisplay'),
+        powerUps: document.getElementById('powerUpDisplay')
+    };
+    const shown = {};
+
+    function setText(key, text) {
+        if (shown[key] !== text) {
+            shown[key] = text;
+            elements[key].textContent = text;
+        }
+    }
+
+    // race: the multiplayer race this run is part of, if any ({ standing: { place, total } })
+    function update(state, race = null) {
+        const score = state.score;
+        setText('distance', `Distance: ${Math.floor(state.distanceCovered)}`);
+        setText('score', `Score: ${score.points}`);
+        setText('lives', `Lives: ${'❤'.repeat(score.livesRemaining)}`);
+        setText('combo', score.multiplier > 1 ? `Combo x${score.multiplier} (${score.combo})` : '');
+        let powerUps = '';
+        for (const effect of state.activePowerUps) {
+            powerUps += `${powerUps ? ' | ' : ''}${getPowerUpType(effect.type).label} ${Math.ceil(effect.remaining)}s`;
+        }
+        setText('powerUps', powerUps);
+        if (state.finishDistance !== null) {
+            const remaining = Math.max(0, state.finishDistance - state.distanceCovered);
+            const penalty = score.timePenalty > 0 ? ` +${score.timePenalty}s` : '';
+            setText('timer', `Time: ${state.time.toFixed(1)}s${penalty} | Finish in ${Math.ceil(remaining)}`);
+        } else {
+            setText('timer', '');
+        }
+        setText('race', race && race.standing ? `Race: ${race.standing.place} / ${race.standing.total}` : '');
+    }
+
+    return { update };
+}
+
+// Event bus plugin (see game/events.mjs) that refreshes the HUD every frame.
+export function createHudPlugin(hud) {
+    return {
+        id: 'hud',
+        frame: ({ state, race }) => hud.update(state, race)
+    };
+}
@@ -0,0 +1,225 @@
+// Player input: keyboard (rebindable), touch swipes and the Gamepad API,
+// all folded into the { left, right, jump, crouch } shape the simulation's step() takes.
+
+const BINDINGS_STORAGE_KEY = 'topdog.keyBindings';
+
+export const inputActions = ['left', 'right', 'jump', 'crouch'];
+
+export const defaultKeyBindings = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump: ['ArrowUp', 'KeyW', 'Space'],
+    crouch: ['ArrowDown', 'KeyS']
+};
+
+const SWIPE_MIN_DISTANCE = 30; // px
+const SWIPE_CROUCH_DURATION = 600; // ms a swipe-down keeps the player crouched
+const GAMEPAD_STICK_DEADZONE = 0.5;
+
+// Standard gamepad mapping button indices
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    b: 1,
+    dpadUp: 12,
+    dpadDown: 13,
+    dpadLeft: 14,
+    dpadRight: 15
+};
+
+const GAMEPAD_EDGE_ACTIONS = ['left', 'right', 'jump'];
+const NO_GAMEPADS = [];
+
+function isButtonPressed(pad, index) {
+    return Boolean(pad.buttons[index] && pad.buttons[index].pressed);
+}
+
+function loadKeyBindings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY));
+        if (saved && typeof saved === 'object') {
+            const bindings = {};
+            for (const action of inputActions) {
+                bindings[action] = Array.isArray(saved[action]) ? saved[action] : defaultKeyBindings[action].slice();
+            }
+            return bindings;
+        }
+    } catch (error) {
+        console.warn('Could not read saved key bindings, using defaults.', error);
+    }
+    return JSON.parse(JSON.stringify(defaultKeyBindings));
+}
+
+export function createInputController({ keyTarget = window, touchTarget = document.body } = {}) {
+    let keyBindings = loadKeyBindings();
+    const pressed = { left: false, right: false, jump: false }; // edges since the last consume()
+    const currentInput = { left: false, right: false, jump: false, crouch: false };
+    const heldKeys = new Set();
+    let touchCrouchUntil = 0;
+    let touchStart = null;
+    // Gamepad levels this poll and the last one; swapped every poll rather than reallocated.
+    let currentGamepad = { left: false, right: false, jump: false };
+    let previousGamepad = { left: false, right: false, jump: false };
+    let gamepadCrouch = false;
+    let rebindListener = null;
+
+    function actionForKey(code) {
+        return inputActions.find((action) => keyBindings[action].includes(code)) || null;
+    }
+
+    function onKeyDown(event) {
+        if (rebindListener) {
+            return;
+        }
+        const action = actionForKey(event.code);
+        if (!action) {
+            return;
+        }
+        event.preventDefault();
+        if (!event.repeat && action !== 'crouch') {
+            pressed[action] = true;
+        }
+        heldKeys.add(event.code);
+    }
+
+    function onKeyUp(event) {
+        heldKeys.delete(event.code);
+    }
+
+    function onTouchStart(event) {
+        const touch = event.changedTouches[0];
+        touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+
+    function onTouchEnd(event) {
+        if (!touchStart) {
+            return;
+        }
+        const touch = event.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        touchStart = null;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < SWIPE_MIN_DISTANCE) {
+            pressed.jump = true; // A tap jumps
+            return;
+        }
+        if (Math.abs(dx) > Math.abs(dy)) {
+            pressed[dx < 0 ? 'left' : 'right'] = true;
+        } else if (dy < 0) {
+            pressed.jump = true;
+        } else {
+            touchCrouchUntil = performance.now() + SWIPE_CROUCH_DURATION;
+        }
+    }
+
+    function pollGamepads() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : NO_GAMEPADS;
+        const current = currentGamepad;
+        current.left = current.right = current.jump = false;
+        gamepadCrouch = false;
+        for (const pad of pads) {
+            if (!pad) {
+                continue;
+            }
+            const stickX = pad.axes[0] || 0;
+            const stickY = pad.axes[1] || 0;
+            current.left = current.left || isButtonPressed(pad, GAMEPAD_BUTTONS.dpadLeft) ||
+                stickX < -GAMEPAD_STICK_DEADZONE;
+            current.right = current.right || isButtonPressed(pad, GAMEPAD_BUTTONS.dpadRight) ||
+                stickX > GAMEPAD_STICK_DEADZONE;
+            current.jump = current.jump || isButtonPressed(pad, GAMEPAD_BUTTONS.a) ||
+                isButtonPressed(pad, GAMEPAD_BUTTONS.dpadUp);
+            gamepadCrouch = gamepadCrouch || isButtonPressed(pad, GAMEPAD_BUTTONS.b) ||
+                isButtonPressed(pad, GAMEPAD_BUTTONS.dpadDown) || stickY > GAMEPAD_STICK_DEADZONE;
+        }
+        // Buttons and sticks are levels; only the transition to "down" counts as a press.
+        for (const action of GAMEPAD_EDGE_ACTIONS) {
+            if (current[action] && !previousGamepad[action]) {
+                pressed[action] = true;
+            }
+        }
+        currentGamepad = previousGamepad;
+        previousGamepad = current;
+    }
+
+    function isCrouchHeld() {
+        for (const code of keyBindings.crouch) {
+            if (heldKeys.has(code)) {
+                return true;
+            }
+        }
+        return gamepadCrouch || performance.now() < touchCrouchUntil;
+    }
+
+    // Input for the next simulation step(s). Call consume() once the simulation has used it.
+    // The same object is refilled every call, so don't keep it past the frame.
+    function getInput() {
+        pollGamepads();
+        currentInput.left = pressed.left;
+        currentInput.right = pressed.right;
+        currentInput.jump = pressed.jump;
+        currentInput.crouch = isCrouchHeld();
+        return currentInput;
+    }
+
+    function consume() {
+        pressed.left = false;
+        pressed.right = false;
+        pressed.jump = false;
+    }
+
+    function getKeyBindings() {
+        return JSON.parse(JSON.stringify(keyBindings));
+    }
+
+    function setKeyBinding(action, codes) {
+        if (!inputActions.includes(action)) {
+            console.error(`Unknown input action: ${action}`);
+            return;
+        }
+        // A key can only drive one action.
+        for (const other of inputActions) {
+            keyBindings[other] = keyBindings[other].filter((code) => !codes.includes(code));
+        }
+        keyBindings[action] = codes.slice();
+        try {
+            localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(keyBindings));
+        } catch (error) {
+            console.warn('Could not save the key bindings:', error);
+        }
+    }
+
+    function resetKeyBindings() {
+        keyBindings = JSON.parse(JSON.stringify(defaultKeyBindings));
+        try {
+            localStorage.removeItem(BINDINGS_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not reset the saved key bindings:', error);
+        }
+    }
+
+    // Waits for the next key press and binds it to `action`. Escape cancels.
+    function captureKeyBinding(action) {
+        return new Promise((resolve) => {
+            rebindListener = (event) => {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                keyTarget.removeEventListener('keydown', rebindListener, true);
+                rebindListener = null;
+                if (event.code === 'Escape') {
+                    resolve(null);
+                    return;
+                }
+                setKeyBinding(action, [event.code]);
+                resolve(event.code);
+            };
+            keyTarget.addEventListener('keydown', rebindListener, true);
+        });
+    }
+
+    keyTarget.addEventListener('keydown', onKeyDown);
+    keyTarget.addEventListener('keyup', onKeyUp);
+    touchTarget.addEventListener('touchstart', onTouchStart, { passive: true });
+    touchTarget.addEventListener('touchend', onTouchEnd, { passive: true });
+
+    return { getInput, consume, getKeyBindings, setKeyBinding, resetKeyBindings, captureKeyBinding };
+}
@@ -0,0 +1,123 @@
+// Game-over leaderboard: submits the finished run to the server (see leaderboard/leaderboardRoutes.js),
+// shows where it placed and the top of its board.
+// The player's name is remembered; once it's known, runs are submitted automatically.
+const PLAYER_NAME_STORAGE_KEY = 'topdog.playerName';
+const TOP_ENTRIES_SHOWN = 5;
+
+function loadPlayerName() {
+    try {
+        return localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+    } catch (error) {
+        return '';
+    }
+}
+
+function savePlayerName(name) {
+    try {
+        localStorage.setItem(PLAYER_NAME_STORAGE_KEY, name);
+    } catch (error) {
+        console.warn('Could not save the player name:', error);
+    }
+}
+
+async function requestJson(url, options) {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error((body.errors || [`HTTP ${response.status}`]).join(' '));
+    }
+    return body;
+}
+
+function describeBoard(run) {
+    const board = run.mode === 'trial' ? run.course : `${run.laneCount}-lane endless (${run.difficulty})`;
+    return run.daily ? `${board} (${run.daily})` : board;
+}
+
+export function createLeaderboardPanel() {
+    const elements = {
+        name: document.getElementById('playerName'),
+        submit: document.getElementById('submitRun'),
+        placement: document.getElementById('runPlacement'),
+        table: document.getElementById('leaderboardTable')
+    };
+    let pendingRun = null; // The run shown on the game-over screen until it's been submitted
+
+    elements.name.value = loadPlayerName();
+
+    function renderTable(entries, highlightId) {
+        elements.table.replaceChildren();
+        for (const entry of entries) {
+            const tr = document.createElement('tr');
+            tr.classList.toggle('ownRun', entry.id === highlightId);
+            const result = entry.mode === 'trial' && entry.finished
+                ? `${entry.courseTime.toFixed(2)}s`
+                : `${entry.score} (${Math.floor(entry.distance)})`;
+            for (const text of [`#${entry.rank}`, entry.playerName, result]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            }
+            elements.table.appendChild(tr);
+        }
+    }
+
+    async function submit() {
+        let placementShown = false;
+        const playerName = elements.name.value.trim();
+        if (!pendingRun || !playerName) {
+            elements.placement.textContent = 'Enter a name to submit this run.';
+            return;
+        }
+        savePlayerName(playerName);
+        const run = { ...pendingRun, playerName };
+        pendingRun = null;
+        elements.submit.disabled = true;
+        elements.placement.textContent = 'Submitting...';
+        try {
+            const { run: stored, placement } = await requestJson('./api/runs', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(run)
+            });
+            elements.placement.textContent = `Placed #${placement.rank} of ${placement.total} on ${describeBoard(stored)}`;
+            placementShown = true;
+            const query = new URLSearchParams({
+                mode: stored.mode,
+                laneCount: stored.laneCount,
+                difficulty: stored.difficulty,
+                limit: TOP_ENTRIES_SHOWN
+            });
+            if (stored.course) {
+                query.set('course', stored.course);
+            }
+            if (stored.daily) {
+                query.set('daily', stored.daily);
+            }
+            const { entries } = await requestJson(`./api/leaderboard?${query}`);
+            renderTable(entries, stored.id);
+        } catch (error) {
+            console.error('Run submission failed:', error);
+            elements.placement.textContent = `Could not submit this run: ${error.message}`;
+            if (!placementShown) {
+                pendingRun = run; // Let the button retry it
+                elements.submit.disabled = false;
+            }
+        }
+    }
+
+    // Call on game over with the run summary (everything but playerName).
+    function show(run) {
+        pendingRun = run;
+        elements.table.replaceChildren();
+        elements.placement.textContent = '';
+        elements.submit.disabled = false;
+        if (elements.name.value.trim()) {
+            submit();
+        }
+    }
+
+    elements.submit.addEventListener('click', submit);
+
+    return { show };
+}
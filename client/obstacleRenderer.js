@@ -0,0 +1,279 @@
+// Draws the simulation's obstacles without creating or destroying scene objects as they come and go.
+// Simple models (a few static meshes) are drawn as one THREE.InstancedMesh per mesh, sharing the
+// model's geometry and materials; the instance matrices are rewritten every frame. Anything else
+// (skinned or morphing models, or models with many parts) falls back to a per-model pool of clones,
+// which also share geometry and materials, that are hidden and reused instead of removed.
+// setLodLevel switches every model to its lower-detail variant (see obstacleModelLods in game/assets.mjs).
+import * as THREE from 'three';
+import { createPlaceholderModel } from './assetLoader.js';
+
+const MAX_INSTANCED_PARTS = 8;
+const INITIAL_INSTANCE_CAPACITY = 8; // Doubled whenever a model needs more at once
+
+// Scratch objects reused every frame
+const scratchMatrix = new THREE.Matrix4();
+const scratchPosition = new THREE.Vector3();
+const scratchQuaternion = new THREE.Quaternion();
+const scratchEuler = new THREE.Euler();
+const scratchScale = new THREE.Vector3();
+
+function canInstance(model) {
+    let meshCount = 0;
+    let instanceable = true;
+    model.traverse((object) => {
+        if (object.isMesh) {
+            meshCount++;
+            if (object.isSkinnedMesh || object.morphTargetInfluences) {
+                instanceable = false;
+            }
+        }
+    });
+    return instanceable && meshCount <= MAX_INSTANCED_PARTS;
+}
+
+// Each mesh of the model with its transform relative to the model's root.
+function collectParts(model) {
+    model.updateMatrixWorld(true);
+    const rootInverse = new THREE.Matrix4().copy(model.matrixWorld).invert();
+    const parts = [];
+    model.traverse((object) => {
+        if (object.isMesh) {
+            parts.push({
+                source: object,
+                offset: new THREE.Matrix4().multiplyMatrices(rootInverse, object.matrixWorld)
+            });
+        }
+    });
+    return parts;
+}
+
+function createInstancedBatch(scene, model) {
+    const parts = collectParts(model);
+    let capacity = 0;
+    let meshes = [];
+    let count = 0;
+
+    // Rare: only when a model needs more instances than ever before. Instances so far are kept.
+    function allocate(newCapacity) {
+        const previous = meshes;
+        capacity = newCapacity;
+        meshes = parts.map(({ source }, index) => {
+            const mesh = new THREE.InstancedMesh(source.geometry, source.material, capacity);
+            mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+            if (previous[index]) {
+                mesh.instanceMatrix.array.set(previous[index].instanceMatrix.array);
+            }
+            mesh.castShadow = source.castShadow;
+            mesh.receiveShadow = source.receiveShadow;
+            mesh.frustumCulled = false; // Instances spread along the track; the geometry's bounds don't cover them
+            mesh.count = 0;
+            scene.add(mesh);
+            return mesh;
+        });
+        for (const mesh of previous) {
+            scene.remove(mesh);
+            mesh.dispose(); // Only the instance buffer; geometry and materials stay shared
+        }
+    }
+    allocate(INITIAL_INSTANCE_CAPACITY);
+
+    return {
+        isInstanced: true,
+        begin() {
+            count = 0;
+        },
+        // matrix: the obstacle's placement (position, rotation, scale)
+        add(matrix) {
+            if (count === capacity) {
+                allocate(capacity * 2);
+            }
+            for (let i = 0; i < parts.length; i++) {
+                scratchMatrix.multiplyMatrices(matrix, parts[i].offset);
+                meshes[i].setMatrixAt(count, scratchMatrix);
+            }
+            count++;
+        },
+        end() {
+            for (const mesh of meshes) {
+                mesh.count = count;
+                mesh.instanceMatrix.needsUpdate = true;
+            }
+        },
+        get count() {
+            return count;
+        },
+        get capacity() {
+            return capacity;
+        },
+        dispose() {
+            for (const mesh of meshes) {
+                scene.remove(mesh);
+                mesh.dispose();
+            }
+        }
+    };
+}
+
+function createClonePool(scene, model) {
+    const free = [];
+    const all = [];
+    return {
+        isInstanced: false,
+        acquire() {
+            let clone = free.pop();
+            if (!clone) {
+                clone = model.clone(); // Object3D.clone shares geometry and materials
+                clone.matrixAutoUpdate = false; // Placed by writing its matrix directly
+                all.push(clone);
+                scene.add(clone);
+            }
+            clone.visible = true;
+            return clone;
+        },
+        release(clone) {
+            clone.visible = false;
+            free.push(clone);
+        },
+        get created() {
+            return all.length;
+        },
+        get spare() {
+            return free.length;
+        },
+        dispose() {
+            for (const clone of all) {
+                scene.remove(clone);
+            }
+        }
+    };
+}
+
+// models: Map of obstacle model file -> preloaded model (see main.js loadAssets). A model missing
+// from it wasn't in the asset manifest and is drawn (and remembered) as a placeholder.
+// lodModels: Map of obstacle model file -> its preloaded LOD variants, indexed by level.
+export function createObstacleRenderer(scene, models, lodModels = new Map()) {
+    const batches = new Map(); // model file -> instanced batch or clone pool
+    const clones = new Map(); // obstacle id -> { pool, clone, seen } for pooled models
+    const placement = new THREE.Matrix4();
+    let frame = 0;
+    let lodLevel = 0;
+
+    // The model to draw for a file at the current LOD level.
+    function modelFor(modelFile) {
+        const variants = lodModels.get(modelFile);
+        for (let level = lodLevel; variants && level > 0; level--) {
+            if (variants[level]) {
+                return variants[level];
+            }
+        }
+        let model = models.get(modelFile);
+        if (!model) {
+            console.warn(`Obstacle model ${modelFile} is not in the asset manifest; showing a placeholder.`);
+            model = createPlaceholderModel({ kind: 'obstacle', key: modelFile });
+            models.set(modelFile, model);
+        }
+        return model;
+    }
+
+    function batchFor(modelFile) {
+        let batch = batches.get(modelFile);
+        if (!batch) {
+            const model = modelFor(modelFile);
+            batch = canInstance(model) ? createInstancedBatch(scene, model) : createClonePool(scene, model);
+            batches.set(modelFile, batch);
+        }
+        return batch;
+    }
+
+    function placementFor(obstacle, config) {
+        scratchPosition.set(obstacle.x, obstacle.y, obstacle.z);
+        scratchQuaternion.setFromEuler(scratchEuler.fromArray(config.rotation));
+        scratchScale.fromArray(config.scale);
+        return placement.compose(scratchPosition, scratchQuaternion, scratchScale);
+    }
+
+    // Call once per frame after the simulation has stepped.
+    // getConfigFor: the simulation's getConfigFor (scale/rotation, including course overrides).
+    function sync(obstacles, getConfigFor) {
+        frame++;
+        for (const batch of batches.values()) {
+            if (batch.isInstanced) {
+                batch.begin();
+            }
+        }
+        for (const obstacle of obstacles) {
+            const batch = batchFor(obstacle.type);
+            const matrix = placementFor(obstacle, getConfigFor(obstacle));
+            if (batch.isInstanced) {
+                batch.add(matrix);
+                continue;
+            }
+            let entry = clones.get(obstacle.id);
+            if (!entry) {
+                entry = { pool: batch, clone: batch.acquire(), seen: 0 };
+                entry.clone.userData.obstacleId = obstacle.id;
+                clones.set(obstacle.id, entry);
+            }
+            entry.seen = frame;
+            entry.clone.matrix.copy(matrix);
+        }
+        for (const batch of batches.values()) {
+            if (batch.isInstanced) {
+                batch.end();
+            }
+        }
+        for (const [id, entry] of clones) {
+            if (entry.seen !== frame) {
+                entry.pool.release(entry.clone);
+                clones.delete(id);
+            }
+        }
+    }
+
+    // Call when a new run starts; obstacle ids restart from 1. Pools and batches are kept for reuse.
+    function reset() {
+        for (const entry of clones.values()) {
+            entry.pool.release(entry.clone);
+        }
+        clones.clear();
+        for (const batch of batches.values()) {
+            if (batch.isInstanced) {
+                batch.begin();
+                batch.end();
+            }
+        }
+    }
+
+    // 0 is the full models. Batches and pools are rebuilt from the new models on the next sync.
+    function setLodLevel(level) {
+        if (level === lodLevel) {
+            return;
+        }
+        lodLevel = level;
+        for (const batch of batches.values()) {
+            batch.dispose();
+        }
+        batches.clear();
+        clones.clear();
+    }
+
+    // For the performance overlay.
+    function getStats() {
+        let instanced = 0;
+        let instanceCapacity = 0;
+        let pooled = 0;
+        let spare = 0;
+        for (const batch of batches.values()) {
+            if (batch.isInstanced) {
+                instanced += batch.count;
+                instanceCapacity += batch.capacity;
+            } else {
+                pooled += batch.created - batch.spare;
+                spare += batch.spare;
+            }
+        }
+        return { instanced, instanceCapacity, pooled, spare };
+    }
+
+    return { sync, reset, setLodLevel, getStats };
+}
@@ -0,0 +1,111 @@
+// Frame-time and allocation overlay, for measuring rendering changes on real devices.
+// Shows the CPU time spent per frame (average and worst over the last second) and the frame rate,
+// JS heap growth and the number of times the heap shrank (each one a garbage collection), draw calls
+// and the obstacle renderer's pool counts. Heap figures need performance.memory, which only
+// Chromium browsers have.
+// Toggle with F3 or start with ?perf.
+
+const SAMPLE_WINDOW = 1000; // ms between overlay updates
+const BYTES_PER_MB = 1024 * 1024;
+
+export function createPerfOverlay({ enabled = false } = {}) {
+    const element = document.getElementById('perfOverlay');
+    let windowStart = performance.now();
+    let frameStart = 0;
+    let frames = 0;
+    let totalFrameTime = 0;
+    let worstFrameTime = 0;
+    let lastHeap = null;
+    let heapGrowth = 0; // bytes allocated this window, counting only increases
+    let collections = 0; // heap shrinks this window
+    let latestInfo = null;
+    let latestStats = null;
+
+    function resetWindow(now) {
+        windowStart = now;
+        frames = 0;
+        totalFrameTime = 0;
+        worstFrameTime = 0;
+        heapGrowth = 0;
+        collections = 0;
+    }
+
+    function setEnabled(value) {
+        enabled = value;
+        element.classList.toggle('hidden', !enabled);
+        lastHeap = null;
+        resetWindow(performance.now());
+    }
+
+    function sampleHeap() {
+        if (!performance.memory) {
+            return;
+        }
+        const heap = performance.memory.usedJSHeapSize;
+        if (lastHeap !== null) {
+            if (heap >= lastHeap) {
+                heapGrowth += heap - lastHeap;
+            } else {
+                collections++;
+            }
+        }
+        lastHeap = heap;
+    }
+
+    function render(elapsed) {
+        const lines = [
+            `Frame CPU ${(totalFrameTime / frames).toFixed(2)} ms avg, ${worstFrameTime.toFixed(2)} ms worst ` +
+                `(${Math.round(frames * 1000 / elapsed)} fps)`
+        ];
+        if (performance.memory) {
+            lines.push(`Heap ${(lastHeap / BYTES_PER_MB).toFixed(1)} MB, ` +
+                `+${(heapGrowth / BYTES_PER_MB * 1000 / elapsed).toFixed(2)} MB/s allocated, ${collections} GC`);
+        } else {
+            lines.push('Heap: not available in this browser');
+        }
+        if (latestInfo) {
+            lines.push(`Draw calls ${latestInfo.render.calls}, triangles ${latestInfo.render.triangles}, ` +
+                `geometries ${latestInfo.memory.geometries}`);
+        }
+        if (latestStats) {
+            lines.push(`Obstacles: ${latestStats.instanced} instanced (capacity ${latestStats.instanceCapacity}), ` +
+                `${latestStats.pooled} pooled clones, ${latestStats.spare} spare`);
+        }
+        element.textContent = lines.join('\n');
+    }
+
+    // Call at the start of the frame's work.
+    function begin() {
+        frameStart = performance.now();
+    }
+
+    // Call after rendering. info: renderer.info; getStats: the obstacle renderer's getStats.
+    function end(info, getStats) {
+        if (!enabled) {
+            return;
+        }
+        const now = performance.now();
+        const frameTime = now - frameStart;
+        frames++;
+        totalFrameTime += frameTime;
+        worstFrameTime = Math.max(worstFrameTime, frameTime);
+        sampleHeap();
+        if (now - windowStart < SAMPLE_WINDOW) {
+            return;
+        }
+        latestInfo = info;
+        latestStats = getStats();
+        render(now - windowStart);
+        resetWindow(now);
+    }
+
+    window.addEventListener('keydown', (event) => {
+        if (event.code === 'F3') {
+            event.preventDefault();
+            setEnabled(!enabled);
+        }
+    });
+    setEnabled(enabled);
+
+    return { begin, end, setEnabled };
+}
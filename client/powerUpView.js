@@ -0,0 +1,89 @@
+// Renders the simulation's power-up pickups.
+import * as THREE from 'three';
+import { getPowerUpType } from '../game/powerups.mjs';
+
+const SPIN_SPEED = 2; // radians per second
+
+const fallbackGeometries = {
+    sphere: () => new THREE.SphereGeometry(0.3, 16, 12),
+    box: () => new THREE.BoxGeometry(0.45, 0.45, 0.45),
+    torus: () => new THREE.TorusGeometry(0.25, 0.08, 8, 20),
+    octahedron: () => new THREE.OctahedronGeometry(0.32)
+};
+
+function buildFallback(type) {
+    const makeGeometry = fallbackGeometries[type.fallback.shape] || fallbackGeometries.sphere;
+    const material = new THREE.MeshStandardMaterial({
+        color: type.fallback.color,
+        emissive: type.fallback.color,
+        emissiveIntensity: 0.4
+    });
+    return new THREE.Mesh(makeGeometry(), material);
+}
+
+// models: preloaded power-up models by type id (see client/assetLoader.js); types without one, or
+// whose model failed, are drawn as their fallback primitive.
+// Meshes are pooled per type: a collected or passed pickup's mesh is hidden and reused by the next one.
+export function createPowerUpView(scene, models = new Map()) {
+    const templates = new Map(); // type id -> Object3D
+    const freeMeshes = new Map(); // type id -> hidden meshes ready for reuse
+    const pickupMeshes = new Map(); // pickup id -> { type, mesh, seen }
+    let frame = 0;
+
+    function templateFor(typeId) {
+        let template = templates.get(typeId);
+        if (!template) {
+            template = models.get(typeId) || buildFallback(getPowerUpType(typeId));
+            templates.set(typeId, template);
+            freeMeshes.set(typeId, []);
+        }
+        return template;
+    }
+
+    function acquireMesh(typeId) {
+        const template = templateFor(typeId);
+        let mesh = freeMeshes.get(typeId).pop();
+        if (!mesh) {
+            mesh = template.clone(); // Shares the template's geometry and materials
+            scene.add(mesh);
+        }
+        mesh.visible = true;
+        return mesh;
+    }
+
+    function releaseMesh(id) {
+        const entry = pickupMeshes.get(id);
+        entry.mesh.visible = false;
+        freeMeshes.get(entry.type).push(entry.mesh);
+        pickupMeshes.delete(id);
+    }
+
+    // Call once per frame after the simulation has stepped.
+    function sync(state) {
+        frame++;
+        const spin = state.time * SPIN_SPEED;
+        for (const pickup of state.pickups) {
+            let entry = pickupMeshes.get(pickup.id);
+            if (!entry) {
+                entry = { type: pickup.type, mesh: acquireMesh(pickup.type), seen: 0 };
+                pickupMeshes.set(pickup.id, entry);
+            }
+            entry.seen = frame;
+            entry.mesh.position.set(pickup.x, pickup.y, pickup.z);
+            entry.mesh.rotation.y = spin;
+        }
+        for (const [id, entry] of pickupMeshes) {
+            if (entry.seen !== frame) {
+                releaseMesh(id);
+            }
+        }
+    }
+
+    function reset() {
+        for (const id of [...pickupMeshes.keys()]) {
+            releaseMesh(id);
+        }
+    }
+
+    return { sync, reset }; // reset: call when a new run starts; pickup ids restart from 1
+}
@@ -0,0 +1,196 @@
+// Multiplayer lobby: the connection to the race server and the lobby panel on the main menu.
+// Protocol is documented in multiplayer/gameStateHandler.js. main.js gets the race-relevant
+// messages through the callbacks:
+//   onStart({ seed, laneCount, raceDistance })     the countdown finished; start a run with these settings
+//   onSnapshot(snapshot, playerId)                 every server tick while racing
+//   onFinish({ playerId, name, place }, playerId)  someone crossed the finish line (playerId is ours)
+//   onResults(standings)                           everyone is done
+const MULTIPLAYER_PATH = '/multiplayer';
+const STATE_SEND_INTERVAL_MS = 50; // Matches the server's snapshot tick
+
+export function createRaceLobby(callbacks) {
+    const elements = {
+        name: document.getElementById('raceName'),
+        room: document.getElementById('raceRoom'),
+        laneCount: document.getElementById('raceLaneCount'),
+        join: document.getElementById('joinRace'),
+        joinForm: document.getElementById('raceJoinForm'),
+        lobby: document.getElementById('raceLobby'),
+        roomInfo: document.getElementById('raceRoomInfo'),
+        players: document.getElementById('racePlayers'),
+        ready: document.getElementById('raceReady'),
+        leave: document.getElementById('leaveRace'),
+        status: document.getElementById('raceStatus')
+    };
+    let socket = null;
+    let playerId = null;
+    let room = null;
+    let isReady = false;
+    let lastStateSentAt = 0;
+    let inputsSent = 0; // How much of this race's input log the server already has
+
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    function showJoinForm(statusText = '') {
+        elements.joinForm.classList.remove('hidden');
+        elements.lobby.classList.add('hidden');
+        elements.status.textContent = statusText;
+    }
+
+    function renderPlayers(players) {
+        elements.players.replaceChildren();
+        for (const player of players) {
+            const item = document.createElement('li');
+            item.textContent = `${player.name}${player.id === playerId ? ' (you)' : ''}: ${player.ready ? 'ready' : 'not ready'}`;
+            elements.players.appendChild(item);
+        }
+    }
+
+    const messageHandlers = {
+        welcome(message) {
+            playerId = message.playerId;
+            room = message.room;
+            isReady = false;
+            elements.ready.textContent = 'Ready';
+            elements.joinForm.classList.add('hidden');
+            elements.lobby.classList.remove('hidden');
+            elements.roomInfo.textContent =
+                `Room ${room.id}: ${room.laneCount} lanes, race to ${room.raceDistance}`;
+            elements.status.textContent = '';
+        },
+        lobby(message) {
+            renderPlayers(message.players);
+            if (message.phase === 'lobby') {
+                isReady = message.players.some((player) => player.id === playerId && player.ready);
+                elements.ready.textContent = isReady ? 'Not ready' : 'Ready';
+                elements.status.textContent = '';
+            }
+        },
+        countdown(message) {
+            elements.status.textContent = `Starting in ${message.seconds}...`;
+        },
+        start(message) {
+            elements.status.textContent = 'Racing!';
+            inputsSent = 0;
+            callbacks.onStart({ seed: message.seed, laneCount: message.laneCount, raceDistance: message.raceDistance });
+        },
+        snapshot(message) {
+            callbacks.onSnapshot(message, playerId);
+        },
+        finish(message) {
+            callbacks.onFinish(message, playerId);
+        },
+        results(message) {
+            callbacks.onResults(message.standings);
+        },
+        error(message) {
+            elements.status.textContent = message.message;
+        }
+    };
+
+    function join() {
+        if (socket) {
+            return;
+        }
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        socket = new WebSocket(`${protocol}//${window.location.host}${MULTIPLAYER_PATH}`);
+        elements.status.textContent = 'Connecting...';
+        socket.addEventListener('open', () => {
+            send({
+                type: 'join',
+                room: elements.room.value.trim() || 'lobby',
+                name: elements.name.value.trim(),
+                laneCount: Number(elements.laneCount.value)
+            });
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Bad message from the race server:', error);
+                return;
+            }
+            const handler = messageHandlers[message.type];
+            if (handler) {
+                handler(message);
+            }
+        });
+        socket.addEventListener('close', () => {
+            socket = null;
+            playerId = null;
+            room = null;
+            showJoinForm('Disconnected from the race server.');
+        });
+        socket.addEventListener('error', () => {
+            elements.status.textContent = 'Could not reach the race server.';
+        });
+    }
+
+    function leave() {
+        if (!socket) {
+            return;
+        }
+        send({ type: 'leave' });
+        socket.close();
+    }
+
+    // Report local progress while racing; throttled to the server tick unless `force` (final state).
+    // inputRecorder is the run's (see game/replay.mjs): its new entries go along for spectators.
+    function sendState(state, status, force = false, inputRecorder = null) {
+        const now = performance.now();
+        if (!force && now - lastStateSentAt < STATE_SEND_INTERVAL_MS) {
+            return;
+        }
+        lastStateSentAt = now;
+        const inputs = inputRecorder ? inputRecorder.getInputs() : null;
+        send({
+            type: 'state',
+            lane: state.player.lane,
+            x: state.player.x,
+            y: state.player.y,
+            distance: state.distanceCovered,
+            points: state.score.points,
+            faults: state.score.faults.length,
+            livesRemaining: state.score.livesRemaining,
+            status,
+            tick: inputs ? inputRecorder.getTicks() : undefined,
+            inputs: inputs ? inputs.slice(inputsSent) : undefined
+        });
+        if (inputs) {
+            inputsSent = inputs.length;
+        }
+    }
+
+    elements.join.addEventListener('click', join);
+    elements.leave.addEventListener('click', leave);
+    elements.ready.addEventListener('click', () => send({ type: 'ready', ready: !isReady }));
+
+    return {
+        sendState,
+        leave,
+        isConnected: () => socket !== null
+    };
+}
+
+// Event bus plugin (see game/events.mjs) reporting a live race run's progress to the server.
+// getInputRecorder returns the current run's input recorder.
+export function createRaceSyncPlugin(raceLobby, getInputRecorder) {
+    return {
+        id: 'raceSync',
+        frame({ state, race, live }) {
+            if (race && live && !state.isGameOver) {
+                raceLobby.sendState(state, 'running', false, getInputRecorder());
+            }
+        },
+        gameOver({ state, race, finished }) {
+            if (race) {
+                raceLobby.sendState(state, finished ? 'finished' : 'out', true, getInputRecorder());
+            }
+        }
+    };
+}
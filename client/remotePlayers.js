@@ -0,0 +1,88 @@
+// Other racers in a multiplayer room, drawn as extra player cubes in their lanes.
+// Snapshots arrive at the server's tick (see multiplayer/gameStateHandler.js); each racer is drawn a
+// little in the past and interpolated between the two snapshots around that moment, so movement stays
+// smooth between ticks. Their Z comes from how far ahead or behind the local player they are.
+import * as THREE from 'three';
+import { playerSettings } from '../game/config.mjs';
+
+const INTERPOLATION_DELAY_MS = 100; // two snapshots at 20 per second
+const MAX_BUFFERED_SNAPSHOTS = 20;
+const COLOURS = [0x00c0ff, 0xffa000, 0x40ff40, 0xff40ff, 0xffff40, 0x40ffff, 0xff8080];
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+export function createRemotePlayersView(scene) {
+    const geometry = new THREE.BoxGeometry(...playerSettings.size);
+    const racers = new Map(); // player id -> { mesh, samples: [{ time, x, y, distance }] }
+
+    function addRacer(id) {
+        const material = new THREE.MeshStandardMaterial({
+            color: COLOURS[id % COLOURS.length],
+            transparent: true,
+            opacity: 0.7
+        });
+        const racer = { mesh: new THREE.Mesh(geometry, material), samples: [] };
+        racers.set(id, racer);
+        scene.add(racer.mesh);
+        return racer;
+    }
+
+    function removeRacer(id) {
+        const racer = racers.get(id);
+        scene.remove(racer.mesh);
+        racer.mesh.material.dispose();
+        racers.delete(id);
+    }
+
+    // Buffer a server snapshot. localPlayerId is skipped; the local dog is drawn from the simulation.
+    function addSnapshot(snapshot, localPlayerId, now = performance.now()) {
+        const liveIds = new Set();
+        for (const player of snapshot.players) {
+            if (player.id === localPlayerId || player.lane === null) {
+                continue;
+            }
+            liveIds.add(player.id);
+            const racer = racers.get(player.id) || addRacer(player.id);
+            racer.samples.push({ time: now, x: player.x, y: player.y, distance: player.distance });
+            if (racer.samples.length > MAX_BUFFERED_SNAPSHOTS) {
+                racer.samples.shift();
+            }
+        }
+        for (const id of [...racers.keys()]) {
+            if (!liveIds.has(id)) {
+                removeRacer(id);
+            }
+        }
+    }
+
+    // Call once per frame with the local player's distance.
+    function sync(localDistance, now = performance.now()) {
+        const renderTime = now - INTERPOLATION_DELAY_MS;
+        for (const racer of racers.values()) {
+            const { samples } = racer;
+            // Newest sample at or before renderTime, interpolated towards the one after it.
+            let index = samples.length - 1;
+            while (index > 0 && samples[index].time > renderTime) {
+                index--;
+            }
+            const from = samples[index];
+            const to = samples[index + 1] || from;
+            const t = to === from ? 0 : Math.min(1, Math.max(0, (renderTime - from.time) / (to.time - from.time)));
+            racer.mesh.position.set(
+                lerp(from.x, to.x, t),
+                lerp(from.y, to.y, t),
+                playerSettings.startPosition[2] + localDistance - lerp(from.distance, to.distance, t)
+            );
+        }
+    }
+
+    function reset() {
+        for (const id of [...racers.keys()]) {
+            removeRacer(id);
+        }
+    }
+
+    return { addSnapshot, sync, reset };
+}
@@ -0,0 +1,91 @@
+// Playback of a recorded run with pause, scrub and speed controls.
+// Drives the same simulation as a live run from the recorded inputs (see game/replay.mjs);
+// main.js renders `playback.sim` while in the replay state.
+import { createReplayPlayer } from '../game/replay.mjs';
+import { FIXED_TIMESTEP } from '../game/simulation.mjs';
+
+const MAX_STEPS_PER_UPDATE = 40; // Enough for the fastest speed at low frame rates
+
+export function createReplayPlayback() {
+    const elements = {
+        playPause: document.getElementById('replayPlayPause'),
+        scrub: document.getElementById('replayScrub'),
+        speed: document.getElementById('replaySpeed'),
+        time: document.getElementById('replayTime')
+    };
+    let player = null;
+    let isPlaying = false;
+    let accumulator = 0;
+
+    function setPlaying(value) {
+        isPlaying = value;
+        elements.playPause.textContent = isPlaying ? 'Pause' : 'Play';
+    }
+
+    function updateControls() {
+        elements.scrub.value = String(player.tick);
+        elements.time.textContent =
+            `${(player.tick * FIXED_TIMESTEP).toFixed(1)}s / ${(player.ticks * FIXED_TIMESTEP).toFixed(1)}s`;
+    }
+
+    // replay: a validated replay; course: its validated course for trial replays.
+    function load(replay, course = null) {
+        player = createReplayPlayer(replay, course);
+        accumulator = 0;
+        elements.scrub.max = String(replay.ticks);
+        setPlaying(true);
+        updateControls();
+    }
+
+    // Call once per frame with the real frame time.
+    function update(frameDelta) {
+        if (!player || !isPlaying) {
+            return;
+        }
+        accumulator += frameDelta * Number(elements.speed.value);
+        let steps = 0;
+        while (accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_UPDATE) {
+            if (!player.step()) {
+                setPlaying(false); // Reached the end of the recording
+                accumulator = 0;
+                break;
+            }
+            accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_UPDATE) {
+            accumulator = 0;
+        }
+        updateControls();
+    }
+
+    function togglePlaying() {
+        if (!player) {
+            return;
+        }
+        if (!isPlaying && player.isDone()) {
+            player.seek(0); // Play again from the start
+        }
+        setPlaying(!isPlaying);
+        updateControls();
+    }
+
+    elements.playPause.addEventListener('click', togglePlaying);
+    elements.scrub.addEventListener('input', () => {
+        if (player) {
+            player.seek(Number(elements.scrub.value));
+            accumulator = 0;
+            updateControls();
+        }
+    });
+
+    return {
+        load,
+        update,
+        togglePlaying,
+        isPlaying: () => isPlaying,
+        get sim() {
+            return player ? player.sim : null;
+        }
+    };
+}
@@ -0,0 +1,96 @@
+// Replay files and the saved best runs ghosts race against.
+// A replay file is a replay (see game/replay.mjs) plus a summary of how the run went:
+//   { format: 'topdog-replay', version, seed, laneCount, difficulty, courseFile, finishDistance, ticks, inputs,
+//     summary: { mode, course, score, distance, duration, courseTime, faults, finished, recordedAt } }
+// The best run per course (or per lane count and difficulty in endless mode) is kept in localStorage.
+import { validateReplay } from '../game/replay.mjs';
+
+const REPLAY_FILE_FORMAT = 'topdog-replay';
+const BEST_RUN_STORAGE_PREFIX = 'topdog.bestRun.';
+
+// run: the game-over run summary from main.js, including its replay.
+export function createReplayFile(run) {
+    const { replay, ...summary } = run;
+    return {
+        format: REPLAY_FILE_FORMAT,
+        ...replay,
+        summary: {
+            mode: summary.mode,
+            course: summary.course,
+            score: summary.score,
+            distance: summary.distance,
+            duration: summary.duration,
+            courseTime: summary.courseTime,
+            faults: summary.faults,
+            finished: summary.finished,
+            recordedAt: new Date().toISOString()
+        }
+    };
+}
+
+// Ghosts only race runs on the same course; endless runs are grouped by lane count and difficulty.
+function bestRunStorageKey({ courseFile, laneCount, difficulty }) {
+    return `${BEST_RUN_STORAGE_PREFIX}${courseFile || `endless-${laneCount}-${difficulty}`}`;
+}
+
+// Trial: finishing beats not finishing, then the faster course time. Endless: the higher score.
+function isBetterRun(candidate, current) {
+    if (candidate.mode === 'trial') {
+        if (candidate.finished !== current.finished) {
+            return candidate.finished;
+        }
+        return candidate.finished ? candidate.courseTime < current.courseTime : candidate.distance > current.distance;
+    }
+    return candidate.score > current.score;
+}
+
+export function loadBestRun(board) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(bestRunStorageKey(board)));
+        return saved && validateReplay(saved).length === 0 ? saved : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keeps the replay file if it beats the saved best run for its course. Returns true if it did.
+export function saveIfBestRun(replayFile) {
+    const best = loadBestRun(replayFile);
+    if (best && !isBetterRun(replayFile.summary, best.summary)) {
+        return false;
+    }
+    try {
+        localStorage.setItem(bestRunStorageKey(replayFile), JSON.stringify(replayFile));
+        return true;
+    } catch (error) {
+        console.warn('Could not save the best run:', error);
+        return false;
+    }
+}
+
+export function downloadReplay(replayFile) {
+    const blob = new Blob([JSON.stringify(replayFile)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `topdog-replay-${replayFile.seed}-${replayFile.summary.recordedAt.slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Resolves with the replay file from an <input type="file">, or rejects listing what's wrong with it.
+export async function readReplayFile(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        throw new Error(`${file.name} is not a JSON file.`);
+    }
+    if (!data || data.format !== REPLAY_FILE_FORMAT) {
+        throw new Error(`${file.name} is not a TopDog replay.`);
+    }
+    const errors = validateReplay(data);
+    if (errors.length > 0) {
+        throw new Error(`${file.name} is not a valid replay:\n${errors.join('\n')}`);
+    }
+    return data;
+}
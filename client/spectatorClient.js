@@ -0,0 +1,112 @@
+// Spectator connection: watches a race room without a player slot (the Watch button on the race menu).
+// Protocol is documented in multiplayer/gameStateHandler.js. main.js gets the messages through the
+// callbacks:
+//   onWatch(room)                              connected; room is { id, seed, laneCount, raceDistance, phase }
+//   onLobby({ phase, players })                the room's racers and whether they're ready
+//   onCountdown(seconds)
+//   onStart({ seed, laneCount, raceDistance }) a race started (or was already running when we joined)
+//   onSnapshot(snapshot)                       every server tick while racing
+//   onInputs({ playerId, tick, inputs })       a racer's new input log entries
+//   onFinish({ playerId, name, place })
+//   onResults(standings)
+//   onClose(reason)                            disconnected, or left
+const MULTIPLAYER_PATH = '/multiplayer';
+
+export function createSpectatorClient(callbacks) {
+    const elements = {
+        room: document.getElementById('raceRoom'),
+        watch: document.getElementById('watchRace'),
+        status: document.getElementById('raceStatus')
+    };
+    let socket = null;
+    let leaving = false;
+
+    function send(message) {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    const messageHandlers = {
+        spectating(message) {
+            elements.status.textContent = '';
+            callbacks.onWatch(message.room);
+        },
+        lobby(message) {
+            callbacks.onLobby(message);
+        },
+        countdown(message) {
+            callbacks.onCountdown(message.seconds);
+        },
+        start(message) {
+            callbacks.onStart({ seed: message.seed, laneCount: message.laneCount, raceDistance: message.raceDistance });
+        },
+        snapshot(message) {
+            callbacks.onSnapshot(message);
+        },
+        inputs(message) {
+            callbacks.onInputs(message);
+        },
+        finish(message) {
+            callbacks.onFinish(message);
+        },
+        results(message) {
+            callbacks.onResults(message.standings);
+        },
+        error(message) {
+            elements.status.textContent = message.message;
+        }
+    };
+
+    function watch() {
+        if (socket) {
+            return;
+        }
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        socket = new WebSocket(`${protocol}//${window.location.host}${MULTIPLAYER_PATH}`);
+        leaving = false;
+        elements.status.textContent = 'Connecting...';
+        socket.addEventListener('open', () => {
+            send({ type: 'spectate', room: elements.room.value.trim() || 'lobby' });
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Bad message from the race server:', error);
+                return;
+            }
+            const handler = messageHandlers[message.type];
+            if (handler) {
+                handler(message);
+            }
+        });
+        socket.addEventListener('close', () => {
+            socket = null;
+            if (!leaving) {
+                elements.status.textContent = 'Disconnected from the race server.';
+            }
+            callbacks.onClose(leaving ? 'left' : 'disconnected');
+        });
+        socket.addEventListener('error', () => {
+            elements.status.textContent = 'Could not reach the race server.';
+        });
+    }
+
+    function leave() {
+        if (!socket) {
+            return;
+        }
+        leaving = true;
+        send({ type: 'leave' });
+        socket.close();
+    }
+
+    elements.watch.addEventListener('click', watch);
+
+    return {
+        leave,
+        isConnected: () => socket !== null
+    };
+}
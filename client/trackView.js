@@ -0,0 +1,100 @@
+// Ground and lane markings that scroll with the simulation's distance.
+// The track is a row of equal segments (a ground tile plus dashed lane lines); once a segment is
+// fully behind the player it's moved to the far end instead of creating a new one.
+import * as THREE from 'three';
+import { getLanePositions, laneWidth } from '../game/config.mjs';
+
+const SEGMENT_LENGTH = 20;
+const SEGMENTS_BEHIND_PLAYER = 1; // Kept behind the player so the chase camera never sees the edge
+const SEGMENT_COUNT = 8;
+const VERGE_WIDTH = 4; // Grass either side of the outer lanes
+const DASH_LENGTH = 2;
+const DASHES_PER_SEGMENT = 5;
+const LINE_WIDTH = 0.08;
+
+const groundMaterial = new THREE.MeshStandardMaterial({ color: 0x4c8a3f });
+const laneMaterial = new THREE.MeshStandardMaterial({ color: 0xa8744f });
+const lineMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
+const dashGeometry = new THREE.PlaneGeometry(LINE_WIDTH, DASH_LENGTH).rotateX(-Math.PI / 2);
+const edgeGeometry = new THREE.PlaneGeometry(LINE_WIDTH, SEGMENT_LENGTH).rotateX(-Math.PI / 2);
+
+// One segment for a lane count, built along -z from its origin.
+function buildSegment(laneCount) {
+    const segment = new THREE.Group();
+    const trackWidth = laneCount * laneWidth;
+    const ground = new THREE.Mesh(
+        new THREE.PlaneGeometry(trackWidth + VERGE_WIDTH * 2, SEGMENT_LENGTH).rotateX(-Math.PI / 2),
+        groundMaterial
+    );
+    ground.position.set(0, -0.01, -SEGMENT_LENGTH / 2);
+    ground.receiveShadow = true;
+    segment.add(ground);
+    const lanes = new THREE.Mesh(new THREE.PlaneGeometry(trackWidth, SEGMENT_LENGTH).rotateX(-Math.PI / 2), laneMaterial);
+    lanes.position.set(0, 0, -SEGMENT_LENGTH / 2);
+    lanes.receiveShadow = true;
+    segment.add(lanes);
+
+    // Solid lines on the track edges, dashed ones between lanes.
+    for (const x of [-trackWidth / 2, trackWidth / 2]) {
+        const edge = new THREE.Mesh(edgeGeometry, lineMaterial);
+        edge.position.set(x, 0.01, -SEGMENT_LENGTH / 2);
+        segment.add(edge);
+    }
+    const lanePositions = getLanePositions(laneCount);
+    for (let i = 0; i < lanePositions.length - 1; i++) {
+        const x = (lanePositions[i] + lanePositions[i + 1]) / 2;
+        for (let dash = 0; dash < DASHES_PER_SEGMENT; dash++) {
+            const line = new THREE.Mesh(dashGeometry, lineMaterial);
+            line.position.set(x, 0.01, -(dash + 0.25) * (SEGMENT_LENGTH / DASHES_PER_SEGMENT) - DASH_LENGTH / 2);
+            segment.add(line);
+        }
+    }
+    return segment;
+}
+
+export function createTrackView(scene) {
+    let segments = []; // { group, index }: index is which stretch of track (in segments) it shows
+    let laneCount = null;
+
+    function disposeSegments() {
+        if (segments.length > 0) {
+            // The ground and lane planes are sized for the lane count; clones share them.
+            segments[0].group.children[0].geometry.dispose();
+            segments[0].group.children[1].geometry.dispose();
+        }
+        for (const { group } of segments) {
+            scene.remove(group);
+        }
+        segments = [];
+    }
+
+    // Rebuilds the segments for a lane count; call when a run starts.
+    function setLaneCount(count) {
+        if (count === laneCount) {
+            return;
+        }
+        disposeSegments();
+        laneCount = count;
+        const template = buildSegment(count);
+        for (let i = 0; i < SEGMENT_COUNT; i++) {
+            const group = i === 0 ? template : template.clone();
+            scene.add(group);
+            segments.push({ group, index: i - SEGMENTS_BEHIND_PLAYER });
+        }
+    }
+
+    // Call once per frame after the simulation has stepped.
+    function sync(state) {
+        const firstIndex = Math.floor(state.distanceCovered / SEGMENT_LENGTH) - SEGMENTS_BEHIND_PLAYER;
+        for (const segment of segments) {
+            // Recycle segments that have scrolled behind the player (or, after seeking a replay
+            // backwards, ahead of the track's end) to the other end of the row.
+            if (segment.index < firstIndex || segment.index >= firstIndex + SEGMENT_COUNT) {
+                segment.index = firstIndex + ((segment.index - firstIndex) % SEGMENT_COUNT + SEGMENT_COUNT) % SEGMENT_COUNT;
+            }
+            segment.group.position.z = state.player.z - (segment.index * SEGMENT_LENGTH - state.distanceCovered);
+        }
+    }
+
+    return { setLaneCount, sync };
+}
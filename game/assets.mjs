@@ -0,0 +1,72 @@
+// Asset manifest: every model the game can show, so they can all be loaded (and checked) before play
+// starts instead of popping in on first use. Paths are relative to the site root.
+import { obstacleModelFiles, obstacleConfigurations } from './config.mjs';
+import { difficultyPresets } from './difficulty.mjs';
+import { getPowerUpTypeIds, getPowerUpType } from './powerups.mjs';
+
+export const OBSTACLE_MODEL_PATH = 'models/obstacles/';
+export const POWER_UP_MODEL_PATH = 'models/powerups/';
+export const OBSTACLE_LOD_PATH = 'models/obstacles/lod/';
+export const PLAYER_MODEL_PATH = 'models/player/';
+
+// The rigged dog (see client/dogCharacter.js). It should face -z and have animation clips named run,
+// jump, crouch, weave and stumble (any missing one plays run); materials named Coat, Markings and Collar
+// are recoloured by the menu's cosmetics. It hasn't been made yet, so the primitive dog stands in.
+export const playerModelFile = 'dog.glb';
+
+// Lower-detail variants of obstacle models for the lower graphics quality presets (see
+// client/graphicsQuality.js): model file -> highest LOD level it has. Level n of jump1.glb is
+// models/obstacles/lod/jump1.lod<n>.glb; a preset asking for a level a model doesn't have gets its
+// most detailed variant below that level, or the full model. None have been made yet.
+export const obstacleModelLods = {};
+
+export function lodFileName(modelFile, level) {
+    return modelFile.replace(/\.glb$/i, `.lod${level}.glb`);
+}
+
+export const SOUND_PATH = 'assets/sounds/';
+
+// Sound effects and music by cue name. None of these files exist yet: client/audioManager.js
+// synthesizes a stand-in for any cue whose file is missing or can't be decoded.
+export const soundFiles = {
+    themeChange: 'theme-change.ogg',
+    obstacleCleared: 'obstacle-cleared.ogg',
+    fault: 'fault.ogg',
+    faultAbsorbed: 'fault-absorbed.ogg',
+    powerUp: 'power-up.ogg',
+    gameOver: 'game-over.ogg',
+    courseComplete: 'course-complete.ogg',
+    music: 'music.ogg'
+};
+
+// [{ kind: 'obstacle' | 'obstacleLod' | 'powerUp' | 'player', key, url }]. key is the model file or the
+// power-up type id; obstacleLod entries also have model (the full model's file) and level.
+export function buildAssetManifest() {
+    const manifest = obstacleModelFiles.map((file) => ({ kind: 'obstacle', key: file, url: `${OBSTACLE_MODEL_PATH}${file}` }));
+    manifest.push({ kind: 'player', key: playerModelFile, url: `${PLAYER_MODEL_PATH}${playerModelFile}` });
+    for (const [file, levels] of Object.entries(obstacleModelLods)) {
+        for (let level = 1; level <= levels; level++) {
+            const lodFile = lodFileName(file, level);
+            manifest.push({ kind: 'obstacleLod', key: lodFile, url: `${OBSTACLE_LOD_PATH}${lodFile}`, model: file, level });
+        }
+    }
+    for (const id of getPowerUpTypeIds()) {
+        const { model } = getPowerUpType(id);
+        if (model) {
+            manifest.push({ kind: 'powerUp', key: id, url: `${POWER_UP_MODEL_PATH}${model}` });
+        }
+    }
+    return manifest;
+}
+
+// Models the game refers to (configurations and difficulty presets' themes) that the manifest doesn't list.
+// Anything here would never be preloaded; the renderer shows a placeholder for it.
+export function findUnlistedModels() {
+    const listed = new Set(obstacleModelFiles);
+    const referenced = new Set([
+        ...Object.keys(obstacleConfigurations).filter((key) => key !== 'default'),
+        ...Object.values(difficultyPresets).flatMap((preset) =>
+            Object.values(preset.themes).flatMap((weights) => Object.keys(weights)))
+    ]);
+    return [...referenced].filter((file) => !listed.has(file));
+}
@@ -0,0 +1,200 @@
+// Collision volumes for obstacles, and the tests the simulation runs against them with the player's capsule.
+//
+// Each model authors a compound collider in game/config.mjs: a list of boxes and cylinders
+// measured from the obstacle's lane centre at ground level (x = lane, y = 0, z = obstacle z),
+// already in placed/rotated orientation. Each shape may carry a `part` name ("bar", "rim", "roof"...)
+// so interaction rules can tell *what* the player touched.
+//
+// Shapes are plain objects, resolved once per model and cached, so nothing is allocated per step.
+
+const AXES = ['x', 'y', 'z'];
+
+export function createBox() {
+    return { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+}
+
+export function setBoxFromCenterAndSize(box, cx, cy, cz, sx, sy, sz) {
+    box.min.x = cx - sx / 2; box.max.x = cx + sx / 2;
+    box.min.y = cy - sy / 2; box.max.y = cy + sy / 2;
+    box.min.z = cz - sz / 2; box.max.z = cz + sz / 2;
+    return box;
+}
+
+// Same test as THREE.Box3.intersectsBox (touching counts as intersecting).
+export function boxesIntersect(a, b) {
+    return (a.max.x >= b.min.x && a.min.x <= b.max.x) &&
+           (a.max.y >= b.min.y && a.min.y <= b.max.y) &&
+           (a.max.z >= b.min.z && a.min.z <= b.max.z);
+}
+
+// Box vs. an axis-aligned cylinder: the ranges along the cylinder's axis must overlap, and the
+// box's cross-section rectangle must come within `radius` of the cylinder's centre line.
+export function boxIntersectsCylinder(box, cylinder) {
+    const axis = cylinder.axis;
+    if (box.max[axis] < cylinder.min[axis] || box.min[axis] > cylinder.max[axis]) {
+        return false;
+    }
+    let distanceSq = 0;
+    for (const other of AXES) {
+        if (other === axis) {
+            continue;
+        }
+        const centre = cylinder.center[other];
+        const closest = Math.max(box.min[other], Math.min(centre, box.max[other]));
+        distanceSq += (centre - closest) * (centre - closest);
+    }
+    return distanceSq <= cylinder.radius * cylinder.radius;
+}
+
+// --- The player's capsule ---
+// A sphere of `radius` swept along a z-aligned segment (the dog's body, nose to tail). The segment is
+// kept as a flat box (min.x === max.x, min.y === max.y) so each axis can be tested as an interval gap.
+
+export function createCapsule() {
+    return { radius: 0, min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+}
+
+// The capsule that fits a box of this size: as thick as the smaller of its width and height, with
+// the rounded ends reaching the box's front and back.
+export function setCapsuleFromCenterAndSize(capsule, cx, cy, cz, sx, sy, sz) {
+    const radius = Math.min(sx, sy) / 2;
+    const halfLength = Math.max(0, sz / 2 - radius);
+    capsule.radius = radius;
+    capsule.min.x = capsule.max.x = cx;
+    capsule.min.y = capsule.max.y = cy;
+    capsule.min.z = cz - halfLength; capsule.max.z = cz + halfLength;
+    return capsule;
+}
+
+// How far apart two ranges are along one axis (0 when they overlap).
+function intervalGap(minA, maxA, minB, maxB) {
+    return Math.max(0, minB - maxA, minA - maxB);
+}
+
+// The segment and the box are both products of per-axis ranges, so their distance is exact from the gaps.
+export function capsuleIntersectsBox(capsule, box) {
+    let distanceSq = 0;
+    for (const axis of AXES) {
+        const gap = intervalGap(capsule.min[axis], capsule.max[axis], box.min[axis], box.max[axis]);
+        distanceSq += gap * gap;
+    }
+    return distanceSq <= capsule.radius * capsule.radius;
+}
+
+// Along the cylinder's axis it's a range gap; across it, the segment's distance from the centre line
+// less the cylinder's radius.
+export function capsuleIntersectsCylinder(capsule, cylinder) {
+    const axis = cylinder.axis;
+    const along = intervalGap(capsule.min[axis], capsule.max[axis], cylinder.min[axis], cylinder.max[axis]);
+    let crossSq = 0;
+    for (const other of AXES) {
+        if (other === axis) {
+            continue;
+        }
+        const centre = cylinder.center[other];
+        const gap = intervalGap(capsule.min[other], capsule.max[other], centre, centre);
+        crossSq += gap * gap;
+    }
+    const across = Math.max(0, Math.sqrt(crossSq) - cylinder.radius);
+    return along * along + across * across <= capsule.radius * capsule.radius;
+}
+
+// --- Authoring helpers used by obstacleConfigurations ---
+
+export function colliderBox(center, size, part = 'body') {
+    return { shape: 'box', center, size, part };
+}
+
+export function colliderCylinder(center, radius, height, axis = 'y', part = 'body') {
+    return { shape: 'cylinder', center, radius, height, axis, part };
+}
+
+// A hoop's ring standing across the lane (in the XY plane), approximated by `segments` boxes.
+export function colliderRing(centerY, radius, thickness, segments = 16, part = 'rim') {
+    const boxes = [];
+    const chord = 2 * radius * Math.sin(Math.PI / segments);
+    for (let i = 0; i < segments; i++) {
+        const angle = (i + 0.5) * (2 * Math.PI / segments);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        boxes.push(colliderBox(
+            [radius * cos, centerY + radius * sin, 0],
+            [Math.abs(sin) * chord + thickness, Math.abs(cos) * chord + thickness, thickness],
+            part
+        ));
+    }
+    return boxes;
+}
+
+// --- Resolution and per-step tests ---
+
+function resolveShape(definition) {
+    const [cx, cy, cz] = definition.center;
+    if (definition.shape === 'cylinder') {
+        const axis = definition.axis;
+        const half = { x: definition.radius, y: definition.radius, z: definition.radius };
+        half[axis] = definition.height / 2;
+        return {
+            shape: 'cylinder',
+            part: definition.part,
+            axis,
+            radius: definition.radius,
+            center: { x: cx, y: cy, z: cz },
+            min: { x: cx - half.x, y: cy - half.y, z: cz - half.z },
+            max: { x: cx + half.x, y: cy + half.y, z: cz + half.z }
+        };
+    }
+    const [sx, sy, sz] = definition.size;
+    return {
+        shape: 'box',
+        part: definition.part,
+        center: { x: cx, y: cy, z: cz },
+        size: { x: sx, y: sy, z: sz },
+        ...setBoxFromCenterAndSize(createBox(), cx, cy, cz, sx, sy, sz)
+    };
+}
+
+// Turn authored collider definitions into testable shapes plus their overall footprint
+// (the AABB of every shape, used to decide when the player has reached the obstacle).
+export function resolveColliders(definitions) {
+    const shapes = definitions.map(resolveShape);
+    const footprint = createBox();
+    footprint.min.x = footprint.min.y = footprint.min.z = Infinity;
+    footprint.max.x = footprint.max.y = footprint.max.z = -Infinity;
+    for (const shape of shapes) {
+        for (const axis of AXES) {
+            footprint.min[axis] = Math.min(footprint.min[axis], shape.min[axis]);
+            footprint.max[axis] = Math.max(footprint.max[axis], shape.max[axis]);
+        }
+    }
+    return { shapes, footprint };
+}
+
+// Returns the first shape `box` touches, or null. `box` must already be in the obstacle's
+// local frame (i.e. with the obstacle's x/z subtracted).
+export function findCollidingShape(resolved, box) {
+    if (!boxesIntersect(box, resolved.footprint)) {
+        return null;
+    }
+    for (const shape of resolved.shapes) {
+        const hit = shape.shape === 'cylinder' ? boxIntersectsCylinder(box, shape) : boxesIntersect(box, shape);
+        if (hit) {
+            return shape;
+        }
+    }
+    return null;
+}
+
+// findCollidingShape for the player's capsule (also in the obstacle's local frame).
+export function findCapsuleCollidingShape(resolved, capsule) {
+    if (!capsuleIntersectsBox(capsule, resolved.footprint)) {
+        return null;
+    }
+    for (const shape of resolved.shapes) {
+        const hit = shape.shape === 'cylinder' ? capsuleIntersectsCylinder(capsule, shape) : capsuleIntersectsBox(capsule, shape);
+        if (hit) {
+            return shape;
+        }
+    }
+    return null;
+}
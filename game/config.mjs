@@ -0,0 +1,240 @@
+// Shared game data.
+// Everything here is plain numbers/arrays so the simulation can run under Node without THREE.
+// main.js turns scale/rotation arrays into THREE.Vector3/THREE.Euler when it builds meshes.
+
+import { colliderBox, colliderCylinder, colliderRing, resolveColliders } from './collision.mjs';
+
+// Obstacle model files
+export const obstacleModelFiles = [
+    'CoveredTunnel.glb', 'jump1.glb', 'jump2.glb', 'jump3.glb',
+    'largehoop.glb', 'ringette_ring.glb', 'slalom.glb', 'smallhoop.glb',
+    'swingboard.glb', 'table.glb', 'teeter.glb', 'TunnelBendLarge.glb',
+    'TunnelBendSmall.glb', 'tunnelline.glb'
+];
+
+// Collider building blocks shared by several models.
+// A tunnel: two side walls and a roof, open at both ends. innerHalfWidth is the free space either side
+// of the lane centre; clearance is the height of the roof's underside.
+function tunnelColliders(length, innerHalfWidth, clearance) {
+    const wall = 0.15;
+    return [
+        colliderBox([-(innerHalfWidth + wall / 2), clearance / 2, 0], [wall, clearance, length], 'wall'),
+        colliderBox([innerHalfWidth + wall / 2, clearance / 2, 0], [wall, clearance, length], 'wall'),
+        colliderBox([0, clearance + wall / 2, 0], [2 * (innerHalfWidth + wall), wall, length], 'roof')
+    ];
+}
+
+// A jump: horizontal bars (poles across the lane) at the given heights and depths, between two wings.
+// The higher and deeper the bars, the shorter the take-off window; every jump has to stay clearable at
+// the slowest preset's start speed (see test/difficulty.test.mjs).
+function jumpColliders(barHeights, barDepths) {
+    const colliders = [];
+    for (const z of barDepths) {
+        for (const y of barHeights) {
+            colliders.push(colliderCylinder([0, y, z], 0.03, 1.2, 'x', 'bar'));
+        }
+    }
+    const top = Math.max(...barHeights) + 0.1;
+    const depth = Math.max(0.3, Math.max(...barDepths) - Math.min(...barDepths) + 0.2);
+    colliders.push(colliderBox([-0.65, top / 2, 0], [0.1, top, depth], 'wing'));
+    colliders.push(colliderBox([0.65, top / 2, 0], [0.1, top, depth], 'wing'));
+    return colliders;
+}
+
+// A tyre/hoop: the ring itself plus the two posts of its frame.
+function hoopColliders(centerY, radius, thickness) {
+    const frameX = radius + 0.2;
+    const frameHeight = centerY + radius + 0.1;
+    return [
+        ...colliderRing(centerY, radius, thickness),
+        colliderCylinder([-frameX, frameHeight / 2, 0], 0.04, frameHeight, 'y', 'frame'),
+        colliderCylinder([frameX, frameHeight / 2, 0], 0.04, frameHeight, 'y', 'frame')
+    ];
+}
+
+// Obstacle Configurations
+// scale: [x, y, z], rotation: Euler angles [x, y, z] in radians (XYZ order).
+// colliders: compound collision volume of the placed model (see game/collision.mjs), measured from
+// the lane centre at ground level. Tunnels and hoops leave their opening free so they can be passed.
+// interaction: how the player has to take the obstacle (see game/interactions.mjs):
+//   jump    - jump it and clear every bar/wing; touching one, or getting past without ever leaving the
+//             ground, knocks the bar
+//   hoop    - pass through the circular opening without touching the rim
+//   tunnel  - stay in lane and under the roof from entry to exit
+//   weave   - lane is locked; alternate left/right presses requiredWeaves times
+//   contact - cross along the whole length on the ground (teeter, dog walk)
+//   solid   - any contact is a fault
+export const obstacleConfigurations = {
+    'CoveredTunnel.glb': {
+        scale: [1.2, 1.2, 1.5],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.6, // TEST: Adjust scale/Y-pos for proper ground fit & passage.
+        colliders: tunnelColliders(3.0, 0.5, 1.0),
+        interaction: { type: 'tunnel' }
+    },
+    'TunnelBendLarge.glb': {
+        scale: [1.2, 1.2, 1.2],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.6, // TEST: Ensure player can comfortably pass through.
+        colliders: tunnelColliders(2.4, 0.55, 1.0),
+        interaction: { type: 'tunnel' }
+    },
+    'TunnelBendSmall.glb': {
+        scale: [1.0, 1.0, 1.0],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.5, // TEST: Check passage clearance, especially with smaller scale.
+        colliders: tunnelColliders(2.0, 0.45, 0.8),
+        interaction: { type: 'tunnel' }
+    },
+    'tunnelline.glb': { // This is likely a straight tunnel segment
+        scale: [1, 1, 2],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.5, // TEST: Verify length and Y-pos are suitable for sequences.
+        colliders: tunnelColliders(4.0, 0.45, 0.8),
+        interaction: { type: 'tunnel' }
+    },
+    'jump1.glb': {
+        scale: [0.6, 0.6, 0.6],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.1, // TEST: Is jump height/length fair? Player speed dependent.
+        colliders: jumpColliders([0.25, 0.6], [0]),
+        interaction: { type: 'jump' }
+    },
+    'jump2.glb': {
+        scale: [0.6, 0.6, 0.6],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.1, // TEST: Similar to jump1, ensure variety in challenge.
+        colliders: jumpColliders([0.25, 0.45, 0.7], [0]),
+        interaction: { type: 'jump' }
+    },
+    'jump3.glb': {
+        scale: [0.6, 0.6, 0.6],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.1, // TEST: Check if this jump feels distinct from others.
+        colliders: jumpColliders([0.3, 0.65], [-0.15, 0.15]),
+        interaction: { type: 'jump' }
+    },
+    'largehoop.glb': {
+        scale: [1, 1, 1],
+        rotation: [0, 0, 0],
+        positionY: 1.0, // TEST: Player passage intuitive? Collision box accurate for hoop?
+        colliders: hoopColliders(1.0, 0.75, 0.1),
+        interaction: { type: 'hoop', opening: { centerY: 1.0, radius: 0.7 } }
+    },
+    'smallhoop.glb': {
+        scale: [0.7, 0.7, 0.7],
+        rotation: [0, 0, 0],
+        positionY: 0.7, // TEST: Is it challenging yet fair compared to largehoop?
+        colliders: hoopColliders(1.1, 0.6, 0.08),
+        interaction: { type: 'hoop', opening: { centerY: 1.1, radius: 0.55 } }
+    },
+    'ringette_ring.glb': { // This is a flat ring, so rotation is key
+        scale: [0.8, 0.2, 0.8],
+        rotation: [Math.PI / 2, 0, 0], // Rotated to be flat on ground
+        positionY: 0.1, // TEST: Is it clearly visible? Does player interact as expected (jump over)?
+        colliders: [colliderBox([0, 0.1, 0], [0.8, 0.2, 0.8], 'ring')],
+        interaction: { type: 'jump' }
+    },
+    'slalom.glb': {
+        scale: [0.2, 1.5, 0.2], // Tall and thin
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.75, // TEST: Spacing and hit detection for slalom. Are they too close/far in sequences?
+        colliders: [-1.25, -0.75, -0.25, 0.25, 0.75, 1.25].map((z) => colliderCylinder([0, 0.75, z], 0.03, 1.5, 'y', 'pole')),
+        interaction: { type: 'weave', requiredWeaves: 3 }
+    },
+    'swingboard.glb': {
+        scale: [1, 0.2, 0.5],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.5, // TEST: Does this behave like a ramp or flat obstacle? Y-pos and scale critical.
+        colliders: [colliderBox([0, 0.5, 0], [0.6, 0.1, 2.0], 'board')],
+        interaction: { type: 'contact' }
+    },
+    'table.glb': {
+        scale: [0.65, 0.5, 0.6],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.25, // TEST: Clear to player if it's a jump-over or ride-on obstacle?
+        colliders: [colliderBox([0, 0.225, 0], [1.2, 0.45, 0.8], 'table')],
+        interaction: { type: 'jump' }
+    },
+    'teeter.glb': {
+        scale: [1.5, 0.2, 0.4],
+        rotation: [0, Math.PI / 2, 0.17], // Approx 10 degrees tilt
+        positionY: 0.3, // TEST: Teeter behavior/tilt appropriate? Does it react to player? (If dynamic)
+        colliders: [colliderBox([0, 0.3, 0], [0.4, 0.55, 3.0], 'board'), colliderBox([0, 0.15, 0], [0.5, 0.3, 0.3], 'pivot')],
+        interaction: { type: 'contact' }
+    },
+    'default': { // Fallback, ensure this is reasonably sized for any unconfigured model
+        scale: [0.5, 0.5, 0.5],
+        rotation: [0, Math.PI / 2, 0],
+        positionY: 0.5,
+        colliders: [colliderBox([0, 0.5, 0], [1.0, 1.0, 1.0])],
+        interaction: { type: 'solid' }
+    }
+};
+
+export function getObstacleConfig(modelFile) {
+    return obstacleConfigurations[modelFile] || obstacleConfigurations['default'];
+}
+
+// Resolved collision shapes, built once per model the first time they're needed.
+const resolvedColliderCache = new Map();
+
+export function getObstacleColliders(modelFile) {
+    const key = obstacleConfigurations[modelFile] ? modelFile : 'default';
+    let resolved = resolvedColliderCache.get(key);
+    if (!resolved) {
+        resolved = resolveColliders(obstacleConfigurations[key].colliders);
+        resolvedColliderCache.set(key, resolved);
+    }
+    return resolved;
+}
+
+// Which obstacles spawn in endless mode, and how often, is set by the difficulty profiles in
+// game/difficulty.mjs.
+
+// Lane positions
+export const laneWidth = 2.5;
+export const supportedLaneCounts = [1, 3, 5];
+export const defaultLaneCount = 3;
+
+// Lane X coordinates, centred on x = 0: 3 lanes -> [-2.5, 0, 2.5].
+export function getLanePositions(laneCount = defaultLaneCount) {
+    const positions = [];
+    for (let i = 0; i < laneCount; i++) {
+        positions.push((i - (laneCount - 1) / 2) * laneWidth);
+    }
+    return positions;
+}
+
+// Per lane-count tuning, applied on top of the difficulty profile (see game/difficulty.mjs).
+// One lane puts every obstacle in the player's path, so it spawns slower;
+// five lanes give more room to dodge, so it spawns faster and allows more obstacles at once.
+// camera: [y, z] offset of the camera from the player, pulled back to frame every lane.
+export const laneModeSettings = {
+    1: { spawnIntervalMultiplier: 1.4, maxObstaclesMultiplier: 0.6, camera: [2.0, 6] },
+    3: { spawnIntervalMultiplier: 1.0, maxObstaclesMultiplier: 1.0, camera: [3.0, 10] },
+    5: { spawnIntervalMultiplier: 0.75, maxObstaclesMultiplier: 1.4, camera: [5.0, 13] }
+};
+
+export function getLaneModeSettings(laneCount) {
+    return laneModeSettings[laneCount] || laneModeSettings[defaultLaneCount];
+}
+
+// Player: the dog (see client/dogCharacter.js)
+// size is the dog's width, height and nose-to-tail length; it collides as the capsule that fits it
+// (see setCapsuleFromCenterAndSize in game/collision.mjs).
+export const playerSettings = {
+    size: [0.45, 0.45, 0.8],
+    startPosition: [0, 0.225, 0]
+};
+
+// Power-up pickups (endless mode). The types themselves are registered in game/powerups.mjs.
+export const powerUpSettings = {
+    minSpawnInterval: 8, // seconds between pickups, picked at random in this range
+    maxSpawnInterval: 14,
+    spawnDistanceRange: [20, 70], // how far ahead of the player they appear
+    obstacleClearance: 2, // minimum gap (Z) to any obstacle footprint in the same lane
+    spawnAttempts: 6, // give up on this pickup if no free spot turns up
+    height: 0.6, // centre height above the ground
+    radius: 0.4 // pickup reach around that centre
+};
@@ -0,0 +1,220 @@
+// Authored courses for trial mode.
+//
+// A course is JSON like courses/starter.json:
+//   {
+//     "name": "Starter",
+//     "laneCount": 3,                       // 1, 3 or 5
+//     "startDistance": 20,                  // optional, run-up before the first obstacle
+//     "finishSpacing": 15,                  // optional, distance from the last obstacle to the finish line
+//     "obstacles": [
+//       { "model": "jump1.glb", "lane": 1, "spacing": 12, "config": { "positionY": 0.15 } }
+//     ]
+//   }
+// spacing is the distance from the previous obstacle (the first one is measured from startDistance).
+// config optionally overrides that obstacle's entry in obstacleConfigurations.
+import { obstacleConfigurations, supportedLaneCounts, getObstacleConfig } from './config.mjs';
+import { interactionHandlers, checkInteractionRule } from './interactions.mjs';
+
+const DEFAULT_START_DISTANCE = 20;
+const DEFAULT_FINISH_SPACING = 15;
+const MIN_SPACING = 2;
+
+// Only the parts of an obstacle's configuration a course may change.
+const overridableConfigKeys = {
+    scale: isVector3,
+    rotation: isVector3,
+    positionY: isFiniteNumber,
+    interaction: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        (value.type === undefined || Object.hasOwn(interactionHandlers, value.type))
+};
+
+// A course's interaction override goes on top of the model's own rule (so a type change has to bring
+// that type's settings along).
+function mergeInteraction(baseConfig, override) {
+    return { ...baseConfig.interaction, ...override };
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+}
+
+export function getKnownObstacleModels() {
+    return Object.keys(obstacleConfigurations).filter((key) => key !== 'default');
+}
+
+// Checks a parsed course against the known models and lane counts.
+// Returns { course, errors }: course is null when there are errors.
+export function validateCourse(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { course: null, errors: ['Course must be a JSON object.'] };
+    }
+    const knownModels = getKnownObstacleModels();
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name must be a non-empty string.');
+    }
+    if (!supportedLaneCounts.includes(data.laneCount)) {
+        errors.push(`laneCount must be one of ${supportedLaneCounts.join(', ')}.`);
+    }
+    for (const key of ['startDistance', 'finishSpacing']) {
+        if (data[key] !== undefined && !(isFiniteNumber(data[key]) && data[key] >= 0)) {
+            errors.push(`${key} must be a number >= 0.`);
+        }
+    }
+    if (!Array.isArray(data.obstacles) || data.obstacles.length === 0) {
+        errors.push('obstacles must be a non-empty array.');
+    } else {
+        data.obstacles.forEach((entry, index) => {
+            const where = `obstacles[${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${where} must be an object.`);
+                return;
+            }
+            if (!knownModels.includes(entry.model)) {
+                errors.push(`${where}.model "${entry.model}" is not a known obstacle model.`);
+            }
+            if (!Number.isInteger(entry.lane) || entry.lane < 0 || entry.lane >= data.laneCount) {
+                errors.push(`${where}.lane must be an integer lane index below laneCount.`);
+            }
+            if (!isFiniteNumber(entry.spacing) || entry.spacing < MIN_SPACING) {
+                errors.push(`${where}.spacing must be a number >= ${MIN_SPACING}.`);
+            }
+            if (entry.config !== undefined) {
+                if (!entry.config || typeof entry.config !== 'object' || Array.isArray(entry.config)) {
+                    errors.push(`${where}.config must be an object.`);
+                    return;
+                }
+                for (const [key, value] of Object.entries(entry.config)) {
+                    const check = overridableConfigKeys[key];
+                    if (!check) {
+                        errors.push(`${where}.config.${key} can't be overridden.`);
+                    } else if (!check(value)) {
+                        errors.push(`${where}.config.${key} has an invalid value.`);
+                    } else if (key === 'interaction' && knownModels.includes(entry.model)) {
+                        const rule = mergeInteraction(getObstacleConfig(entry.model), value);
+                        const problem = checkInteractionRule(rule);
+                        if (problem) {
+                            errors.push(`${where}.config.interaction (${rule.type}) ${problem}.`);
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return { course: null, errors };
+    }
+    return {
+        course: {
+            name: data.name,
+            laneCount: data.laneCount,
+            startDistance: data.startDistance ?? DEFAULT_START_DISTANCE,
+            finishSpacing: data.finishSpacing ?? DEFAULT_FINISH_SPACING,
+            obstacles: data.obstacles.map((entry) => ({
+                model: entry.model,
+                lane: entry.lane,
+                spacing: entry.spacing,
+                config: entry.config ? { ...entry.config } : null
+            }))
+        },
+        errors
+    };
+}
+
+// Lays a validated course out along the track: each obstacle gets the distance at which it stands
+// and its merged configuration. Also returns where the finish line is.
+export function buildCourseLayout(course) {
+    let trackDistance = course.startDistance;
+    const obstacles = course.obstacles.map((entry) => {
+        trackDistance += entry.spacing;
+        const baseConfig = getObstacleConfig(entry.model);
+        const config = entry.config
+            ? {
+                ...baseConfig,
+                ...entry.config,
+                interaction: mergeInteraction(baseConfig, entry.config.interaction)
+            }
+            : baseConfig;
+        return { model: entry.model, lane: entry.lane, trackDistance, config };
+    });
+    return { obstacles, finishDistance: trackDistance + course.finishSpacing };
+}
+
+// The course editor (client/courseEditor.js) works with placements rather than spacings:
+// { model, lane, distance, config } where distance is measured from the start line.
+export function courseToPlacements(course) {
+    let distance = course.startDistance;
+    return course.obstacles.map((entry) => {
+        distance += entry.spacing;
+        return { model: entry.model, lane: entry.lane, distance, config: entry.config ? { ...entry.config } : null };
+    });
+}
+
+// Course JSON (as in courses/*.json, not yet validated) from editor placements, nearest first.
+// settings: { name, laneCount, startDistance, finishSpacing }
+export function placementsToCourse(settings, placements) {
+    const round = (value) => Math.round(value * 1000) / 1000;
+    let previous = settings.startDistance;
+    const obstacles = [...placements]
+        .sort((a, b) => a.distance - b.distance)
+        .map((placement) => {
+            const entry = { model: placement.model, lane: placement.lane, spacing: round(placement.distance - previous) };
+            previous = placement.distance;
+            if (placement.config && Object.keys(placement.config).length > 0) {
+                entry.config = placement.config;
+            }
+            return entry;
+        });
+    return {
+        name: settings.name,
+        laneCount: settings.laneCount,
+        startDistance: settings.startDistance,
+        finishSpacing: settings.finishSpacing,
+        obstacles
+    };
+}
+
+// The parts of obstacleConfigurations the editor changes (and reads back from an exported file).
+export const editableConfigKeys = ['scale', 'rotation', 'positionY'];
+
+// Checks obstacleConfigurations JSON (as exported by the editor) and keeps only the editable keys.
+// Returns { edits: { [model]: { scale, rotation, positionY } }, errors }; edits is null when there are errors.
+export function validateConfigurationEdits(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { edits: null, errors: ['Obstacle configurations must be a JSON object.'] };
+    }
+    const knownModels = getKnownObstacleModels();
+    const errors = [];
+    const edits = {};
+    for (const [model, config] of Object.entries(data)) {
+        if (model === 'default') {
+            continue;
+        }
+        if (!knownModels.includes(model)) {
+            errors.push(`"${model}" is not a known obstacle model.`);
+            continue;
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            errors.push(`${model} must be an object.`);
+            continue;
+        }
+        edits[model] = {};
+        for (const key of editableConfigKeys) {
+            if (config[key] === undefined) {
+                continue;
+            }
+            if (!overridableConfigKeys[key](config[key])) {
+                errors.push(`${model}.${key} has an invalid value.`);
+            } else {
+                edits[model][key] = Array.isArray(config[key]) ? [...config[key]] : config[key];
+            }
+        }
+    }
+    return errors.length > 0 ? { edits: null, errors } : { edits, errors };
+}
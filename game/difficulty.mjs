@@ -0,0 +1,284 @@
+// Difficulty director for endless mode: how fast the world scrolls, how often obstacles come, which
+// ones, how far apart, and which lanes each row of them takes. All of it comes from a profile, which
+// is plain JSON:
+//   {
+//     "name": "Normal",
+//     "speed": [[0, 5], [1500, 10]],             // [distance, units per second] points; linear in
+//     "spawnInterval": [[0, 2], [1950, 0.75]],   // between, held after the last one. Seconds between rows.
+//     "maxObstacles": 15,                        // on the track at once
+//     "minReactionTime": 0.6,                    // seconds of travel from one row to the next, at least
+//     "spawnDistance": [20, 70],                 // how far ahead rows appear
+//     "obstaclesPerTheme": 5,                    // obstacles before moving to the next theme
+//     "themes": { "jumps": { "jump1.glb": 3, "table.glb": 1 }, ... },  // model weights, in rotation order
+//     "lanePatterns": { "3": { "x..": 2, "x.x": 1, ... }, ... }        // weighted rows per lane count
+//   }
+// A lane pattern has one character per lane, "x" for an obstacle and "." for a free lane. Every pattern
+// for more than one lane must leave a lane free, so no row ever blocks the whole track.
+// The spawn interval and obstacle cap are also scaled per lane count (see laneModeSettings).
+import { getLaneModeSettings, getObstacleColliders, supportedLaneCounts } from './config.mjs';
+import { getKnownObstacleModels } from './course.mjs';
+
+const commonPatterns = {
+    1: { x: 1 },
+    3: { 'x..': 3, '.x.': 3, '..x': 3, 'x.x': 1, 'xx.': 1, '.xx': 1 },
+    5: { 'x....': 2, '.x...': 2, '..x..': 2, '...x.': 2, '....x': 2, 'x...x': 1, '.x.x.': 1, 'xx...': 1, '...xx': 1 }
+};
+
+const standardThemes = {
+    jumps: { 'jump1.glb': 1, 'jump2.glb': 1, 'jump3.glb': 1, 'table.glb': 1, 'teeter.glb': 1 },
+    tunnels: { 'CoveredTunnel.glb': 1, 'TunnelBendLarge.glb': 1, 'TunnelBendSmall.glb': 1, 'tunnelline.glb': 1 },
+    hoops: { 'smallhoop.glb': 1, 'largehoop.glb': 1, 'ringette_ring.glb': 1 },
+    technical: { 'slalom.glb': 1, 'swingboard.glb': 1 }
+};
+
+export const defaultDifficulty = 'normal';
+
+export const difficultyPresets = {
+    easy: {
+        name: 'Easy',
+        speed: [[0, 4], [2000, 7]],
+        spawnInterval: [[0, 2.6], [2000, 1.4]],
+        maxObstacles: 10,
+        minReactionTime: 1.0,
+        spawnDistance: [30, 70],
+        obstaclesPerTheme: 5,
+        themes: {
+            jumps: { 'jump1.glb': 3, 'jump2.glb': 2, 'jump3.glb': 1, 'table.glb': 1, 'teeter.glb': 1 },
+            tunnels: { 'tunnelline.glb': 3, 'CoveredTunnel.glb': 2, 'TunnelBendLarge.glb': 1 },
+            hoops: { 'largehoop.glb': 3, 'ringette_ring.glb': 2, 'smallhoop.glb': 1 }
+        },
+        lanePatterns: {
+            1: { x: 1 },
+            3: { 'x..': 1, '.x.': 1, '..x': 1 },
+            5: { 'x....': 1, '.x...': 1, '..x..': 1, '...x.': 1, '....x': 1 }
+        }
+    },
+    normal: {
+        name: 'Normal',
+        speed: [[0, 5], [1500, 10]],
+        spawnInterval: [[0, 2], [1950, 0.75]],
+        maxObstacles: 15,
+        minReactionTime: 0.6,
+        spawnDistance: [20, 70],
+        obstaclesPerTheme: 5,
+        themes: standardThemes,
+        lanePatterns: commonPatterns
+    },
+    hard: {
+        name: 'Hard',
+        speed: [[0, 6], [1000, 12]],
+        spawnInterval: [[0, 1.6], [1200, 0.6]],
+        maxObstacles: 20,
+        minReactionTime: 0.45,
+        spawnDistance: [20, 70],
+        obstaclesPerTheme: 4,
+        themes: {
+            ...standardThemes,
+            hoops: { 'smallhoop.glb': 3, 'largehoop.glb': 1, 'ringette_ring.glb': 1 },
+            technical: { 'slalom.glb': 2, 'swingboard.glb': 1 }
+        },
+        lanePatterns: {
+            1: { x: 1 },
+            3: { ...commonPatterns[3], 'x.x': 2, 'xx.': 2, '.xx': 2 },
+            5: { ...commonPatterns[5], 'xx.xx': 1, 'x.x.x': 1, 'xxx..': 1, '..xxx': 1 }
+        }
+    }
+};
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Every entry a positive number.
+function checkWeights(weights, where, errors, checkKey) {
+    if (!isPlainObject(weights) || Object.keys(weights).length === 0) {
+        errors.push(`${where} must be a non-empty object of weights.`);
+        return;
+    }
+    for (const [key, weight] of Object.entries(weights)) {
+        if (!isFiniteNumber(weight) || weight <= 0) {
+            errors.push(`${where}["${key}"] must be a number > 0.`);
+        }
+        checkKey(key);
+    }
+}
+
+function checkCurve(curve, where, errors) {
+    if (!Array.isArray(curve) || curve.length === 0) {
+        errors.push(`${where} must be a non-empty array of [distance, value] points.`);
+        return;
+    }
+    curve.forEach((point, index) => {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(isFiniteNumber) || point[1] <= 0) {
+            errors.push(`${where}[${index}] must be [distance, value > 0].`);
+        } else if (index > 0 && Array.isArray(curve[index - 1]) && point[0] <= curve[index - 1][0]) {
+            errors.push(`${where}[${index}] must come after the previous point's distance.`);
+        }
+    });
+}
+
+// Checks a parsed profile. Returns { profile, errors }: profile is null when there are errors.
+export function validateDifficultyProfile(data) {
+    const errors = [];
+    if (!isPlainObject(data)) {
+        return { profile: null, errors: ['Difficulty profile must be a JSON object.'] };
+    }
+    const knownModels = getKnownObstacleModels();
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name must be a non-empty string.');
+    }
+    checkCurve(data.speed, 'speed', errors);
+    checkCurve(data.spawnInterval, 'spawnInterval', errors);
+    if (!Number.isInteger(data.maxObstacles) || data.maxObstacles < 1) {
+        errors.push('maxObstacles must be an integer >= 1.');
+    }
+    if (!isFiniteNumber(data.minReactionTime) || data.minReactionTime < 0) {
+        errors.push('minReactionTime must be a number >= 0.');
+    }
+    if (!Array.isArray(data.spawnDistance) || data.spawnDistance.length !== 2 ||
+        !data.spawnDistance.every(isFiniteNumber) || data.spawnDistance[0] <= 0 ||
+        data.spawnDistance[1] < data.spawnDistance[0]) {
+        errors.push('spawnDistance must be [nearest, furthest] with 0 < nearest <= furthest.');
+    }
+    if (!Number.isInteger(data.obstaclesPerTheme) || data.obstaclesPerTheme < 1) {
+        errors.push('obstaclesPerTheme must be an integer >= 1.');
+    }
+    if (!isPlainObject(data.themes) || Object.keys(data.themes).length === 0) {
+        errors.push('themes must be a non-empty object.');
+    } else {
+        for (const [theme, weights] of Object.entries(data.themes)) {
+            checkWeights(weights, `themes.${theme}`, errors, (model) => {
+                if (!knownModels.includes(model)) {
+                    errors.push(`themes.${theme}: "${model}" is not a known obstacle model.`);
+                }
+            });
+        }
+    }
+    if (!isPlainObject(data.lanePatterns)) {
+        errors.push('lanePatterns must be an object keyed by lane count.');
+    } else {
+        for (const laneCount of supportedLaneCounts) {
+            checkWeights(data.lanePatterns[laneCount], `lanePatterns["${laneCount}"]`, errors, (pattern) => {
+                if (!/^[x.]+$/.test(pattern) || pattern.length !== laneCount || !pattern.includes('x')) {
+                    errors.push(`lanePatterns["${laneCount}"]: "${pattern}" must be ${laneCount} of "x" or ".", ` +
+                        'with at least one "x".');
+                } else if (laneCount > 1 && !pattern.includes('.')) {
+                    errors.push(`lanePatterns["${laneCount}"]: "${pattern}" blocks every lane.`);
+                }
+            });
+        }
+    }
+    return { profile: errors.length > 0 ? null : data, errors };
+}
+
+// A preset by name, or a profile object (checked). Throws if it isn't usable.
+export function resolveDifficultyProfile(difficulty = defaultDifficulty) {
+    if (typeof difficulty === 'string') {
+        const preset = difficultyPresets[difficulty];
+        if (!preset) {
+            throw new Error(`Unknown difficulty preset "${difficulty}".`);
+        }
+        return preset;
+    }
+    const { profile, errors } = validateDifficultyProfile(difficulty);
+    if (!profile) {
+        throw new Error(`Invalid difficulty profile:\n${errors.join('\n')}`);
+    }
+    return profile;
+}
+
+// Value of a [distance, value] curve at a distance.
+function sampleCurve(curve, distance) {
+    if (distance <= curve[0][0]) {
+        return curve[0][1];
+    }
+    for (let i = 1; i < curve.length; i++) {
+        const [endDistance, endValue] = curve[i];
+        if (distance < endDistance) {
+            const [startDistance, startValue] = curve[i - 1];
+            return startValue + (endValue - startValue) * (distance - startDistance) / (endDistance - startDistance);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+// Weighted pick from { key: weight } using one draw of `random`.
+function pickWeighted(entries, totalWeight, random) {
+    let roll = random() * totalWeight;
+    for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+            return key;
+        }
+    }
+    return entries[entries.length - 1][0];
+}
+
+function weightedTable(weights) {
+    const entries = Object.entries(weights);
+    return { entries, total: entries.reduce((sum, [, weight]) => sum + weight, 0) };
+}
+
+// The director for one run. planRow draws from the `random` it's given (the simulation's seeded
+// generator), so a seed and profile always produce the same rows. Theme progress lives in the simulation state:
+// state.currentThemeIndex, state.currentThemeName and state.obstaclesSpawnedInCurrentTheme.
+export function createDifficultyDirector(profile, laneCount) {
+    const mode = getLaneModeSettings(laneCount);
+    const themeNames = Object.keys(profile.themes);
+    const themeTables = themeNames.map((name) => weightedTable(profile.themes[name]));
+    const patternTable = weightedTable(profile.lanePatterns[laneCount]);
+    const [nearest, furthest] = profile.spawnDistance;
+
+    return {
+        themeNames,
+        maxObstacles: Math.round(profile.maxObstacles * mode.maxObstaclesMultiplier),
+        speedAt: (distance) => sampleCurve(profile.speed, distance),
+        spawnIntervalAt: (distance) => sampleCurve(profile.spawnInterval, distance) * mode.spawnIntervalMultiplier,
+
+        // The next row: which lanes get an obstacle and which model each gets, plus how far ahead of
+        // the player it should go (before the reaction gap is applied; see placeRow).
+        // Returns { models: [model per lane or null], distanceAhead }.
+        planRow(state, random) {
+            const pattern = pickWeighted(patternTable.entries, patternTable.total, random);
+            const models = [];
+            for (let lane = 0; lane < laneCount; lane++) {
+                if (pattern[lane] !== 'x') {
+                    models.push(null);
+                    continue;
+                }
+                if (state.obstaclesSpawnedInCurrentTheme >= profile.obstaclesPerTheme) {
+                    state.currentThemeIndex = (state.currentThemeIndex + 1) % themeNames.length;
+                    state.currentThemeName = themeNames[state.currentThemeIndex];
+                    state.obstaclesSpawnedInCurrentTheme = 0;
+                }
+                const table = themeTables[state.currentThemeIndex];
+                models.push(pickWeighted(table.entries, table.total, random));
+                state.obstaclesSpawnedInCurrentTheme++;
+            }
+            return { models, distanceAhead: nearest + random() * (furthest - nearest) };
+        },
+
+        // Player z for a planned row: at least the reaction gap (at the current speed) beyond the
+        // furthest obstacle already on the track, measured between collision footprints.
+        placeRow(row, state) {
+            let z = state.player.z - row.distanceAhead;
+            let nearEdge = -Infinity; // The row's footprint edge closest to the player, relative to z
+            for (const model of row.models) {
+                if (model) {
+                    nearEdge = Math.max(nearEdge, getObstacleColliders(model).footprint.max.z);
+                }
+            }
+            const gap = state.speed * profile.minReactionTime;
+            for (const obstacle of state.obstacles) {
+                const farEdge = obstacle.z + getObstacleColliders(obstacle.type).footprint.min.z;
+                z = Math.min(z, farEdge - gap - nearEdge);
+            }
+            return z;
+        }
+    };
+}
@@ -0,0 +1,159 @@
+// Game event bus: the notable moments of a run as typed events, so the HUD, audio, scoring,
+// analytics and multiplayer sync can react to them as plugins instead of being wired into the game loop.
+// Every payload has `state` (the run's simulation state). Event types and the rest of their payloads:
+//   runStarted        { race }                             - a new run's simulation was created
+//   obstacleSpawned   { obstacleId, model, lane, z }
+//   obstaclePassed    { obstacleId, model, interaction }   - cleared without a fault
+//   collision         { obstacleId, model, fault, refused, absorbed }
+//                                                          - any fault, including refusals and faults a
+//                                                            shield absorbed (fault is 'refusal' for those)
+//   powerUpCollected  { powerUp, pickupId }
+//   powerUpExpired    { powerUp, used }
+//   themeChanged      { theme, previousTheme }
+//   distanceMilestone { distance }                         - every 100 units
+//   gameOver          { race, finished, reason, fault }    - the run ended (finished: crossed the finish line)
+//   frame             { race, live, deltaTime }            - once per rendered frame while there's a run to
+//                                                            show; live is false when watching a replay
+// race is the multiplayer race the run belongs to, or null.
+// Only live runs report events: replays and the ghost step their own silent simulations.
+
+export const GameEventTypes = Object.freeze([
+    'runStarted',
+    'obstacleSpawned',
+    'obstaclePassed',
+    'collision',
+    'powerUpCollected',
+    'powerUpExpired',
+    'themeChanged',
+    'distanceMilestone',
+    'gameOver',
+    'frame'
+]);
+
+// Plugins are objects with an id, an optional setup(bus) (returning an optional cleanup function)
+// and a handler per event type they care about, e.g.
+//   bus.registerPlugin({ id: 'analytics', collision({ model, fault }) { ... } });
+const pluginKeys = new Set(['id', 'setup']);
+
+export function createEventBus() {
+    // Handler lists are replaced rather than changed, so emit can walk one while a handler unsubscribes.
+    const handlers = new Map(GameEventTypes.map((type) => [type, []]));
+    const plugins = new Map(); // id -> cleanup functions
+
+    function checkType(type) {
+        if (!handlers.has(type)) {
+            throw new Error(`Unknown game event type "${type}".`);
+        }
+    }
+
+    // Returns a function that unsubscribes the handler.
+    function on(type, handler) {
+        checkType(type);
+        handlers.set(type, [...handlers.get(type), handler]);
+        return () => off(type, handler);
+    }
+
+    function off(type, handler) {
+        checkType(type);
+        handlers.set(type, handlers.get(type).filter((existing) => existing !== handler));
+    }
+
+    // A failing handler is logged and skipped so it can't break the game loop or the other handlers.
+    function emit(type, payload) {
+        checkType(type);
+        const list = handlers.get(type);
+        for (let i = 0; i < list.length; i++) {
+            try {
+                list[i](payload);
+            } catch (error) {
+                console.error(`Error in a ${type} handler:`, error);
+            }
+        }
+    }
+
+    function registerPlugin(plugin) {
+        if (!plugin || !plugin.id) {
+            throw new Error('Plugins need an id.');
+        }
+        if (plugins.has(plugin.id)) {
+            throw new Error(`Plugin "${plugin.id}" is already registered.`);
+        }
+        const handlerKeys = Object.keys(plugin).filter((key) => !pluginKeys.has(key));
+        for (const key of handlerKeys) {
+            if (!handlers.has(key)) {
+                throw new Error(`Plugin "${plugin.id}" handles an unknown game event type "${key}".`);
+            }
+        }
+        const cleanups = handlerKeys.map((type) => on(type, plugin[type].bind(plugin)));
+        if (plugin.setup) {
+            const cleanup = plugin.setup(api);
+            if (typeof cleanup === 'function') {
+                cleanups.push(cleanup);
+            }
+        }
+        plugins.set(plugin.id, cleanups);
+    }
+
+    function unregisterPlugin(id) {
+        const cleanups = plugins.get(id);
+        if (!cleanups) {
+            return false;
+        }
+        plugins.delete(id);
+        for (const cleanup of cleanups) {
+            cleanup();
+        }
+        return true;
+    }
+
+    const api = {
+        on,
+        off,
+        emit,
+        registerPlugin,
+        unregisterPlugin,
+        getPluginIds: () => [...plugins.keys()]
+    };
+    return api;
+}
+
+// The simulation's onEvents option for a bus: reports each step's state.events (see game/simulation.mjs)
+// as game events. Simulation events that aren't game events are ignored.
+export function forwardSimulationEvents(bus) {
+    return (events, state) => {
+        for (const event of events) {
+            switch (event.type) {
+                case 'obstacleCleared':
+                    bus.emit('obstaclePassed', {
+                        state,
+                        obstacleId: event.obstacleId,
+                        model: event.model,
+                        interaction: event.interaction
+                    });
+                    break;
+                case 'obstacleFault':
+                case 'obstacleRefused': {
+                    const refused = event.type === 'obstacleRefused';
+                    bus.emit('collision', {
+                        state,
+                        obstacleId: event.obstacleId,
+                        model: event.model,
+                        fault: refused ? 'refusal' : event.fault,
+                        refused,
+                        absorbed: Boolean(event.absorbed)
+                    });
+                    break;
+                }
+                case 'obstacleSpawned':
+                case 'powerUpCollected':
+                case 'powerUpExpired':
+                case 'themeChanged':
+                case 'distanceMilestone': {
+                    const { type, ...payload } = event;
+                    bus.emit(type, { state, ...payload });
+                    break;
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,57 @@
+// Top-level game flow: menu -> playing <-> paused -> game over -> (restart | menu),
+// plus watching a recorded run (replay) from the menu or the game-over screen, and the course editor,
+// whose test runs go back to it from the pause menu or the game-over screen, and spectating a race room
+// (broadcast mode) from the menu.
+// Kept separate from the simulation (which only knows about a single run) and free of DOM code;
+// main.js shows/hides overlays from the onChange callback.
+
+export const GameStates = Object.freeze({
+    menu: 'menu',
+    playing: 'playing',
+    paused: 'paused',
+    gameOver: 'gameOver',
+    replay: 'replay',
+    editor: 'editor',
+    spectating: 'spectating'
+});
+
+// Allowed transitions. Restart is gameOver -> playing; "quit to menu" is allowed from anywhere in a run.
+const transitions = {
+    [GameStates.menu]: [GameStates.playing, GameStates.replay, GameStates.editor, GameStates.spectating],
+    [GameStates.playing]: [GameStates.paused, GameStates.gameOver, GameStates.menu],
+    [GameStates.paused]: [GameStates.playing, GameStates.menu, GameStates.editor],
+    [GameStates.gameOver]: [GameStates.playing, GameStates.menu, GameStates.replay, GameStates.editor],
+    [GameStates.replay]: [GameStates.menu],
+    [GameStates.editor]: [GameStates.menu, GameStates.playing],
+    [GameStates.spectating]: [GameStates.menu]
+};
+
+// onChange(next, previous, data) runs after every successful transition.
+export function createGameStateMachine(onChange = () => {}) {
+    let current = GameStates.menu;
+
+    function canTransition(next) {
+        return transitions[current].includes(next);
+    }
+
+    // Returns false (and leaves the state alone) for transitions that aren't allowed.
+    function transition(next, data = {}) {
+        if (!canTransition(next)) {
+            console.warn(`Ignoring game state change ${current} -> ${next}`);
+            return false;
+        }
+        const previous = current;
+        current = next;
+        onChange(next, previous, data);
+        return true;
+    }
+
+    return {
+        get current() {
+            return current;
+        },
+        is: (name) => current === name,
+        canTransition,
+        transition
+    };
+}
@@ -0,0 +1,152 @@
+// Per-obstacle interaction rules.
+// Each obstacle's config declares an `interaction` (see game/config.mjs). While the player is
+// over an obstacle's footprint the matching handler decides whether they're taking it properly;
+// once the obstacle is behind the player the run is told whether it was cleared or faulted.
+//
+// Handlers get a context and return a fault name or null:
+//   { obstacle, interaction, player, rule, progress, hit }
+//   interaction - the obstacle's per-run interaction state, handlers may keep their own flags on it
+//   progress    - how far the player's front is past the obstacle's leading edge
+//   hit         - the collider shape the player is touching this step (see game/collision.mjs), or null
+//
+//   enter(ctx)   - the player has just reached the obstacle
+//   update(ctx)  - every step the player is over the obstacle's footprint
+//                  (or alongside it, for `laneBound` obstacles the player must not leave)
+//   finish(ctx)  - the obstacle is now behind the player (only called if nothing faulted)
+//   release(ctx) - cleanup once the obstacle is resolved either way
+// A handler that needs settings on its rule also has:
+//   checkRule(rule) - a description of what's missing or wrong, or null (see checkInteractionRule)
+
+// Sideways drift allowed inside lane-bound obstacles before it counts as leaving them.
+const LANE_TOLERANCE = 0.3;
+// How deep into a contact obstacle the player may first touch it and still count as "from the start".
+const CONTACT_ENTRY_TOLERANCE = 0.5;
+
+export const faultTypes = {
+    collision: 'collision',
+    knockedBar: 'knockedBar',
+    rimContact: 'rimContact',
+    missedHoop: 'missedHoop',
+    leftTunnel: 'leftTunnel',
+    tunnelRoof: 'tunnelRoof',
+    missedWeave: 'missedWeave',
+    missedContact: 'missedContact'
+};
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function hasLeftLane({ obstacle, player }) {
+    return Math.abs(player.x - obstacle.x) > LANE_TOLERANCE;
+}
+
+export const interactionHandlers = {
+    solid: {
+        update({ hit }) {
+            return hit ? faultTypes.collision : null;
+        }
+    },
+
+    // Must be jumped: ducking under or slipping through the bars without leaving the ground is a fault too.
+    jump: {
+        update({ interaction, player, hit }) {
+            if (player.isAirborne) {
+                interaction.wasAirborne = true;
+            }
+            return hit ? faultTypes.knockedBar : null;
+        },
+        finish({ interaction }) {
+            return interaction.wasAirborne ? null : faultTypes.knockedBar;
+        }
+    },
+
+    // Touching the ring or frame is a rim fault; going under/around it without the player's
+    // centre ever passing inside the opening is a missed hoop.
+    hoop: {
+        checkRule({ opening }) {
+            const isValid = opening !== null && typeof opening === 'object' && isFiniteNumber(opening.centerY) &&
+                isFiniteNumber(opening.radius) && opening.radius > 0;
+            return isValid ? null : 'needs an opening with a numeric centerY and a positive radius';
+        },
+        update({ obstacle, interaction, player, rule, hit }) {
+            if (hit) {
+                return faultTypes.rimContact;
+            }
+            const dx = player.x - obstacle.x;
+            const dy = player.y - rule.opening.centerY;
+            if (dx * dx + dy * dy < rule.opening.radius * rule.opening.radius) {
+                interaction.throughOpening = true;
+            }
+            return null;
+        },
+        finish({ interaction }) {
+            return interaction.throughOpening ? null : faultTypes.missedHoop;
+        }
+    },
+
+    tunnel: {
+        laneBound: true,
+        update(ctx) {
+            if (ctx.hit) {
+                return ctx.hit.part === 'roof' ? faultTypes.tunnelRoof : faultTypes.leftTunnel;
+            }
+            return hasLeftLane(ctx) ? faultTypes.leftTunnel : null;
+        }
+    },
+
+    // The lane is locked while weaving; left/right presses become weave steps (see game/player.mjs).
+    weave: {
+        laneBound: true,
+        checkRule({ requiredWeaves }) {
+            return Number.isInteger(requiredWeaves) && requiredWeaves > 0 ? null : 'needs a whole number of requiredWeaves above 0';
+        },
+        enter({ player }) {
+            player.laneLocked = true;
+            player.weaveCount = 0;
+            player.lastWeaveDirection = null;
+            return player.isAirborne ? faultTypes.missedWeave : null;
+        },
+        update({ player }) {
+            return player.isAirborne ? faultTypes.missedWeave : null;
+        },
+        finish({ player, rule }) {
+            return player.weaveCount < rule.requiredWeaves ? faultTypes.missedWeave : null;
+        },
+        release({ player }) {
+            player.laneLocked = false;
+        }
+    },
+
+    contact: {
+        laneBound: true,
+        enter({ player, progress }) {
+            if (player.isAirborne || progress > CONTACT_ENTRY_TOLERANCE) {
+                return faultTypes.missedContact;
+            }
+            return null;
+        },
+        update(ctx) {
+            return ctx.player.isAirborne || hasLeftLane(ctx) ? faultTypes.missedContact : null;
+        }
+    }
+};
+
+// Can this rule be played? Returns a description of the problem, or null. Courses check their
+// interaction overrides with it (see game/course.mjs), as a bad one would throw on every step.
+export function checkInteractionRule(rule) {
+    if (!rule || typeof rule !== 'object' || !Object.hasOwn(interactionHandlers, rule.type)) {
+        return 'needs a known interaction type';
+    }
+    const handler = interactionHandlers[rule.type];
+    return handler.checkRule ? handler.checkRule(rule) : null;
+}
+
+export function getInteractionHandler(rule) {
+    const handler = interactionHandlers[rule && rule.type];
+    if (!handler) {
+        console.error(`Unknown interaction type: ${rule && rule.type}; treating obstacle as solid.`);
+        return interactionHandlers.solid;
+    }
+    return handler;
+}
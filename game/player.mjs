@@ -0,0 +1,117 @@
+// Player movement rules: lane switching, jumping with a gravity arc and crouching.
+// Pure data in, pure data out, so the simulation (and Node) can run it without a browser.
+//
+// Per-step input is { left, right, jump, crouch }:
+//   left/right/jump are "pressed since the last step" edges, crouch is held.
+
+export const playerMovementSettings = {
+    laneChangeSpeed: 14, // units per second sideways
+    jumpVelocity: 6.5, // initial upward speed (units per second)
+    gravity: 20, // units per second^2
+    fastFallGravity: 45, // gravity while crouch is held mid-air
+    crouchHeightFactor: 0.5, // crouching halves the player's height
+    inputBufferTime: 0.15, // seconds a press is remembered if it can't be acted on yet
+    laneChangeBufferDistance: 0.6 // a buffered lane change fires once this close to the target lane
+};
+
+export const emptyInput = Object.freeze({ left: false, right: false, jump: false, crouch: false });
+const crouchOnlyInput = Object.freeze({ left: false, right: false, jump: false, crouch: true });
+
+// Only the held part of an input; used for the extra steps of a frame so one key press isn't applied twice.
+export function heldInput(input) {
+    return input && input.crouch ? crouchOnlyInput : emptyInput;
+}
+
+export function createPlayerState(lanePositions, size, startPosition) {
+    const lane = Math.floor(lanePositions.length / 2);
+    return {
+        lane, // lane index the player is in (or moving into)
+        x: lanePositions[lane],
+        y: startPosition[1],
+        z: startPosition[2],
+        standingSize: size.slice(),
+        size: size.slice(), // current collision size, shrinks while crouching
+        velocityY: 0,
+        isAirborne: false,
+        isCrouching: false,
+        isChangingLane: false,
+        laneLocked: false, // set by lane-bound obstacles such as the weave poles
+        weaveCount: 0,
+        lastWeaveDirection: null,
+        buffered: { left: 0, right: 0, jump: 0 } // seconds left on each buffered press
+    };
+}
+
+function groundY(player) {
+    return player.size[1] / 2;
+}
+
+export function updatePlayer(player, input, dt, lanePositions, settings = playerMovementSettings) {
+    const buffered = player.buffered;
+
+    // Input buffering: remember presses for a short while, and age the old ones out.
+    for (const action of ['left', 'right', 'jump']) {
+        if (input[action]) {
+            buffered[action] = settings.inputBufferTime;
+        } else if (buffered[action] > 0) {
+            buffered[action] = Math.max(0, buffered[action] - dt);
+        }
+    }
+
+    // Lane switching. A new change is accepted once the current one is nearly finished.
+    // While the lane is locked (weaving), left/right presses count alternating weave steps instead.
+    const targetX = lanePositions[player.lane];
+    const readyForLaneChange = Math.abs(targetX - player.x) <= settings.laneChangeBufferDistance;
+    if (player.laneLocked) {
+        const direction = buffered.left > 0 ? 'left' : (buffered.right > 0 ? 'right' : null);
+        if (direction) {
+            if (direction !== player.lastWeaveDirection) {
+                player.weaveCount++;
+                player.lastWeaveDirection = direction;
+            }
+            buffered.left = 0;
+            buffered.right = 0;
+        }
+    } else if (readyForLaneChange) {
+        if (buffered.left > 0 && player.lane > 0) {
+            player.lane--;
+            buffered.left = 0;
+        } else if (buffered.right > 0 && player.lane < lanePositions.length - 1) {
+            player.lane++;
+            buffered.right = 0;
+        }
+    }
+    const laneX = lanePositions[player.lane];
+    const maxMove = settings.laneChangeSpeed * dt;
+    const dx = laneX - player.x;
+    player.x = Math.abs(dx) <= maxMove ? laneX : player.x + Math.sign(dx) * maxMove;
+    player.isChangingLane = player.x !== laneX;
+
+    // Crouch only changes the player's height on the ground; in the air it turns into a fast fall.
+    const wantsCrouch = Boolean(input.crouch);
+    if (!player.isAirborne) {
+        player.isCrouching = wantsCrouch;
+        player.size[1] = player.standingSize[1] * (wantsCrouch ? settings.crouchHeightFactor : 1);
+    }
+
+    // Jump (a buffered press fires on landing) and the gravity arc.
+    if (!player.isAirborne && buffered.jump > 0) {
+        buffered.jump = 0;
+        player.isAirborne = true;
+        player.isCrouching = false;
+        player.size[1] = player.standingSize[1];
+        player.velocityY = settings.jumpVelocity;
+    }
+    if (player.isAirborne) {
+        const gravity = wantsCrouch ? settings.fastFallGravity : settings.gravity;
+        player.velocityY -= gravity * dt;
+        player.y += player.velocityY * dt;
+        if (player.y <= groundY(player)) {
+            player.isAirborne = false;
+            player.velocityY = 0;
+        }
+    }
+    if (!player.isAirborne) {
+        player.y = groundY(player);
+    }
+}
@@ -0,0 +1,95 @@
+// Power-up registry.
+// Each type says how it looks (a model in models/powerups/, or a primitive fallback), how long it
+// lasts and which hooks it uses. The simulation calls the hooks of every active effect:
+//   onApply(state, effect)            - when picked up (or refreshed)
+//   onExpire(state, effect)           - when the timer runs out or the effect is used up
+//   onStep(state, effect, dt)         - every step while active
+//   modifyTimeScale(scale)            - scale the simulation delta (slow motion)
+//   modifyScoreMultiplier(multiplier) - scale points earned
+//   absorbFault(event)                - return true to cancel a fault; the effect is then used up
+// Timers count real (unscaled) seconds, so slow motion lasts as long as it says.
+
+const powerUpTypes = new Map();
+
+export function registerPowerUpType(definition) {
+    if (!definition || !definition.id) {
+        throw new Error('Power-up types need an id.');
+    }
+    if (powerUpTypes.has(definition.id)) {
+        throw new Error(`Power-up type "${definition.id}" is already registered.`);
+    }
+    powerUpTypes.set(definition.id, {
+        label: definition.id,
+        model: null, // file name in models/powerups/
+        fallback: { shape: 'sphere', color: 0xffffff },
+        duration: 10,
+        ...definition
+    });
+}
+
+export function getPowerUpType(id) {
+    return powerUpTypes.get(id) || null;
+}
+
+export function getPowerUpTypeIds() {
+    return [...powerUpTypes.keys()];
+}
+
+function nearestLane(lanePositions, x) {
+    let lane = 0;
+    for (let i = 1; i < lanePositions.length; i++) {
+        if (Math.abs(lanePositions[i] - x) < Math.abs(lanePositions[lane] - x)) {
+            lane = i;
+        }
+    }
+    return lane;
+}
+
+const MAGNET_RANGE = 12; // how far ahead (in Z) the magnet reaches
+const MAGNET_PULL_SPEED = 8; // units per second sideways
+
+registerPowerUpType({
+    id: 'shield',
+    label: 'Shield',
+    fallback: { shape: 'sphere', color: 0x33aaff },
+    duration: 15,
+    absorbFault: () => true
+});
+
+registerPowerUpType({
+    id: 'slowMotion',
+    label: 'Slow-mo',
+    fallback: { shape: 'torus', color: 0xaa66ff },
+    duration: 5,
+    modifyTimeScale: (scale) => scale * 0.6
+});
+
+registerPowerUpType({
+    id: 'magnet',
+    label: 'Magnet',
+    fallback: { shape: 'box', color: 0xff4444 },
+    duration: 10,
+    // Pull pickups in other lanes across to the player. A pickup belongs to whichever lane it's
+    // nearest, so spawning obstacles clear it (and it's found) where it's actually drawn.
+    onStep(state, effect, dt) {
+        const player = state.player;
+        for (const pickup of state.pickups) {
+            const distanceAhead = player.z - pickup.z;
+            if (distanceAhead < 0 || distanceAhead > MAGNET_RANGE) {
+                continue;
+            }
+            const dx = player.x - pickup.x;
+            const maxMove = MAGNET_PULL_SPEED * dt;
+            pickup.x += Math.abs(dx) <= maxMove ? dx : Math.sign(dx) * maxMove;
+            pickup.lane = nearestLane(state.lanePositions, pickup.x);
+        }
+    }
+});
+
+registerPowerUpType({
+    id: 'scoreMultiplier',
+    label: 'Score x2',
+    fallback: { shape: 'octahedron', color: 0xffd700 },
+    duration: 10,
+    modifyScoreMultiplier: (multiplier) => multiplier * 2
+});
@@ -0,0 +1,50 @@
+// Seedable PRNG for everything the simulation decides at random.
+// The same seed always gives the same sequence, so a run (or a bug) can be reproduced from its seed.
+
+// Mulberry32: small, fast and good enough for course generation. Returns floats in [0, 1).
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// FNV-1a, used to turn arbitrary text (e.g. "2025-05-24" or "my-course") into a seed.
+export function hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seeds are unsigned 32-bit integers. Numeric strings are taken as-is so a seed shown on the
+// game-over screen can be typed back in; any other text is hashed.
+export function normalizeSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(Math.abs(value)) >>> 0;
+    }
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    return hashString(text);
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Everyone playing on the same (UTC) day gets the same course.
+export function dailySeedKey(date = new Date()) {
+    return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+export function dailySeed(date = new Date()) {
+    return hashString(dailySeedKey(date));
+}
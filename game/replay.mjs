@@ -0,0 +1,205 @@
+// Input logs and headless replays.
+// The simulation is deterministic for a seed and a per-step input sequence, so a run can be stored as
+// just its settings plus the inputs each step received. The log only keeps changes:
+//   inputs: [ticksSinceLastChange, mask, ticksSinceLastChange, mask, ...]
+// where mask packs the step's input (see inputBits) and applies from that tick until the next change.
+// The server replays submitted logs to check the reported score (see leaderboard/replayVerifier.js).
+import { createSimulation, FIXED_TIMESTEP } from './simulation.mjs';
+import { emptyInput } from './player.mjs';
+import { supportedLaneCounts } from './config.mjs';
+import { difficultyPresets, defaultDifficulty } from './difficulty.mjs';
+
+// Bumped whenever a rule change means old input logs no longer reproduce their run
+// (2: the world scrolls and speeds up; 3: difficulty presets; 4: a power-up running out is no longer
+// scored as a fault; 5: the player collides as the dog's capsule; 6: jumps must be taken airborne;
+// 7: easy has no jump3 or table; 8: magnet-pulled pickups change lane; 9: jump3 and the table are lower
+// and shallower, and back on easy), so old replays are rejected instead of desyncing.
+export const REPLAY_VERSION = 9;
+
+const inputBits = { left: 1, right: 2, jump: 4, crouch: 8 };
+const ALL_INPUT_BITS = 15;
+
+export function encodeInput(input) {
+    let mask = 0;
+    for (const [action, bit] of Object.entries(inputBits)) {
+        if (input[action]) {
+            mask |= bit;
+        }
+    }
+    return mask;
+}
+
+// One frozen input object per mask, so replays don't allocate per step.
+const decodedInputs = Array.from({ length: ALL_INPUT_BITS + 1 }, (unused, mask) => Object.freeze(
+    Object.fromEntries(Object.entries(inputBits).map(([action, bit]) => [action, (mask & bit) !== 0]))));
+
+export function decodeInput(mask) {
+    return decodedInputs[mask] || emptyInput;
+}
+
+// Pass as createSimulation({ inputRecorder }); the simulation calls record() with every step's input.
+export function createInputRecorder() {
+    const inputs = [];
+    let lastMask = 0;
+    let lastChangeTick = 0;
+    let ticks = 0;
+
+    function record(tick, input) {
+        ticks = tick;
+        const mask = encodeInput(input);
+        if (mask !== lastMask) {
+            inputs.push(tick - lastChangeTick, mask);
+            lastMask = mask;
+            lastChangeTick = tick;
+        }
+    }
+
+    return {
+        record,
+        getInputs: () => inputs.slice(),
+        getTicks: () => ticks
+    };
+}
+
+// Everything needed to replay a run: pass the settings the simulation was created with.
+// settings: { seed, laneCount, difficulty (preset name), courseFile (trial runs), finishDistance (races) }
+export function buildReplay(settings, recorder) {
+    return {
+        version: REPLAY_VERSION,
+        seed: settings.seed,
+        laneCount: settings.laneCount,
+        difficulty: settings.difficulty || defaultDifficulty,
+        courseFile: settings.courseFile || null,
+        finishDistance: settings.finishDistance ?? null,
+        ticks: recorder.getTicks(),
+        inputs: recorder.getInputs()
+    };
+}
+
+// Checks a replay's shape. Returns a list of problems (empty when it's usable).
+export function validateReplay(replay, limits = {}) {
+    const maxTicks = limits.maxTicks ?? Infinity;
+    const errors = [];
+    if (!replay || typeof replay !== 'object' || Array.isArray(replay)) {
+        return ['replay must be an object.'];
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        errors.push(`replay.version must be ${REPLAY_VERSION}.`);
+    }
+    if (!Number.isInteger(replay.seed) || replay.seed < 0 || replay.seed > 0xFFFFFFFF) {
+        errors.push('replay.seed must be an unsigned 32-bit integer.');
+    }
+    if (!supportedLaneCounts.includes(replay.laneCount)) {
+        errors.push(`replay.laneCount must be one of ${supportedLaneCounts.join(', ')}.`);
+    }
+    if (!Object.hasOwn(difficultyPresets, replay.difficulty)) {
+        errors.push(`replay.difficulty must be one of ${Object.keys(difficultyPresets).join(', ')}.`);
+    }
+    if (replay.courseFile !== null && typeof replay.courseFile !== 'string') {
+        errors.push('replay.courseFile must be null or a course file name.');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 1 || replay.ticks > maxTicks) {
+        errors.push(`replay.ticks must be a whole number from 1 to ${maxTicks}.`);
+    }
+    if (replay.finishDistance !== null && !(typeof replay.finishDistance === 'number' && replay.finishDistance > 0)) {
+        errors.push('replay.finishDistance must be null or a number > 0.');
+    }
+    if (!Array.isArray(replay.inputs) || replay.inputs.length % 2 !== 0) {
+        errors.push('replay.inputs must be a list of [ticks, mask] pairs.');
+    } else {
+        let tick = 0;
+        for (let i = 0; i < replay.inputs.length; i += 2) {
+            const delta = replay.inputs[i];
+            const mask = replay.inputs[i + 1];
+            if (!Number.isInteger(delta) || delta < 1 || !Number.isInteger(mask) || mask < 0 || mask > ALL_INPUT_BITS) {
+                errors.push(`replay.inputs has an invalid entry at ${i}.`);
+                break;
+            }
+            tick += delta;
+        }
+        if (Number.isInteger(replay.ticks) && tick > replay.ticks) {
+            errors.push('replay.inputs go past replay.ticks.');
+        }
+    }
+    return errors;
+}
+
+// Drives a fresh simulation from a validated replay, one recorded step at a time.
+// `course` is the validated course for trial replays (null otherwise). Used for playback (with
+// seeking), ghosts (stepped alongside a live run), server-side verification and spectators, whose
+// replay.inputs and replay.ticks keep growing as a racer's log arrives (see client/broadcastView.js).
+export function createReplayPlayer(replay, course = null) {
+    let sim = null;
+    let tick = 0;
+    let index = 0;
+    let lastChangeTick = 0;
+    let input = emptyInput;
+
+    function restart() {
+        sim = createSimulation({
+            seed: replay.seed,
+            laneCount: replay.laneCount,
+            difficulty: replay.difficulty,
+            course,
+            finishDistance: replay.finishDistance
+        });
+        tick = 0;
+        index = 0;
+        lastChangeTick = 0;
+        input = emptyInput;
+    }
+
+    function isDone() {
+        return tick >= replay.ticks || sim.state.isGameOver;
+    }
+
+    // Runs the next recorded step. Returns false once the recording (or the run) is over.
+    function step() {
+        if (isDone()) {
+            return false;
+        }
+        tick++;
+        if (index < replay.inputs.length && tick === lastChangeTick + replay.inputs[index]) {
+            input = decodeInput(replay.inputs[index + 1]);
+            index += 2;
+            lastChangeTick = tick;
+        }
+        sim.step(FIXED_TIMESTEP, input);
+        return true;
+    }
+
+    // Jump to a tick. Going backwards replays from the start, which is quick without rendering.
+    function seek(targetTick) {
+        if (targetTick < tick) {
+            restart();
+        }
+        while (tick < targetTick && step()) {
+            // Fast-forward
+        }
+    }
+
+    restart();
+
+    return {
+        get sim() { // Replaced when seeking backwards
+            return sim;
+        },
+        get tick() {
+            return tick;
+        },
+        get ticks() {
+            return replay.ticks;
+        },
+        step,
+        seek,
+        isDone
+    };
+}
+
+// Steps a fresh simulation through a whole replay and returns it; its state is where the run ended up.
+// Stops early if the run ends before the log does.
+export function runReplay(replay, course = null) {
+    const player = createReplayPlayer(replay, course);
+    player.seek(replay.ticks);
+    return player.sim;
+}
@@ -0,0 +1,144 @@
+// Dog-agility style scoring.
+// The simulation feeds interaction outcomes in (see game/interactions.mjs); everything that decides
+// what they're worth lives in `defaultScoringRules`, so tuning doesn't touch the game loop.
+// Pass different rules to createSimulation({ scoringRules }) to change them per mode.
+
+export const defaultScoringRules = {
+    lives: 3, // Fault budget: the run ends when a fault takes the last life
+    distancePointsPerUnit: 1,
+
+    // Points for taking each kind of obstacle cleanly (before the combo multiplier)
+    obstaclePoints: {
+        jump: 100,
+        hoop: 150,
+        tunnel: 100,
+        weave: 250,
+        contact: 200,
+        solid: 50
+    },
+
+    // What each fault costs. timePenalty is agility-style time added to the run's course time.
+    faults: {
+        collision: { label: 'Collision', points: 100, timePenalty: 5, lives: 1 },
+        knockedBar: { label: 'Knocked bar', points: 100, timePenalty: 5, lives: 1 },
+        rimContact: { label: 'Rim contact', points: 100, timePenalty: 5, lives: 1 },
+        missedHoop: { label: 'Missed hoop', points: 150, timePenalty: 5, lives: 1 },
+        leftTunnel: { label: 'Left tunnel', points: 100, timePenalty: 5, lives: 1 },
+        tunnelRoof: { label: 'Hit tunnel roof', points: 100, timePenalty: 5, lives: 1 },
+        missedWeave: { label: 'Missed weave', points: 150, timePenalty: 5, lives: 1 },
+        missedContact: { label: 'Missed contact', points: 150, timePenalty: 5, lives: 1 },
+        refusal: { label: 'Refusal', points: 50, timePenalty: 5, lives: 0 }
+    },
+    defaultFault: { label: 'Fault', points: 100, timePenalty: 5, lives: 1 },
+
+    // Consecutive clean obstacles raise the multiplier; any fault or refusal resets it.
+    combo: {
+        obstaclesPerLevel: 3,
+        multiplierPerLevel: 0.5,
+        maxMultiplier: 4
+    },
+
+    // Bonus every `streak` consecutive clean obstacles, and for finishing a course without faults.
+    cleanStreakBonus: { streak: 10, points: 500 },
+    cleanRunBonus: 1000
+};
+
+export function createScoreState(rules = defaultScoringRules) {
+    return {
+        points: 0,
+        distancePoints: 0,
+        obstaclePoints: 0,
+        bonusPoints: 0,
+        penaltyPoints: 0,
+        timePenalty: 0, // seconds
+        livesRemaining: rules.lives,
+        combo: 0, // consecutive clean obstacles
+        bestCombo: 0,
+        multiplier: 1,
+        obstaclesCleared: 0,
+        faults: [], // { fault, label, model, time }
+        faultCounts: {}, // fault name -> count
+        refusals: 0,
+        faultsAbsorbed: 0 // faults a shield power-up cancelled
+    };
+}
+
+function comboMultiplier(combo, rules) {
+    const level = Math.floor(combo / rules.combo.obstaclesPerLevel);
+    return Math.min(1 + level * rules.combo.multiplierPerLevel, rules.combo.maxMultiplier);
+}
+
+function recalculatePoints(score) {
+    score.points = Math.max(0,
+        Math.round(score.distancePoints + score.obstaclePoints + score.bonusPoints - score.penaltyPoints));
+}
+
+// `powerUpMultiplier` comes from active power-ups (see game/powerups.mjs).
+export function addDistancePoints(score, distance, rules = defaultScoringRules, powerUpMultiplier = 1) {
+    score.distancePoints += distance * rules.distancePointsPerUnit * powerUpMultiplier;
+    recalculatePoints(score);
+}
+
+// Apply one simulation event ('obstacleCleared', 'obstacleFault' or 'obstacleRefused').
+// A fault marked `absorbed` (a shield took it) costs nothing and keeps the combo going.
+// Returns true if it used up the last life.
+export function applyScoringEvent(score, event, time, rules = defaultScoringRules, powerUpMultiplier = 1) {
+    if (event.absorbed) {
+        score.faultsAbsorbed++;
+        return false;
+    }
+    if (event.type === 'obstacleCleared') {
+        score.obstaclesCleared++;
+        score.combo++;
+        score.bestCombo = Math.max(score.bestCombo, score.combo);
+        score.multiplier = comboMultiplier(score.combo, rules);
+        score.obstaclePoints += (rules.obstaclePoints[event.interaction] || 0) * score.multiplier * powerUpMultiplier;
+        if (rules.cleanStreakBonus && score.combo % rules.cleanStreakBonus.streak === 0) {
+            score.bonusPoints += rules.cleanStreakBonus.points;
+        }
+        recalculatePoints(score);
+        return false;
+    }
+
+    const faultName = event.type === 'obstacleRefused' ? 'refusal' : event.fault;
+    const fault = rules.faults[faultName] || rules.defaultFault;
+    if (faultName === 'refusal') {
+        score.refusals++;
+    }
+    score.faults.push({ fault: faultName, label: fault.label, model: event.model, time });
+    score.faultCounts[faultName] = (score.faultCounts[faultName] || 0) + 1;
+    score.penaltyPoints += fault.points;
+    score.timePenalty += fault.timePenalty;
+    score.livesRemaining = Math.max(0, score.livesRemaining - fault.lives);
+    score.combo = 0;
+    score.multiplier = 1;
+    recalculatePoints(score);
+    return fault.lives > 0 && score.livesRemaining === 0;
+}
+
+export function awardCleanRunBonus(score, rules = defaultScoringRules) {
+    if (score.faults.length === 0 && rules.cleanRunBonus) {
+        score.bonusPoints += rules.cleanRunBonus;
+        recalculatePoints(score);
+    }
+}
+
+// End-of-run summary rows for the game-over screen.
+export function getScoreBreakdown(score, rules = defaultScoringRules) {
+    const rows = [
+        { label: 'Distance', value: Math.round(score.distancePoints) },
+        { label: `Obstacles cleared (${score.obstaclesCleared})`, value: Math.round(score.obstaclePoints) },
+        { label: `Best combo (${score.bestCombo})`, value: null },
+        { label: 'Bonuses', value: Math.round(score.bonusPoints) }
+    ];
+    for (const [faultName, count] of Object.entries(score.faultCounts)) {
+        const fault = rules.faults[faultName] || rules.defaultFault;
+        rows.push({ label: `${fault.label} x${count}`, value: -fault.points * count });
+    }
+    if (score.faultsAbsorbed > 0) {
+        rows.push({ label: `Faults absorbed by shield (${score.faultsAbsorbed})`, value: null });
+    }
+    rows.push({ label: 'Time penalties', value: `${score.timePenalty}s` });
+    rows.push({ label: 'Total', value: score.points });
+    return rows;
+}
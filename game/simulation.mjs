@@ -0,0 +1,562 @@
+// Headless game simulation.
+// Owns obstacles, the player and game-over state and advances them with a fixed timestep.
+// The player stays at its start z; the world (obstacles and pickups) scrolls towards it at the
+// current speed, which ramps up with distance (see the difficulty director in game/difficulty.mjs).
+// No THREE, DOM or requestAnimationFrame in here: main.js only reads `sim.state` to render,
+// and Node (tests, the server) can drive the exact same rules.
+import {
+    defaultLaneCount,
+    getLanePositions,
+    playerSettings,
+    getObstacleConfig,
+    getObstacleColliders,
+    powerUpSettings
+} from './config.mjs';
+import {
+    createBox, setBoxFromCenterAndSize, createCapsule, setCapsuleFromCenterAndSize, findCapsuleCollidingShape
+} from './collision.mjs';
+import { getInteractionHandler } from './interactions.mjs';
+import {
+    defaultScoringRules,
+    createScoreState,
+    addDistancePoints,
+    applyScoringEvent,
+    awardCleanRunBonus
+} from './scoring.mjs';
+import { buildCourseLayout } from './course.mjs';
+import { defaultDifficulty, resolveDifficultyProfile, createDifficultyDirector } from './difficulty.mjs';
+import { createRandom, normalizeSeed, randomSeed } from './random.mjs';
+import { createPlayerState, updatePlayer, emptyInput, heldInput } from './player.mjs';
+import { getPowerUpType, getPowerUpTypeIds } from './powerups.mjs';
+
+export const FIXED_TIMESTEP = 1 / 60; // seconds per simulation step
+const MAX_STEPS_PER_ADVANCE = 10; // Don't spiral after a long tab-switch; drop the extra time instead.
+
+// Obstacles and pickups further behind the player than this are removed.
+const DESPAWN_DISTANCE_BEHIND_PLAYER = 20;
+
+// Lined up with an obstacle this close to it, then going around it instead, is a refusal.
+const REFUSAL_APPROACH_DISTANCE = 3;
+
+// A distanceMilestone event is reported every time the distance passes a multiple of this.
+const DISTANCE_MILESTONE_INTERVAL = 100;
+
+// The events scoring looks at; the rest (spawns, power-ups, milestones) are only reported.
+const interactionEventTypes = new Set(['obstacleCleared', 'obstacleFault', 'obstacleRefused']);
+
+// Trial mode places a course's obstacles once they're this close (same range endless mode spawns in).
+const COURSE_SPAWN_AHEAD_DISTANCE = 70;
+
+// Power-up placement draws from its own stream so it doesn't shift the obstacle sequence for a seed.
+const POWER_UP_SEED_SALT = 0x9e3779b9;
+
+// Remove list[index] in place, keeping the order (splice would allocate an array of removed items).
+function removeAt(list, index) {
+    for (let i = index; i < list.length - 1; i++) {
+        list[i] = list[i + 1];
+    }
+    list.length--;
+}
+
+// options: { seed, laneCount (1, 3 or 5),
+//            difficulty (a preset name from game/difficulty.mjs or a profile object; trial mode
+//                        always uses the default preset's speed so course times stay comparable),
+//            scoringRules (see game/scoring.mjs),
+//            course (a validated course from game/course.mjs; switches to trial mode),
+//            powerUps (spawn power-up pickups; defaults to on in endless mode, off in trial mode),
+//            finishDistance (endless mode: end the run there, e.g. for a multiplayer race),
+//            inputRecorder (gets record(tick, input) for every step; see game/replay.mjs),
+//            onEvents (called with state.events after every step that produced any; advance can run
+//                      several steps a frame and state.events only holds the latest one's) }
+export function createSimulation(options = {}) {
+    const course = options.course || null;
+    const courseLayout = course ? buildCourseLayout(course) : null;
+    const laneCount = course ? course.laneCount : (options.laneCount || defaultLaneCount);
+    const lanePositions = getLanePositions(laneCount);
+    const difficultyOption = course ? defaultDifficulty : (options.difficulty ?? defaultDifficulty);
+    const director = createDifficultyDirector(resolveDifficultyProfile(difficultyOption), laneCount);
+    const scoringRules = options.scoringRules || defaultScoringRules;
+    const inputRecorder = options.inputRecorder || null;
+    const onEvents = options.onEvents || null;
+    // Every spawn decision goes through this seeded generator, so a seed always reproduces the same course.
+    const seed = options.seed === undefined || options.seed === null ? randomSeed() : normalizeSeed(options.seed);
+    const random = createRandom(seed);
+    const powerUpRandom = createRandom((seed ^ POWER_UP_SEED_SALT) >>> 0);
+    const powerUpsEnabled = options.powerUps ?? !course;
+    const powerUpTypeIds = getPowerUpTypeIds();
+
+    const state = {
+        seed,
+        laneCount,
+        mode: course ? 'trial' : 'endless',
+        difficulty: typeof difficultyOption === 'string' ? difficultyOption : 'custom', // Preset name
+        course: course ? { name: course.name, finishDistance: courseLayout.finishDistance } : null,
+        nextCourseObstacle: 0,
+        finishDistance: courseLayout ? courseLayout.finishDistance : (options.finishDistance ?? null),
+        isFinished: false, // Crossed the finish line (trial mode or a race)
+        courseTime: null, // Finish time plus time penalties
+        tick: 0,
+        time: 0, // Total simulated seconds
+        distanceCovered: 0,
+        speed: director.speedAt(0), // Current scroll speed (units per second)
+        isGameOver: false,
+        gameOverReason: null, // Model file of the obstacle that ended the run
+        gameOverFault: null, // and the fault it reported (see game/interactions.mjs)
+        // What happened in the latest step: interaction outcomes, spawns, power-up pickups/expiries,
+        // theme changes and distance milestones (see game/events.mjs for how they're reported)
+        events: [],
+        score: createScoreState(scoringRules),
+        lanePositions,
+        player: createPlayerState(lanePositions, playerSettings.size, playerSettings.startPosition),
+        // { id, type, lane, x, y, z, courseIndex, interaction: { approached, engaged, resolved, fault } }
+        obstacles: [],
+        nextObstacleId: 1,
+        lastSpawnTime: 0,
+        currentThemeIndex: 0,
+        currentThemeName: director.themeNames[0],
+        obstaclesSpawnedInCurrentTheme: 0,
+        // Power-up pickups on the track: { id, type, lane, x, y, z }
+        pickups: [],
+        nextPickupId: 1,
+        nextPickupTime: 0,
+        // Collected power-ups still running: { type, remaining, duration } (remaining in real seconds)
+        activePowerUps: []
+    };
+
+    // Scratch objects reused every step
+    const localPlayerBox = createBox();
+    const localPlayerCapsule = createCapsule();
+    // Despawned obstacles and pickups, reused by the next spawn so a long run doesn't churn the GC.
+    // Nothing outside the simulation may hold on to one after it leaves state.obstacles / state.pickups.
+    const freeObstacles = [];
+    const freePickups = [];
+    const interactionContext = { obstacle: null, interaction: null, player: null, rule: null, progress: 0, hit: null };
+    let accumulator = 0;
+
+    // An obstacle's configuration, including any overrides from the course it belongs to.
+    function getConfigFor(obstacle) {
+        return obstacle.courseIndex === null
+            ? getObstacleConfig(obstacle.type)
+            : courseLayout.obstacles[obstacle.courseIndex].config;
+    }
+
+    function addObstacle(modelFile, lane, z, courseIndex) {
+        const obstacle = freeObstacles.pop() || {};
+        obstacle.id = state.nextObstacleId++;
+        obstacle.type = modelFile;
+        obstacle.lane = lane;
+        obstacle.x = lanePositions[lane];
+        obstacle.z = z;
+        obstacle.courseIndex = courseIndex;
+        obstacle.y = getConfigFor(obstacle).positionY;
+        // Replaced rather than reset: handlers may keep their own flags on it (see game/interactions.mjs).
+        obstacle.interaction = { approached: false, engaged: false, resolved: false, fault: null };
+        state.obstacles.push(obstacle);
+        state.events.push({ type: 'obstacleSpawned', obstacleId: obstacle.id, model: modelFile, lane, z });
+        // A pickup already sitting where this obstacle landed goes, so the two never overlap.
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            if (isNearObstacle(obstacle, state.pickups[i].lane, state.pickups[i].z)) {
+                removePickup(i);
+            }
+        }
+        return obstacle;
+    }
+
+    function removeObstacle(index) {
+        freeObstacles.push(state.obstacles[index]);
+        removeAt(state.obstacles, index);
+    }
+
+    function removePickup(index) {
+        freePickups.push(state.pickups[index]);
+        removeAt(state.pickups, index);
+    }
+
+    // Place the director's next row of obstacles. Returns the obstacles added.
+    function spawnObstacle() {
+        const previousTheme = state.currentThemeName;
+        const row = director.planRow(state, random);
+        if (state.currentThemeName !== previousTheme) {
+            state.events.push({ type: 'themeChanged', theme: state.currentThemeName, previousTheme });
+        }
+        const z = director.placeRow(row, state);
+        const added = [];
+        for (let lane = 0; lane < row.models.length; lane++) {
+            if (row.models[lane]) {
+                added.push(addObstacle(row.models[lane], lane, z, null));
+            }
+        }
+        return added;
+    }
+
+    // Is lane/z within obstacleClearance of the obstacle's footprint?
+    function isNearObstacle(obstacle, lane, z) {
+        if (obstacle.lane !== lane) {
+            return false;
+        }
+        const footprint = getObstacleColliders(obstacle.type).footprint;
+        const clearance = powerUpSettings.obstacleClearance;
+        return z >= obstacle.z + footprint.min.z - clearance && z <= obstacle.z + footprint.max.z + clearance;
+    }
+
+    // Place a random power-up in a free spot between obstacles. Returns null if none was found.
+    function spawnPickup() {
+        const [nearest, furthest] = powerUpSettings.spawnDistanceRange;
+        for (let attempt = 0; attempt < powerUpSettings.spawnAttempts; attempt++) {
+            const type = powerUpTypeIds[Math.floor(powerUpRandom() * powerUpTypeIds.length)];
+            const lane = Math.floor(powerUpRandom() * lanePositions.length);
+            const z = state.player.z - (nearest + powerUpRandom() * (furthest - nearest));
+            const blocked = state.obstacles.some((obstacle) => isNearObstacle(obstacle, lane, z)) ||
+                state.pickups.some((pickup) => pickup.lane === lane &&
+                    Math.abs(pickup.z - z) < powerUpSettings.obstacleClearance);
+            if (blocked) {
+                continue;
+            }
+            const pickup = freePickups.pop() || {};
+            pickup.id = state.nextPickupId++;
+            pickup.type = type;
+            pickup.lane = lane;
+            pickup.x = lanePositions[lane];
+            pickup.y = powerUpSettings.height;
+            pickup.z = z;
+            state.pickups.push(pickup);
+            return pickup;
+        }
+        return null;
+    }
+
+    function scheduleNextPickup() {
+        const { minSpawnInterval, maxSpawnInterval } = powerUpSettings;
+        state.nextPickupTime = state.time + minSpawnInterval + powerUpRandom() * (maxSpawnInterval - minSpawnInterval);
+    }
+
+    // Start (or restart the timer of) a power-up.
+    function activatePowerUp(typeId) {
+        const type = getPowerUpType(typeId);
+        let effect = state.activePowerUps.find((active) => active.type === typeId);
+        if (!effect) {
+            effect = { type: typeId, remaining: 0, duration: type.duration };
+            state.activePowerUps.push(effect);
+        }
+        effect.remaining = type.duration;
+        if (type.onApply) {
+            type.onApply(state, effect);
+        }
+    }
+
+    function expirePowerUp(index, used) {
+        const effect = state.activePowerUps[index];
+        state.activePowerUps.splice(index, 1);
+        const type = getPowerUpType(effect.type);
+        if (type.onExpire) {
+            type.onExpire(state, effect);
+        }
+        state.events.push({ type: 'powerUpExpired', powerUp: effect.type, used });
+    }
+
+    // Count active power-ups down by real time and run their per-step hooks.
+    function updatePowerUps(realDt, simDt) {
+        for (let i = state.activePowerUps.length - 1; i >= 0; i--) {
+            const effect = state.activePowerUps[i];
+            effect.remaining -= realDt;
+            if (effect.remaining <= 0) {
+                expirePowerUp(i, false);
+                continue;
+            }
+            const type = getPowerUpType(effect.type);
+            if (type.onStep) {
+                type.onStep(state, effect, simDt);
+            }
+        }
+    }
+
+    function collectPickups() {
+        const player = state.player;
+        const reach = powerUpSettings.radius;
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            const pickup = state.pickups[i];
+            if (Math.abs(player.x - pickup.x) <= player.size[0] / 2 + reach &&
+                Math.abs(player.y - pickup.y) <= player.size[1] / 2 + reach &&
+                Math.abs(player.z - pickup.z) <= player.size[2] / 2 + reach) {
+                removePickup(i);
+                activatePowerUp(pickup.type);
+                state.events.push({ type: 'powerUpCollected', powerUp: pickup.type, pickupId: pickup.id });
+            }
+        }
+    }
+
+    // Combined effect of the active power-ups' hooks.
+    function powerUpTimeScale() {
+        let scale = 1;
+        for (const effect of state.activePowerUps) {
+            const type = getPowerUpType(effect.type);
+            if (type.modifyTimeScale) {
+                scale = type.modifyTimeScale(scale);
+            }
+        }
+        return scale;
+    }
+
+    function powerUpScoreMultiplier() {
+        let multiplier = 1;
+        for (const effect of state.activePowerUps) {
+            const type = getPowerUpType(effect.type);
+            if (type.modifyScoreMultiplier) {
+                multiplier = type.modifyScoreMultiplier(multiplier);
+            }
+        }
+        return multiplier;
+    }
+
+    // Let an active power-up (the shield) cancel a fault. Marks the event `absorbed`.
+    function absorbFault(event) {
+        for (let i = 0; i < state.activePowerUps.length; i++) {
+            const type = getPowerUpType(state.activePowerUps[i].type);
+            if (type.absorbFault && type.absorbFault(event)) {
+                event.absorbed = true;
+                expirePowerUp(i, true);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Trial mode: place the course's obstacles as they come into range.
+    function spawnCourseObstacles() {
+        const layout = courseLayout.obstacles;
+        while (state.nextCourseObstacle < layout.length) {
+            const entry = layout[state.nextCourseObstacle];
+            const distanceAhead = entry.trackDistance - state.distanceCovered;
+            if (distanceAhead > COURSE_SPAWN_AHEAD_DISTANCE) {
+                break;
+            }
+            addObstacle(entry.model, entry.lane, state.player.z - distanceAhead, state.nextCourseObstacle);
+            state.nextCourseObstacle++;
+        }
+    }
+
+    // Move obstacles and pickups towards the player.
+    function scrollWorld(distance) {
+        for (const obstacle of state.obstacles) {
+            obstacle.z += distance;
+        }
+        for (const pickup of state.pickups) {
+            pickup.z += distance;
+        }
+    }
+
+    // Run each obstacle's interaction rule against the player and report the outcome through state.events:
+    // { type: 'obstacleCleared' | 'obstacleFault' | 'obstacleRefused', obstacleId, model, interaction, fault }.
+    function updateInteractions() {
+        const player = state.player;
+        const ctx = interactionContext;
+
+        for (const obstacle of state.obstacles) {
+            const interaction = obstacle.interaction;
+            if (interaction.resolved) {
+                continue;
+            }
+            const rule = getConfigFor(obstacle).interaction;
+            const handler = getInteractionHandler(rule);
+            const colliders = getObstacleColliders(obstacle.type);
+            const footprint = colliders.footprint;
+
+            // Player box and capsule in the obstacle's local frame, so the cached shapes can be tested as-is.
+            // The box decides when the player reaches and passes the obstacle; the capsule what they touch.
+            setBoxFromCenterAndSize(localPlayerBox, player.x - obstacle.x, player.y, player.z - obstacle.z,
+                player.size[0], player.size[1], player.size[2]);
+            setCapsuleFromCenterAndSize(localPlayerCapsule, player.x - obstacle.x, player.y, player.z - obstacle.z,
+                player.size[0], player.size[1], player.size[2]);
+            const overlapsX = localPlayerBox.max.x >= footprint.min.x && localPlayerBox.min.x <= footprint.max.x;
+            const overlapsZ = localPlayerBox.max.z >= footprint.min.z && localPlayerBox.min.z <= footprint.max.z;
+            const passed = localPlayerBox.max.z < footprint.min.z;
+            ctx.obstacle = obstacle;
+            ctx.interaction = interaction;
+            ctx.player = player;
+            ctx.rule = rule;
+            ctx.progress = footprint.max.z - localPlayerBox.min.z;
+            ctx.hit = overlapsX && overlapsZ ? findCapsuleCollidingShape(colliders, localPlayerCapsule) : null;
+
+            let fault = null;
+            let cleared = false;
+            if (!interaction.engaged) {
+                const distanceAhead = localPlayerBox.min.z - footprint.max.z;
+                if (overlapsX && distanceAhead > 0 && distanceAhead <= REFUSAL_APPROACH_DISTANCE) {
+                    interaction.approached = true;
+                }
+                if (passed) {
+                    interaction.resolved = true;
+                    if (interaction.approached) { // Lined up, then ran around it
+                        state.events.push({
+                            type: 'obstacleRefused',
+                            obstacleId: obstacle.id,
+                            model: obstacle.type,
+                            interaction: rule.type,
+                            fault: 'refusal'
+                        });
+                    }
+                    continue;
+                }
+                if (overlapsX && overlapsZ) {
+                    interaction.engaged = true;
+                    fault = (handler.enter && handler.enter(ctx)) || handler.update(ctx);
+                }
+            } else if (passed) {
+                fault = handler.finish ? handler.finish(ctx) : null;
+                cleared = !fault;
+            } else if (overlapsZ && (overlapsX || handler.laneBound)) {
+                fault = handler.update(ctx);
+            }
+
+            if (!fault && !cleared) {
+                continue;
+            }
+            interaction.resolved = true;
+            if (handler.release) {
+                handler.release(ctx);
+            }
+            state.events.push({
+                type: fault ? 'obstacleFault' : 'obstacleCleared',
+                obstacleId: obstacle.id,
+                model: obstacle.type,
+                interaction: rule.type,
+                fault
+            });
+            interaction.fault = fault;
+        }
+    }
+
+    // Score this step's interaction events; the run ends when a fault takes the last life.
+    function applyScoring() {
+        const multiplier = powerUpScoreMultiplier();
+        // Absorbing a fault adds a powerUpExpired event, so only walk the events already there.
+        const eventCount = state.events.length;
+        for (let i = 0; i < eventCount; i++) {
+            const event = state.events[i];
+            if (!interactionEventTypes.has(event.type)) {
+                continue;
+            }
+            if (event.type === 'obstacleFault') {
+                absorbFault(event);
+            }
+            const outOfLives = applyScoringEvent(state.score, event, state.time, scoringRules, multiplier);
+            if (outOfLives && !state.isGameOver) {
+                state.isGameOver = true;
+                state.gameOverReason = event.model;
+                state.gameOverFault = event.fault;
+            }
+        }
+    }
+
+    // Advance the simulation by exactly one step of `dt` seconds.
+    // `input` is the player's input for this step (see game/player.mjs).
+    // Slow motion shrinks the simulated time of the step; power-up timers still count `dt`.
+    function step(realDt = FIXED_TIMESTEP, input = emptyInput) {
+        if (state.isGameOver) {
+            return;
+        }
+        state.events.length = 0;
+        runStep(realDt, input);
+        if (onEvents && state.events.length > 0) {
+            onEvents(state.events, state);
+        }
+    }
+
+    function runStep(realDt, input) {
+        const dt = realDt * powerUpTimeScale();
+        state.tick++;
+        if (inputRecorder) {
+            inputRecorder.record(state.tick, input);
+        }
+        state.time += dt;
+        state.speed = director.speedAt(state.distanceCovered);
+        const distanceStep = state.speed * dt;
+        state.distanceCovered += distanceStep;
+        scrollWorld(distanceStep);
+        const milestone = Math.floor(state.distanceCovered / DISTANCE_MILESTONE_INTERVAL);
+        if (milestone > Math.floor((state.distanceCovered - distanceStep) / DISTANCE_MILESTONE_INTERVAL)) {
+            state.events.push({ type: 'distanceMilestone', distance: milestone * DISTANCE_MILESTONE_INTERVAL });
+        }
+        addDistancePoints(state.score, distanceStep, scoringRules, powerUpScoreMultiplier());
+        updatePlayer(state.player, input, dt, lanePositions);
+        updatePowerUps(realDt, dt);
+
+        updateInteractions();
+        applyScoring();
+        if (state.isGameOver) {
+            return;
+        }
+        collectPickups();
+
+        // Basic obstacle removal (if they go too far behind player)
+        for (let i = state.obstacles.length - 1; i >= 0; i--) {
+            if (state.obstacles[i].z > state.player.z + DESPAWN_DISTANCE_BEHIND_PLAYER) {
+                removeObstacle(i);
+            }
+        }
+        for (let i = state.pickups.length - 1; i >= 0; i--) {
+            if (state.pickups[i].z > state.player.z + DESPAWN_DISTANCE_BEHIND_PLAYER) {
+                removePickup(i);
+            }
+        }
+
+        if (powerUpsEnabled && state.time >= state.nextPickupTime) {
+            spawnPickup();
+            scheduleNextPickup();
+        }
+
+        if (state.finishDistance !== null && state.distanceCovered >= state.finishDistance) {
+            finishCourse();
+            return;
+        }
+        if (courseLayout) {
+            spawnCourseObstacles();
+            return;
+        }
+
+        // Spawn the next row once the director's interval has passed
+        if (state.time - state.lastSpawnTime > director.spawnIntervalAt(state.distanceCovered) &&
+            state.obstacles.length < director.maxObstacles) {
+            spawnObstacle();
+            state.lastSpawnTime = state.time;
+        }
+    }
+
+    // Crossing the finish line ends the run with a time (plus any time penalties).
+    function finishCourse() {
+        awardCleanRunBonus(state.score, scoringRules);
+        state.isFinished = true;
+        state.isGameOver = true;
+        state.courseTime = state.time + state.score.timePenalty;
+    }
+
+    // Feed real frame time in; runs as many fixed steps as fit and keeps the remainder.
+    // Key presses in `input` go to the first step only. Returns the number of steps taken;
+    // when it's 0 the caller should keep the presses for the next frame.
+    function advance(frameDelta, input = emptyInput) {
+        accumulator += frameDelta;
+        let steps = 0;
+        while (accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_ADVANCE) {
+            step(FIXED_TIMESTEP, steps === 0 ? input : heldInput(input));
+            accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_ADVANCE) {
+            accumulator = 0;
+        }
+        return steps;
+    }
+
+    if (courseLayout) {
+        spawnCourseObstacles();
+        // Report the course's opening obstacles too; the first step clears state.events.
+        if (onEvents && state.events.length > 0) {
+            onEvents(state.events, state);
+        }
+    }
+    if (powerUpsEnabled) {
+        scheduleNextPickup();
+    }
+
+    return { state, step, advance, spawnObstacle, spawnPickup, getConfigFor };
+}
@@ -0,0 +1,318 @@
+// leaderboard/leaderboardRoutes.js
+// Run submission and leaderboards:
+//   POST /api/runs             submit a finished run with its replay; responds with where it placed
+//   GET  /api/runs             recent runs, newest first
+//   GET  /api/runs/:id/replay  the replay a stored run was verified with
+//   GET  /api/leaderboard      ranked runs for one mode
+// Both GET routes take the same filters: ?mode=endless|trial&laneCount=1|3|5&difficulty=easy|normal|hard
+// &course=<name>&daily=<daily-YYYY-MM-DD or "today">&limit=<1-100>.
+//
+// A run is { playerName, mode, laneCount, difficulty (endless only; trial runs are always "normal"),
+//            course (trial only), seed, daily (daily key or null),
+//            distance, score, duration, courseTime (finished trial runs), faults, finished,
+//            replay (seed + input log, see game/replay.mjs) }.
+// Runs are only stored if their replay reproduces them (see leaderboard/replayVerifier.js), and each
+// replay only once: resubmitting one (under any name) gets a 409.
+const crypto = require('crypto');
+const express = require('express');
+const { createRunStore } = require('./runStore');
+const { verifyRun } = require('./replayVerifier');
+
+const SUPPORTED_LANE_COUNTS = [1, 3, 5]; // Same as supportedLaneCounts in game/config.mjs
+const MODES = ['endless', 'trial'];
+const DIFFICULTIES = ['easy', 'normal', 'hard']; // Same as difficultyPresets in game/difficulty.mjs
+const DEFAULT_DIFFICULTY = 'normal';
+const MAX_NAME_LENGTH = 20;
+const NAME_PATTERN = /^[\p{L}\p{N} _.'-]+$/u;
+const MAX_COURSE_NAME_LENGTH = 64;
+const DAILY_KEY_PATTERN = /^daily-\d{4}-\d{2}-\d{2}$/;
+const MAX_DAILY_AGE_MS = 2 * 24 * 60 * 60 * 1000; // Daily runs are accepted for the day and the one after
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const DEFAULT_RATE_LIMIT = { windowMs: 60 * 1000, maxSubmissions: 10 }; // per client IP
+
+// The shared game code is ES modules; load it once.
+const randomModule = import('../game/random.mjs');
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// Returns { run, errors }: run is null when there are errors.
+function validateRun(body, { hashString }) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { run: null, errors: ['Run must be a JSON object.'] };
+  }
+  const playerName = typeof body.playerName === 'string' ? body.playerName.trim() : '';
+  if (!playerName || playerName.length > MAX_NAME_LENGTH || !NAME_PATTERN.test(playerName)) {
+    errors.push(`playerName must be 1-${MAX_NAME_LENGTH} letters, digits, spaces or _ . ' -`);
+  }
+  if (!MODES.includes(body.mode)) {
+    errors.push(`mode must be one of ${MODES.join(', ')}.`);
+  }
+  if (!SUPPORTED_LANE_COUNTS.includes(body.laneCount)) {
+    errors.push(`laneCount must be one of ${SUPPORTED_LANE_COUNTS.join(', ')}.`);
+  }
+  const difficulty = body.difficulty ?? DEFAULT_DIFFICULTY;
+  if (!DIFFICULTIES.includes(difficulty)) {
+    errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}.`);
+  } else if (body.mode === 'trial' && difficulty !== DEFAULT_DIFFICULTY) {
+    errors.push(`trial runs are always played on ${DEFAULT_DIFFICULTY} difficulty.`);
+  }
+  if (body.mode === 'trial') {
+    if (typeof body.course !== 'string' || !body.course.trim() || body.course.length > MAX_COURSE_NAME_LENGTH) {
+      errors.push(`course must be the course name (up to ${MAX_COURSE_NAME_LENGTH} characters) for trial runs.`);
+    }
+  } else if (body.course !== undefined && body.course !== null) {
+    errors.push('course is only allowed for trial runs.');
+  }
+  if (!isIntegerInRange(body.seed, 0, 2 ** 32 - 1)) {
+    errors.push('seed must be an unsigned 32-bit integer.');
+  }
+  if (body.daily !== undefined && body.daily !== null) {
+    if (typeof body.daily !== 'string' || !DAILY_KEY_PATTERN.test(body.daily)) {
+      errors.push('daily must look like daily-YYYY-MM-DD.');
+    } else if (hashString(body.daily) !== body.seed) {
+      errors.push(`seed is not the seed for ${body.daily}.`);
+    } else {
+      const age = Date.now() - Date.parse(body.daily.slice('daily-'.length));
+      if (!(age >= 0 && age <= MAX_DAILY_AGE_MS)) {
+        errors.push(`${body.daily} is not a current daily course.`);
+      }
+    }
+  }
+  if (!isNumberInRange(body.distance, 0, 1e7)) {
+    errors.push('distance must be a number >= 0.');
+  }
+  if (!isIntegerInRange(body.score, 0, 1e9)) {
+    errors.push('score must be a whole number >= 0.');
+  }
+  if (!isNumberInRange(body.duration, 0, 24 * 60 * 60) || body.duration === 0) {
+    errors.push('duration must be a number of seconds > 0.');
+  }
+  if (!isIntegerInRange(body.faults, 0, 1e6)) {
+    errors.push('faults must be a whole number >= 0.');
+  }
+  if (typeof body.finished !== 'boolean') {
+    errors.push('finished must be true or false.');
+  }
+  const needsCourseTime = body.mode === 'trial' && body.finished === true;
+  if (needsCourseTime ? !isNumberInRange(body.courseTime, 0, 24 * 60 * 60) : body.courseTime != null) {
+    errors.push(needsCourseTime
+      ? 'courseTime must be a number of seconds for finished trial runs.'
+      : 'courseTime is only allowed for finished trial runs.');
+  }
+
+  if (errors.length > 0) {
+    return { run: null, errors };
+  }
+  return {
+    run: {
+      playerName,
+      mode: body.mode,
+      laneCount: body.laneCount,
+      difficulty,
+      course: body.mode === 'trial' ? body.course.trim() : null,
+      seed: body.seed,
+      daily: body.daily || null,
+      distance: body.distance,
+      score: body.score,
+      duration: body.duration,
+      courseTime: needsCourseTime ? body.courseTime : null,
+      faults: body.faults,
+      finished: body.finished
+    },
+    errors
+  };
+}
+
+// Replays are only sent on request; listings stay small.
+function withoutReplay(run) {
+  const { replay, ...rest } = run;
+  return rest;
+}
+
+// Identifies a replay by what it plays back, so the same run can't be stored twice.
+function replayFingerprint(replay) {
+  const { version, seed, laneCount, difficulty, courseFile, finishDistance, ticks, inputs } = replay || {};
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([version, seed, laneCount, difficulty, courseFile, finishDistance, ticks, inputs]))
+    .digest('hex');
+}
+
+// Trial runs: finishers by course time, then the rest by distance. Endless: by score, then distance.
+function compareRuns(a, b) {
+  if (a.mode === 'trial') {
+    if (a.finished !== b.finished) {
+      return a.finished ? -1 : 1;
+    }
+    if (a.finished && a.courseTime !== b.courseTime) {
+      return a.courseTime - b.courseTime;
+    }
+    return b.distance - a.distance || a.createdAt.localeCompare(b.createdAt);
+  }
+  return b.score - a.score || b.distance - a.distance || a.createdAt.localeCompare(b.createdAt);
+}
+
+// Turns query parameters into a store filter. Returns { filter, limit, errors }.
+function parseQuery(query, { dailySeedKey }) {
+  const errors = [];
+  const filter = { mode: query.mode || 'endless' };
+  if (!MODES.includes(filter.mode)) {
+    errors.push(`mode must be one of ${MODES.join(', ')}.`);
+  }
+  if (query.laneCount !== undefined) {
+    filter.laneCount = Number(query.laneCount);
+    if (!SUPPORTED_LANE_COUNTS.includes(filter.laneCount)) {
+      errors.push(`laneCount must be one of ${SUPPORTED_LANE_COUNTS.join(', ')}.`);
+    }
+  }
+  if (query.difficulty !== undefined) {
+    filter.difficulty = String(query.difficulty);
+    if (!DIFFICULTIES.includes(filter.difficulty)) {
+      errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}.`);
+    }
+  }
+  if (query.course !== undefined) {
+    filter.course = String(query.course);
+  }
+  if (query.daily !== undefined) {
+    filter.daily = query.daily === 'today' ? dailySeedKey() : String(query.daily);
+    if (!DAILY_KEY_PATTERN.test(filter.daily)) {
+      errors.push('daily must be "today" or look like daily-YYYY-MM-DD.');
+    }
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!isIntegerInRange(limit, 1, MAX_LIMIT)) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_LIMIT}.`);
+  }
+  return { filter, limit, errors };
+}
+
+// Fixed-window limit on submissions per client IP.
+function createRateLimiter({ windowMs, maxSubmissions }) {
+  const windows = new Map(); // ip -> { start, count }
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    let window = windows.get(req.ip);
+    if (!window || now - window.start >= windowMs) {
+      window = { start: now, count: 0 };
+      windows.set(req.ip, window);
+    }
+    if (window.count >= maxSubmissions) {
+      res.set('Retry-After', String(Math.ceil((window.start + windowMs - now) / 1000)));
+      res.status(429).json({ errors: ['Too many runs submitted; try again shortly.'] });
+      return;
+    }
+    window.count++;
+    // Forget windows that have run out so the map doesn't grow forever.
+    if (windows.size > 1000) {
+      for (const [ip, other] of windows) {
+        if (now - other.start >= windowMs) {
+          windows.delete(ip);
+        }
+      }
+    }
+    next();
+  };
+}
+
+// options: { store (see leaderboard/runStore.js), rateLimit: { windowMs, maxSubmissions } }
+function createLeaderboardRouter(options = {}) {
+  const store = options.store || createRunStore();
+  const router = express.Router();
+  router.use(express.json({ limit: '256kb' })); // Input logs of long runs add up
+  // Replays already stored or still being verified.
+  const submittedReplays = new Set(store.find().map((run) => replayFingerprint(run.replay)));
+
+  function boardFor(run) {
+    return store
+      .find({
+        mode: run.mode,
+        laneCount: run.laneCount,
+        difficulty: run.difficulty,
+        course: run.course || undefined,
+        daily: run.daily || undefined
+      })
+      .sort(compareRuns);
+  }
+
+  router.post('/runs', createRateLimiter(options.rateLimit || DEFAULT_RATE_LIMIT), async (req, res) => {
+    const { run, errors } = validateRun(req.body, await randomModule);
+    if (!run) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const fingerprint = replayFingerprint(req.body.replay);
+    if (submittedReplays.has(fingerprint)) {
+      res.status(409).json({ errors: ['This replay has already been submitted.'] });
+      return;
+    }
+    submittedReplays.add(fingerprint);
+    const verified = await verifyRun(run, req.body.replay);
+    if (!verified.replay) {
+      submittedReplays.delete(fingerprint);
+      res.status(422).json({ errors: verified.errors });
+      return;
+    }
+    const stored = await store.add({ ...run, replay: verified.replay });
+    const board = boardFor(stored);
+    res.status(201).json({
+      run: withoutReplay(stored),
+      placement: { rank: board.findIndex((entry) => entry.id === stored.id) + 1, total: board.length }
+    });
+  });
+
+  router.get('/runs', async (req, res) => {
+    const { filter, limit, errors } = parseQuery(req.query, await randomModule);
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const runs = store.find(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+    res.json({ filter, total: runs.length, runs: runs.slice(0, limit).map(withoutReplay) });
+  });
+
+  router.get('/runs/:id/replay', (req, res) => {
+    const [run] = store.find({ id: Number(req.params.id) });
+    if (!run) {
+      res.status(404).json({ errors: ['No such run.'] });
+      return;
+    }
+    res.json({ run: withoutReplay(run), replay: run.replay });
+  });
+
+  router.get('/leaderboard', async (req, res) => {
+    const { filter, limit, errors } = parseQuery(req.query, await randomModule);
+    if (errors.length > 0) {
+      res.status(400).json({ errors });
+      return;
+    }
+    const ranked = store.find(filter).sort(compareRuns);
+    res.json({
+      filter,
+      total: ranked.length,
+      entries: ranked.slice(0, limit).map((run, index) => ({ rank: index + 1, ...withoutReplay(run) }))
+    });
+  });
+
+  // Malformed or oversized bodies get a JSON answer like every other validation error.
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      res.status(400).json({ errors: ['Body must be valid JSON.'] });
+    } else if (error.type === 'entity.too.large') {
+      res.status(413).json({ errors: ['Run is too large.'] });
+    } else {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createLeaderboardRouter, validateRun };
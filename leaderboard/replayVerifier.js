@@ -0,0 +1,111 @@
+// leaderboard/replayVerifier.js
+// Re-simulates a submitted run from its seed and input log (see game/replay.mjs) and checks that it
+// ends exactly where the client says it did. Anything the client reports is otherwise taken on trust,
+// so a run whose replay doesn't reproduce its score, distance, time and faults is rejected.
+const fs = require('fs');
+const path = require('path');
+
+const COURSES_DIR = path.join(__dirname, '..', 'courses');
+const MAX_REPLAY_TICKS = 60 * 60 * 30; // 30 minutes of 60 Hz steps
+const TICKS_PER_SLICE = 600; // Steps replayed between yields to the event loop
+const TOLERANCE = 1e-6; // Distances and times are floats; the same steps give the same values, give or take
+
+// The shared game code is ES modules; load it once.
+const gameModules = Promise.all([import('../game/replay.mjs'), import('../game/course.mjs')])
+  .then(([replay, course]) => ({ ...replay, ...course }));
+
+function closeTo(a, b) {
+  return typeof b === 'number' && Math.abs(a - b) <= TOLERANCE;
+}
+
+// Trial replays name their course file; only files listed in courses/index.json are loaded.
+async function loadCourse(file, validateCourse) {
+  const index = JSON.parse(await fs.promises.readFile(path.join(COURSES_DIR, 'index.json'), 'utf8'));
+  const entry = index.find((candidate) => candidate.file === file);
+  if (!entry) {
+    return { course: null, errors: [`Unknown course file "${file}".`] };
+  }
+  return validateCourse(JSON.parse(await fs.promises.readFile(path.join(COURSES_DIR, entry.file), 'utf8')));
+}
+
+// Steps through a replay a slice at a time, yielding in between, so a long replay doesn't hold up
+// every other request while it's checked. Resolves with the simulation where the run ended up.
+async function runReplayInSlices(replay, course, createReplayPlayer) {
+  const player = createReplayPlayer(replay, course);
+  while (!player.isDone()) {
+    player.seek(Math.min(player.tick + TICKS_PER_SLICE, replay.ticks));
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return player.sim;
+}
+
+// run: a validated run (see leaderboard/leaderboardRoutes.js). Resolves with a list of reasons to
+// reject it; empty when the replay reproduces the run.
+async function findReplayProblems(run, replay) {
+  const { validateReplay, createReplayPlayer, validateCourse } = await gameModules;
+  const errors = validateReplay(replay, { maxTicks: MAX_REPLAY_TICKS });
+  if (errors.length > 0) {
+    return errors;
+  }
+  // Leaderboard runs go on until they end (or reach a trial course's own finish). An earlier finish line
+  // would end a run at any distance, with the clean-run bonus, so race replays aren't accepted.
+  if (replay.finishDistance !== null) {
+    return ['replay finishDistance must be null; races are not ranked on the leaderboards.'];
+  }
+  if (replay.seed !== run.seed || replay.laneCount !== run.laneCount || replay.difficulty !== run.difficulty) {
+    return ['replay seed, lane count or difficulty does not match the run.'];
+  }
+  if ((run.mode === 'trial') !== (replay.courseFile !== null)) {
+    return ['replay mode does not match the run.'];
+  }
+
+  let course = null;
+  if (replay.courseFile !== null) {
+    const loaded = await loadCourse(replay.courseFile, validateCourse);
+    if (!loaded.course) {
+      return loaded.errors;
+    }
+    course = loaded.course;
+    if (course.name !== run.course || course.laneCount !== run.laneCount) {
+      return ['replay course does not match the run.'];
+    }
+  }
+
+  const { state } = await runReplayInSlices(replay, course, createReplayPlayer);
+  if (!state.isGameOver || state.tick !== replay.ticks) {
+    return ['replay does not end where the run did.'];
+  }
+  const mismatches = [];
+  if (state.score.points !== run.score) {
+    mismatches.push('score');
+  }
+  if (!closeTo(state.distanceCovered, run.distance)) {
+    mismatches.push('distance');
+  }
+  if (!closeTo(state.time, run.duration)) {
+    mismatches.push('duration');
+  }
+  if (state.score.faults.length !== run.faults) {
+    mismatches.push('faults');
+  }
+  if (state.isFinished !== run.finished) {
+    mismatches.push('finished');
+  }
+  if (run.courseTime !== null && !closeTo(state.courseTime, run.courseTime)) {
+    mismatches.push('courseTime');
+  }
+  return mismatches.length > 0 ? [`replay does not reproduce the run's ${mismatches.join(', ')}.`] : [];
+}
+
+// Resolves with { errors, replay }: replay is a clean copy of the submitted one (only the replay
+// fields) when it checks out, null otherwise.
+async function verifyRun(run, submitted) {
+  const errors = await findReplayProblems(run, submitted);
+  if (errors.length > 0) {
+    return { errors, replay: null };
+  }
+  const { version, seed, laneCount, difficulty, courseFile, finishDistance, ticks, inputs } = submitted;
+  return { errors, replay: { version, seed, laneCount, difficulty, courseFile, finishDistance, ticks, inputs } };
+}
+
+module.exports = { verifyRun };
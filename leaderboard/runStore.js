@@ -0,0 +1,57 @@
+// leaderboard/runStore.js
+// File-backed store for submitted runs: everything lives in memory and is written to one JSON file.
+// Writes go through a queue and land atomically (temp file + rename), so a crash mid-write can't
+// leave a half-written store behind.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'data', 'runs.json');
+
+function createRunStore(filePath = DEFAULT_STORE_FILE) {
+  let runs = [];
+  let nextId = 1;
+  let writeQueue = Promise.resolve();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (Array.isArray(saved.runs)) {
+      runs = saved.runs;
+      nextId = runs.reduce((max, run) => Math.max(max, run.id), 0) + 1;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Could not read the run store at ${filePath}; starting empty.`, error);
+    }
+  }
+
+  function save() {
+    const contents = JSON.stringify({ runs });
+    writeQueue = writeQueue
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, filePath);
+      })
+      .catch((error) => console.error('Could not save the run store:', error));
+    return writeQueue;
+  }
+
+  // Store a validated run; resolves with the stored copy once it's on disk.
+  async function add(run) {
+    const stored = { id: nextId++, ...run, createdAt: new Date().toISOString() };
+    runs.push(stored);
+    await save();
+    return stored;
+  }
+
+  // Runs matching every field in `filter` (fields left undefined match anything).
+  function find(filter = {}) {
+    const entries = Object.entries(filter).filter(([, value]) => value !== undefined);
+    return runs.filter((run) => entries.every(([key, value]) => run[key] === value));
+  }
+
+  return { add, find };
+}
+
+module.exports = { createRunStore };
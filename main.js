@@ -1,561 +1,868 @@
 // Basic Three.js scene setup (placeholders)
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { playerSettings } from './game/config.mjs';
+import { buildAssetManifest, findUnlistedModels } from './game/assets.mjs';
+import { createSimulation } from './game/simulation.mjs';
+import { createInputRecorder, buildReplay, createReplayPlayer } from './game/replay.mjs';
+import { createGameStateMachine, GameStates } from './game/gameState.mjs';
+import { createEventBus, forwardSimulationEvents } from './game/events.mjs';
+import { difficultyPresets, defaultDifficulty } from './game/difficulty.mjs';
+import { dailySeed, dailySeedKey } from './game/random.mjs';
+import { createInputController, inputActions } from './client/input.js';
+import { createColliderDebugView } from './client/colliderDebug.js';
+import { createHud, createHudPlugin } from './client/hud.js';
+import { createPowerUpView } from './client/powerUpView.js';
+import { preloadModels } from './client/assetLoader.js';
+import { createObstacleRenderer } from './client/obstacleRenderer.js';
+import { createPerfOverlay } from './client/perfOverlay.js';
+import { createTrackView } from './client/trackView.js';
+import { createChaseCamera } from './client/chaseCamera.js';
+import {
+    createDogCharacter,
+    coatVariants,
+    collarVariants,
+    loadDogCosmetics,
+    saveDogCosmetics
+} from './client/dogCharacter.js';
+import { createGraphicsQuality, qualityPresets, qualityLevels } from './client/graphicsQuality.js';
+import { createCourseEditor } from './client/courseEditor.js';
+import { createAudioManager, createAudioPlugin } from './client/audioManager.js';
+import { createRaceLobby, createRaceSyncPlugin } from './client/raceLobby.js';
+import { createRemotePlayersView } from './client/remotePlayers.js';
+import { createSpectatorClient } from './client/spectatorClient.js';
+import { createBroadcastView, cameraModes } from './client/broadcastView.js';
+import { createLeaderboardPanel } from './client/leaderboardPanel.js';
+import { createReplayPlayback } from './client/replayPlayback.js';
+import {
+    createReplayFile,
+    loadBestRun,
+    saveIfBestRun,
+    downloadReplay,
+    readReplayFile
+} from './client/replayStorage.js';
+import { loadCourseList, loadCourse } from './client/courseLoader.js';
+import { getScoreBreakdown } from './game/scoring.mjs';
+
 const scene = new THREE.Scene();
 const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+// Sized (and its pixel ratio, shadows and draw distance set) by the graphics quality preset below.
 const renderer = new THREE.WebGLRenderer();
-renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
 // GLTF Loader
 const gltfLoader = new GLTFLoader();
 
-// PERF: For deployment on mobile/web, further optimizations might be needed:
-// - Model Simplification: Reducing polygon count of complex obstacles.
+// PERF: Graphics quality presets (client/graphicsQuality.js) cover the low-power side: pixel ratio,
+// shadows, draw distance, lights and lower-detail obstacle models, stepped down automatically when
+// frames run slow. Still to do for mobile/web:
+// - Model Simplification: making the LOD variants listed in obstacleModelLods (game/assets.mjs).
 // - Texture Optimization: Compressing textures, using appropriate sizes.
-// - Low-Power Mode: Potentially reducing effect quality or draw distance.
-
-// Obstacle model files
-const obstacleModelFiles = [
-    'CoveredTunnel.glb', 'jump1.glb', 'jump2.glb', 'jump3.glb', 
-    'largehoop.glb', 'ringette_ring.glb', 'slalom.glb', 'smallhoop.glb', 
-    'swingboard.glb', 'table.glb', 'teeter.glb', 'TunnelBendLarge.glb', 
-    'TunnelBendSmall.glb', 'tunnelline.glb'
-];
+// Obstacles are already instanced or pooled (client/obstacleRenderer.js); F3 or ?perf shows the
+// frame-time/allocation overlay to check changes like these against.
 
-// Loaded obstacle assets cache
+// Preloaded obstacle models by model file (see loadAssets). A model that failed to load is a placeholder.
 const loadedObstacleAssets = new Map();
+// Lower-detail variants by model file, indexed by LOD level; only the ones that loaded.
+const loadedObstacleLods = new Map();
+// Preloaded power-up models by type id; filled in alongside loadedObstacleAssets.
+const loadedPowerUpModels = new Map();
+
+// Run seed: ?seed=<number or text> replays a course, ?daily plays today's shared course.
+// Without either, the simulation picks a fresh random seed.
+const urlParams = new URLSearchParams(window.location.search);
+const isDailyRun = urlParams.has('daily');
+const dailyKey = isDailyRun ? dailySeedKey() : null;
+const requestedSeed = isDailyRun ? dailySeed() : urlParams.get('seed');
+
+// Menu preferences kept in localStorage. Storage can be disabled or full (e.g. private browsing), so
+// reads fall back and failed writes only warn, like the other saved settings.
+function loadSetting(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
 
-// Obstacle Configurations
-// Assuming THREE is globally available (e.g., via <script src="three.js"></script>)
-// If THREE.Euler or THREE.Vector3 are not found, the mock THREE object below might need adjustment
-// or this script needs to be run in an environment where THREE is fully loaded.
-const obstacleConfigurations = {
-    'CoveredTunnel.glb': { 
-        scale: new THREE.Vector3(1.2, 1.2, 1.5), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.6  // TEST: Adjust scale/Y-pos for proper ground fit & passage.
-    },
-    'TunnelBendLarge.glb': { 
-        scale: new THREE.Vector3(1.2, 1.2, 1.2), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0),
-        positionY: 0.6  // TEST: Ensure player can comfortably pass through.
-    },
-    'TunnelBendSmall.glb': { 
-        scale: new THREE.Vector3(1.0, 1.0, 1.0), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0),
-        positionY: 0.5  // TEST: Check passage clearance, especially with smaller scale.
-    },
-    'tunnelline.glb': { // This is likely a straight tunnel segment
-        scale: new THREE.Vector3(1, 1, 2), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.5  // TEST: Verify length and Y-pos are suitable for sequences.
-    },
-    'jump1.glb': { 
-        scale: new THREE.Vector3(0.6, 0.6, 0.6), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.1  // TEST: Is jump height/length fair? Player speed dependent.
-    },
-    'jump2.glb': { 
-        scale: new THREE.Vector3(0.6, 0.6, 0.6), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.1  // TEST: Similar to jump1, ensure variety in challenge.
-    },
-    'jump3.glb': { 
-        scale: new THREE.Vector3(0.6, 0.6, 0.6), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.1  // TEST: Check if this jump feels distinct from others.
-    },
-    'largehoop.glb': { 
-        scale: new THREE.Vector3(1, 1, 1), 
-        rotation: new THREE.Euler(0, 0, 0), 
-        positionY: 1.0  // TEST: Player passage intuitive? Collision box accurate for hoop?
-    },
-    'smallhoop.glb': { 
-        scale: new THREE.Vector3(0.7, 0.7, 0.7), 
-        rotation: new THREE.Euler(0, 0, 0), 
-        positionY: 0.7  // TEST: Is it challenging yet fair compared to largehoop?
-    },
-    'ringette_ring.glb': { // This is a flat ring, so rotation is key
-        scale: new THREE.Vector3(0.8, 0.2, 0.8), 
-        rotation: new THREE.Euler(Math.PI / 2, 0, 0), // Rotated to be flat on ground
-        positionY: 0.1  // TEST: Is it clearly visible? Does player interact as expected (jump over)?
+function saveSetting(key, value) {
+    try {
+        localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn(`Could not save ${key}:`, error);
+    }
+}
+
+// Game rules live in the simulation; this file only renders what it reads from sim.state.
+// A new simulation is created for every run (see startRun).
+let sim = null;
+let inputRecorder = null; // This run's input log, submitted with it for verification
+let laneCount = 3;
+let selectedCourse = null; // Set for trial mode, null for endless
+// Endless mode's difficulty preset (see game/difficulty.mjs); trial runs and races always use the default.
+const DIFFICULTY_STORAGE_KEY = 'topdog.difficulty';
+const savedDifficulty = loadSetting(DIFFICULTY_STORAGE_KEY);
+let difficulty = Object.hasOwn(difficultyPresets, savedDifficulty) ? savedDifficulty : defaultDifficulty;
+// Multiplayer: the server's race settings wait in pendingRace until startRun picks them up;
+// currentRace is the race the current run belongs to ({ seed, laneCount, raceDistance, standing, standings }).
+let pendingRace = null;
+let currentRace = null;
+// Replays: the last finished run (as a replay file) and the saved best run its ghost replays.
+let lastReplayFile = null;
+let ghost = null; // Replay player stepped alongside the live run
+const GHOST_STORAGE_KEY = 'topdog.ghostEnabled';
+
+// Keyboard / touch / gamepad, sampled once per frame
+const input = createInputController();
+
+// Ground and lane lines, scrolled by the simulation's distance
+const trackView = createTrackView(scene);
+const chaseCamera = createChaseCamera(camera);
+
+// Obstacles: instanced per model, or pooled clones (see client/obstacleRenderer.js)
+const obstacleRenderer = createObstacleRenderer(scene, loadedObstacleAssets, loadedObstacleLods);
+const perfOverlay = createPerfOverlay({ enabled: urlParams.has('perf') });
+
+// Collision volume wireframes: ` toggles them, ?debugColliders starts with them on.
+const colliderDebug = createColliderDebugView(scene, { enabled: urlParams.has('debugColliders') });
+window.addEventListener('keydown', (event) => {
+    if (event.code === 'Backquote') {
+        colliderDebug.toggle();
+    }
+});
+
+// Player: the dog, wearing the coat and collar picked in the menu (see client/dogCharacter.js)
+const dogCosmetics = loadDogCosmetics();
+const playerDog = createDogCharacter(scene, { cosmetics: dogCosmetics });
+playerDog.root.position.set(playerSettings.startPosition[0], 0, playerSettings.startPosition[2]);
+
+// Ghost: a translucent dog following the saved best run while playing live.
+const ghostDog = createDogCharacter(scene, { ghost: true });
+
+// Power-up pickups (models/powerups/, or primitive stand-ins)
+const powerUpView = createPowerUpView(scene, loadedPowerUpModels);
+
+// Other racers in a multiplayer room
+const remotePlayers = createRemotePlayersView(scene);
+
+// Game events for plugins (HUD, audio, race sync, ...; see game/events.mjs). Registered further down.
+const gameEvents = createEventBus();
+const reportSimulationEvents = forwardSimulationEvents(gameEvents);
+
+const clock = new THREE.Clock();
+const hud = createHud();
+const audio = createAudioManager();
+const leaderboardPanel = createLeaderboardPanel();
+const playback = createReplayPlayback();
+
+// UI elements driven by the game state
+const mainMenu = document.getElementById('mainMenu');
+const hudElement = document.getElementById('hud');
+const pauseMenu = document.getElementById('pauseMenu');
+const gameOverScreen = document.getElementById('gameOverScreen');
+const replayControls = document.getElementById('replayControls');
+const editorButtons = document.querySelectorAll('.editorButton');
+
+const gameState = createGameStateMachine((next, previous) => {
+    mainMenu.classList.toggle('hidden', next !== GameStates.menu);
+    hudElement.classList.toggle('hidden',
+        next !== GameStates.playing && next !== GameStates.paused && next !== GameStates.replay);
+    pauseMenu.classList.toggle('hidden', next !== GameStates.paused);
+    gameOverScreen.classList.toggle('hidden', next !== GameStates.gameOver);
+    replayControls.classList.toggle('hidden', next !== GameStates.replay);
+    for (const button of editorButtons) {
+        button.classList.toggle('hidden', !isEditorTest());
+    }
+    if (previous === GameStates.editor) {
+        courseEditor.close();
+        if (next === GameStates.menu) {
+            resetScene(); // Back to the menu's backdrop
+        }
+    }
+    if (previous === GameStates.spectating) {
+        broadcastView.close();
+        spectatorClient.leave();
+        playerDog.setVisible(true);
+        resetScene();
+    }
+
+    if (next === GameStates.playing) {
+        audio.startMusic();
+    } else {
+        audio.stopMusic();
+    }
+    if (next === GameStates.playing && previous !== GameStates.paused) {
+        startRun();
+    } else if (next === GameStates.editor) {
+        sim = null;
+        ghost = null;
+        ghostDog.setVisible(false);
+        resetScene();
+        courseEditor.open();
+    } else if (next === GameStates.spectating) {
+        sim = null;
+        ghost = null;
+        playerDog.setVisible(false);
+        ghostDog.setVisible(false);
+        resetScene();
+        broadcastView.open(() => gameState.transition(GameStates.menu));
+    } else if (next === GameStates.gameOver) {
+        gameEvents.emit('gameOver', {
+            state: sim.state,
+            race: currentRace,
+            finished: sim.state.isFinished,
+            reason: sim.state.gameOverReason,
+            fault: sim.state.gameOverFault
+        });
+        showGameOverScreen();
+    }
+    // Don't let time spent in menus arrive as one big frame delta.
+    clock.getDelta();
+});
+
+// Is the current run the course editor testing its course?
+function isEditorTest() {
+    return Boolean(selectedCourse && selectedCourse.fromEditor);
+}
+
+// Where the player stands before any run has started (the menu's backdrop).
+const menuPlayer = {
+    x: playerSettings.startPosition[0],
+    y: playerSettings.startPosition[1],
+    z: playerSettings.startPosition[2],
+    standingSize: playerSettings.size
+};
+
+// Lay the track out for the lane count and put the camera straight behind the player:
+// the camera pulls back further the more lanes there are.
+function frameCamera() {
+    const state = sim ? sim.state : { distanceCovered: 0, player: menuPlayer };
+    trackView.setLaneCount(laneCount);
+    trackView.sync(state);
+    chaseCamera.snap(state.player, laneCount);
+}
+
+// Fresh simulation for a new run (or a restart) with the chosen lane count or trial course.
+function startRun() {
+    if (selectedCourse) {
+        laneCount = selectedCourse.laneCount;
+    }
+    currentRace = pendingRace;
+    pendingRace = null;
+    if (currentRace) {
+        laneCount = currentRace.laneCount;
+    }
+    inputRecorder = createInputRecorder();
+    sim = createSimulation({
+        seed: currentRace ? currentRace.seed : requestedSeed,
+        laneCount,
+        difficulty: currentRace ? defaultDifficulty : difficulty,
+        course: selectedCourse,
+        finishDistance: currentRace ? currentRace.raceDistance : null,
+        inputRecorder,
+        onEvents: reportSimulationEvents
+    });
+    resetScene();
+    startGhost();
+    input.consume();
+    gameEvents.emit('runStarted', { state: sim.state, race: currentRace });
+}
+
+// Clear everything the previous run (or replay) left in the scene.
+function resetScene() {
+    obstacleRenderer.reset();
+    remotePlayers.reset();
+    colliderDebug.reset();
+    powerUpView.reset();
+    playerDog.setTint(null);
+    playerDog.reset();
+    ghostDog.reset();
+    frameCamera();
+}
+
+// Race the saved best run for this course (or lane count and difficulty), if the ghost option is on.
+function startGhost() {
+    ghost = null;
+    ghostDog.setVisible(false);
+    if (!ghostToggle.checked || currentRace || isEditorTest()) {
+        return;
+    }
+    const best = loadBestRun({
+        courseFile: selectedCourse ? selectedCourse.file : null,
+        laneCount,
+        difficulty: sim.state.difficulty
+    });
+    if (best) {
+        ghost = createReplayPlayer(best, selectedCourse);
+        ghostDog.setVisible(true);
+    }
+}
+
+function syncGhost(deltaTime) {
+    if (!ghost) {
+        return;
+    }
+    const ghostState = ghost.sim.state;
+    ghostDog.setVisible(!ghost.isDone());
+    ghostDog.sync(ghostState, deltaTime,
+        playerSettings.startPosition[2] + sim.state.distanceCovered - ghostState.distanceCovered);
+}
+
+// Watch a recorded run. Trial replays need their course, which is loaded unless it's passed in.
+async function startPlayback(replayFile, course = null) {
+    if (replayFile.courseFile && !course) {
+        course = await loadCourse(replayFile.courseFile);
+    }
+    playback.load(replayFile, course);
+    sim = playback.sim;
+    laneCount = replayFile.laneCount;
+    ghost = null;
+    ghostDog.setVisible(false);
+    resetScene();
+    gameState.transition(GameStates.replay);
+}
+
+function syncPlayer(deltaTime) {
+    playerDog.sync(sim.state, deltaTime);
+}
+
+function showGameOverScreen() {
+    const seedLink = new URL(window.location.href);
+    seedLink.search = '';
+    seedLink.searchParams.set('seed', String(sim.state.seed));
+
+    const { score } = sim.state;
+    document.getElementById('gameOverTitle').textContent = sim.state.isFinished ? 'Course Complete' : 'Game Over';
+    const finishName = sim.state.course ? sim.state.course.name : `Race to ${sim.state.finishDistance}`;
+    document.getElementById('gameOverReason').textContent = sim.state.isFinished
+        ? `${finishName}: ${sim.state.time.toFixed(2)}s + ${score.timePenalty}s penalties = ` +
+            `${sim.state.courseTime.toFixed(2)}s`
+        : `${sim.state.gameOverFault || 'Fault'} at ${sim.state.gameOverReason || 'unknown obstacle'}`;
+    document.getElementById('runSeed').textContent = isDailyRun
+        ? `${sim.state.seed} (${dailyKey})`
+        : String(sim.state.seed);
+    document.getElementById('seedLink').href = seedLink.toString();
+
+    const breakdown = document.getElementById('scoreBreakdown');
+    breakdown.replaceChildren();
+    for (const row of getScoreBreakdown(sim.state.score)) {
+        const tr = document.createElement('tr');
+        for (const text of [row.label, row.value === null ? '' : String(row.value)]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        breakdown.appendChild(tr);
+    }
+    showRaceResults();
+    const run = runSummary();
+    // Editor test runs are of a course nobody else has, so they aren't submitted or kept as best runs.
+    // Races stop at the race distance with a finishing bonus solo runs can't get, so they're ranked by
+    // the race results instead of the leaderboards.
+    const isSubmittable = !isEditorTest() && !currentRace;
+    document.getElementById('leaderboardSection').classList.toggle('hidden', !isSubmittable);
+    if (isSubmittable) {
+        leaderboardPanel.show(run);
+    }
+    lastReplayFile = createReplayFile(run);
+    const isNewBest = !currentRace && !isEditorTest() && saveIfBestRun(lastReplayFile);
+    document.getElementById('bestRunNotice').textContent = isNewBest ? 'New best run saved for your ghost.' : '';
+}
+
+// What gets submitted to the leaderboard (see leaderboard/leaderboardRoutes.js).
+function runSummary() {
+    const { state } = sim;
+    return {
+        mode: state.mode,
+        laneCount: state.laneCount,
+        difficulty: state.difficulty,
+        course: state.course ? state.course.name : null,
+        seed: state.seed,
+        daily: isDailyRun && !state.course && !currentRace ? dailyKey : null,
+        distance: state.distanceCovered,
+        score: state.score.points,
+        duration: state.time,
+        courseTime: state.mode === 'trial' && state.isFinished ? state.courseTime : null,
+        faults: state.score.faults.length,
+        finished: state.isFinished,
+        replay: buildReplay({
+            seed: state.seed,
+            laneCount: state.laneCount,
+            difficulty: state.difficulty,
+            courseFile: selectedCourse ? selectedCourse.file : null,
+            finishDistance: state.mode === 'endless' ? state.finishDistance : null
+        }, inputRecorder)
+    };
+}
+
+// Final standings once the server has them; until then, this run's place (if it finished).
+function showRaceResults() {
+    const container = document.getElementById('raceResults');
+    container.replaceChildren();
+    if (!currentRace) {
+        return;
+    }
+    if (!currentRace.standings) {
+        const waiting = document.createElement('p');
+        waiting.textContent = currentRace.place
+            ? `You finished ${ordinal(currentRace.place)}. Waiting for the other racers...`
+            : 'Waiting for the other racers...';
+        container.appendChild(waiting);
+        return;
+    }
+    const list = document.createElement('ol');
+    for (const racer of currentRace.standings) {
+        const item = document.createElement('li');
+        const outcome = racer.status === 'finished' ? 'finished' : `${Math.floor(racer.distance)} (${racer.status})`;
+        item.textContent = `${racer.name}: ${outcome}, ${racer.points} points`;
+        list.appendChild(item);
+    }
+    container.appendChild(list);
+}
+
+function ordinal(place) {
+    const lastTwoDigits = place % 100;
+    if (lastTwoDigits >= 11 && lastTwoDigits <= 13) {
+        return `${place}th`;
+    }
+    return `${place}${{ 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th'}`;
+}
+
+// Race position from a snapshot: finishers by place, then everyone else by distance.
+function racePosition(snapshot, playerId) {
+    const order = [...snapshot.players].sort((a, b) =>
+        (a.place ?? Infinity) - (b.place ?? Infinity) || b.distance - a.distance);
+    return { place: order.findIndex((player) => player.id === playerId) + 1, total: order.length };
+}
+
+// Load every model before anything can start: the menu's controls stay disabled until it's done.
+async function loadAssets() {
+    const menuControls = [...mainMenu.querySelectorAll('button, input, select')];
+    const progressBar = document.getElementById('loadingProgress');
+    const status = document.getElementById('loadingStatus');
+    for (const control of menuControls) {
+        control.disabled = true;
+    }
+    const unlisted = findUnlistedModels();
+    if (unlisted.length > 0) {
+        console.warn(`Models used by the game but missing from obstacleModelFiles: ${unlisted.join(', ')}`);
+    }
+
+    const manifest = buildAssetManifest();
+    const models = await preloadModels(gltfLoader, manifest, (fraction, entry) => {
+        progressBar.value = fraction;
+        if (entry) {
+            status.textContent = `Loading models... ${entry.key}`;
+        }
+    });
+    let placeholderCount = 0;
+    for (const entry of manifest) {
+        const { kind, key } = entry;
+        const { model, animations, isPlaceholder } = models.get(`${kind}:${key}`);
+        if (isPlaceholder) {
+            placeholderCount++;
+        } else if (kind !== 'powerUp') {
+            model.traverse((object) => {
+                object.castShadow = object.isMesh; // Only drawn when the quality preset has shadows
+            });
+        }
+        if (kind === 'obstacle') {
+            loadedObstacleAssets.set(key, model);
+        } else if (kind === 'obstacleLod') {
+            if (!isPlaceholder) { // A missing variant falls back to the full model
+                const variants = loadedObstacleLods.get(entry.model) || [];
+                variants[entry.level] = model;
+                loadedObstacleLods.set(entry.model, variants);
+            }
+        } else if (kind === 'player') {
+            if (!isPlaceholder) { // Otherwise the primitive dog stays
+                dogAsset = { model, animations };
+                playerDog.setModel({ model, animations });
+                ghostDog.setModel({ model, animations });
+            }
+        } else if (!isPlaceholder) {
+            loadedPowerUpModels.set(key, model); // Failed power-up models fall back to their primitive
+        }
+    }
+    status.textContent = placeholderCount > 0
+        ? `Loaded ${manifest.length} models (${placeholderCount} shown as placeholders, see the console).`
+        : `Loaded ${manifest.length} models.`;
+    document.getElementById('loadingScreen').classList.add('loaded');
+    for (const control of menuControls) {
+        control.disabled = false;
+    }
+}
+
+// Controls section of the main menu: one button per action, click it then press the new key.
+function renderControlsSettings() {
+    const container = document.getElementById('controlsSettings');
+    const bindings = input.getKeyBindings();
+    container.replaceChildren();
+    for (const action of inputActions) {
+        const button = document.createElement('button');
+        button.textContent = `${action}: ${bindings[action].join(' / ') || 'unbound'}`;
+        button.addEventListener('click', async () => {
+            button.textContent = `${action}: press a key (Esc to cancel)`;
+            await input.captureKeyBinding(action);
+            renderControlsSettings();
+        });
+        container.appendChild(button);
+    }
+    const resetButton = document.createElement('button');
+    resetButton.textContent = 'Reset controls';
+    resetButton.addEventListener('click', () => {
+        input.resetKeyBindings();
+        renderControlsSettings();
+    });
+    container.appendChild(resetButton);
+}
+renderControlsSettings();
+
+// Menu wiring
+function bindLaneModeButton(id, count) {
+    const button = document.getElementById(id);
+    button.addEventListener('click', () => {
+        laneCount = count;
+        selectedCourse = null;
+        gameState.transition(GameStates.playing);
+    });
+}
+bindLaneModeButton('start1LaneGame', 1);
+bindLaneModeButton('start3LaneGame', 3);
+bindLaneModeButton('start5LaneGame', 5);
+
+const difficultySelect = document.getElementById('difficultySelect');
+for (const [key, preset] of Object.entries(difficultyPresets)) {
+    difficultySelect.add(new Option(preset.name, key));
+}
+difficultySelect.value = difficulty;
+difficultySelect.addEventListener('change', () => {
+    difficulty = difficultySelect.value;
+    saveSetting(DIFFICULTY_STORAGE_KEY, difficulty);
+});
+
+// Sound settings: saved by the audio manager as they change.
+const musicVolume = document.getElementById('musicVolume');
+const sfxVolume = document.getElementById('sfxVolume');
+const muteToggle = document.getElementById('muteToggle');
+const audioSettings = audio.getSettings();
+musicVolume.value = audioSettings.musicVolume;
+sfxVolume.value = audioSettings.sfxVolume;
+muteToggle.checked = audioSettings.muted;
+musicVolume.addEventListener('input', () => audio.setVolume('music', musicVolume.value));
+sfxVolume.addEventListener('input', () => audio.setVolume('sfx', sfxVolume.value));
+sfxVolume.addEventListener('change', () => audio.play('obstacleCleared')); // Preview the new level
+muteToggle.addEventListener('change', () => audio.setMuted(muteToggle.checked));
+
+// The dog's coat and collar: applied straight away and saved.
+for (const [selectId, variants, slot] of [['coatSelect', coatVariants, 'coat'], ['collarSelect', collarVariants, 'collar']]) {
+    const select = document.getElementById(selectId);
+    for (const [key, variant] of Object.entries(variants)) {
+        select.add(new Option(variant.label, key));
+    }
+    select.value = dogCosmetics[slot];
+    select.addEventListener('change', () => {
+        dogCosmetics[slot] = select.value;
+        saveDogCosmetics(dogCosmetics);
+        playerDog.setCosmetics(dogCosmetics);
+    });
+}
+
+// Trial mode: pick an authored course and play it to the finish line.
+const courseSelect = document.getElementById('courseSelect');
+const courseError = document.getElementById('courseError');
+loadCourseList()
+    .then((courses) => {
+        for (const { file, name } of courses) {
+            courseSelect.add(new Option(name, file));
+        }
+    })
+    .catch((error) => {
+        console.error(error);
+        courseError.textContent = error.message;
+    });
+document.getElementById('startTrialGame').addEventListener('click', async () => {
+    courseError.textContent = '';
+    try {
+        selectedCourse = await loadCourse(courseSelect.value);
+    } catch (error) {
+        console.error(error);
+        courseError.textContent = error.message;
+        return;
+    }
+    gameState.transition(GameStates.playing);
+});
+
+// Course editor: lay out a course, tune obstacle models against their colliders and test-play it.
+const courseEditor = createCourseEditor({
+    scene,
+    camera,
+    renderer,
+    models: loadedObstacleAssets,
+    trackView,
+    onTestPlay(course) {
+        selectedCourse = course;
+        gameState.transition(GameStates.playing);
     },
-    'slalom.glb': { 
-        scale: new THREE.Vector3(0.2, 1.5, 0.2), // Tall and thin
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.75 // TEST: Spacing and hit detection for slalom. Are they too close/far in sequences?
+    onExit() {
+        gameState.transition(GameStates.menu);
+    }
+});
+document.getElementById('openEditor').addEventListener('click', () => gameState.transition(GameStates.editor));
+for (const button of editorButtons) {
+    button.addEventListener('click', () => gameState.transition(GameStates.editor));
+}
+
+// Multiplayer races: join a room from the main menu; the server starts everyone's run together.
+const raceLobby = createRaceLobby({
+    onStart(race) {
+        pendingRace = race;
+        selectedCourse = null;
+        if (!gameState.is(GameStates.menu) && !gameState.is(GameStates.gameOver)) {
+            gameState.transition(GameStates.menu);
+        }
+        gameState.transition(GameStates.playing);
     },
-    'swingboard.glb': { 
-        scale: new THREE.Vector3(1, 0.2, 0.5), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.5  // TEST: Does this behave like a ramp or flat obstacle? Y-pos and scale critical.
+    onSnapshot(snapshot, playerId) {
+        if (currentRace) {
+            remotePlayers.addSnapshot(snapshot, playerId);
+            currentRace.standing = racePosition(snapshot, playerId);
+        }
     },
-    'table.glb': { 
-        scale: new THREE.Vector3(1, 0.8, 0.6), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.4  // TEST: Clear to player if it's a jump-over or ride-on obstacle?
+    onFinish({ playerId, place }, localPlayerId) {
+        if (currentRace && playerId === localPlayerId) {
+            currentRace.place = place;
+            if (gameState.is(GameStates.gameOver)) {
+                showRaceResults();
+            }
+        }
     },
-    'teeter.glb': { 
-        scale: new THREE.Vector3(1.5, 0.2, 0.4), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0.17), // Approx 10 degrees tilt
-        positionY: 0.3   // TEST: Teeter behavior/tilt appropriate? Does it react to player? (If dynamic)
+    onResults(standings) {
+        if (currentRace) {
+            currentRace.standings = standings;
+            if (gameState.is(GameStates.gameOver)) {
+                showRaceResults();
+            }
+        }
+    }
+});
+
+// Broadcast mode: the Watch button spectates the room without racing in it, e.g. on a big screen at a
+// club event. 1/2/3 pick the camera mode, R plays the last fault again, Escape leaves.
+let dogAsset = null; // The rigged dog for the racers, once loaded
+const broadcastView = createBroadcastView({
+    scene,
+    camera,
+    chaseCamera,
+    trackView,
+    obstacleRenderer,
+    powerUpView,
+    getDogModel: () => dogAsset
+});
+const spectatorClient = createSpectatorClient({
+    onWatch(room) {
+        if (gameState.is(GameStates.menu) && gameState.transition(GameStates.spectating)) {
+            broadcastView.watch(room);
+        } else {
+            spectatorClient.leave();
+        }
     },
-    'default': { // Fallback, ensure this is reasonably sized for any unconfigured model
-        scale: new THREE.Vector3(0.5, 0.5, 0.5), 
-        rotation: new THREE.Euler(0, Math.PI / 2, 0), 
-        positionY: 0.5 
+    onLobby: (message) => broadcastView.setLobby(message),
+    onCountdown: (seconds) => broadcastView.setCountdown(seconds),
+    onStart: (race) => broadcastView.start(race),
+    onSnapshot: (snapshot) => broadcastView.addSnapshot(snapshot),
+    onInputs: (message) => broadcastView.addInputs(message),
+    onFinish: ({ name, place }) => broadcastView.announce(`${name} finished ${ordinal(place)}!`),
+    onResults: (standings) => broadcastView.setResults(standings),
+    onClose() {
+        if (gameState.is(GameStates.spectating)) {
+            gameState.transition(GameStates.menu);
+        }
     }
-};
+});
+window.addEventListener('keydown', (event) => {
+    if (!gameState.is(GameStates.spectating)) {
+        return;
+    }
+    const modeIndex = ['Digit1', 'Digit2', 'Digit3'].indexOf(event.code);
+    if (modeIndex !== -1 && modeIndex < cameraModes.length) {
+        broadcastView.setCameraMode(cameraModes[modeIndex]);
+    } else if (event.code === 'KeyR') {
+        broadcastView.toggleInstantReplay();
+    } else if (event.code === 'Escape') {
+        gameState.transition(GameStates.menu);
+    }
+});
+
+// Plugins on the game event bus. The game-over message and the player turning blue on a fault are
+// plugins too, so anything else reacting to the end of a run can sit alongside them.
+gameEvents.registerPlugin(createHudPlugin(hud));
+gameEvents.registerPlugin(createAudioPlugin(audio));
+gameEvents.registerPlugin(createRaceSyncPlugin(raceLobby, () => inputRecorder));
+gameEvents.registerPlugin({
+    id: 'gameOverMessage',
+    gameOver({ state, finished }) {
+        if (finished && state.course) {
+            console.log(`Course complete! ${state.course.name} in ${state.courseTime.toFixed(2)}s`);
+        } else if (!finished) {
+            console.log(`Game Over! ${state.gameOverFault || 'Collided'} at ${state.gameOverReason || 'unknown obstacle'}`);
+        }
+    }
+});
+gameEvents.registerPlugin({
+    id: 'playerColour',
+    gameOver({ finished }) {
+        if (!finished) {
+            playerDog.setTint(0x0000ff); // Turn the dog's coat blue
+        }
+    }
+});
+
+// Replays: watch the last run, download it, or upload a replay file from the menu.
+const ghostToggle = document.getElementById('ghostToggle');
+const replayError = document.getElementById('replayError');
+ghostToggle.checked = loadSetting(GHOST_STORAGE_KEY) === 'true';
+ghostToggle.addEventListener('change', () => saveSetting(GHOST_STORAGE_KEY, String(ghostToggle.checked)));
+document.getElementById('watchReplay').addEventListener('click', async () => {
+    replayError.textContent = '';
+    try {
+        await startPlayback(lastReplayFile, selectedCourse);
+    } catch (error) {
+        console.error(error);
+        replayError.textContent = error.message; // e.g. the trial's course file failed to load
+    }
+});
+document.getElementById('downloadReplay').addEventListener('click', () => downloadReplay(lastReplayFile));
+document.getElementById('replayUpload').addEventListener('change', async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    replayError.textContent = '';
+    if (!file) {
+        return;
+    }
+    try {
+        await startPlayback(await readReplayFile(file));
+    } catch (error) {
+        console.error(error);
+        replayError.textContent = error.message;
+    }
+});
+document.getElementById('replayExit').addEventListener('click', () => gameState.transition(GameStates.menu));
 
-// Obstacles array
-const obstacles = [];
-
-// Player (simple cube for now)
-const playerGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-const playerMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-const playerCube = new THREE.Mesh(playerGeometry, playerMaterial);
-playerCube.position.set(0, 0.25, 0); // Initial player position
-scene.add(playerCube);
-
-// Game state
-let isGameOver = false;
-
-// --- Difficulty Progression Settings ---
-// Adjust these values to change how game difficulty scales over time.
-// distanceCovered: Main factor for increasing difficulty. Updated based on playerSpeed and deltaTime.
-// baseSpawnInterval: Initial time (in seconds) between obstacle spawns.
-// spawnIntervalReductionFactor: How much (in seconds) to reduce spawnInterval per difficultyStepDistance.
-// difficultyStepDistance: Distance player needs to cover to trigger a reduction in spawnInterval.
-// minSpawnInterval: The fastest spawn rate allowed.
-let distanceCovered = 0; 
-const clock = new THREE.Clock(); 
-let lastSpawnTime = 0;
-const baseSpawnInterval = 2.0; // Initial seconds between spawns
-const spawnIntervalReductionFactor = 0.1; // Reduce spawn interval by this amount (seconds)
-const difficultyStepDistance = 150; // Distance units to trigger reduction
-const minSpawnInterval = 0.75; // Minimum seconds between spawns
-const maxObstaclesInScene = 15; // Maximum number of obstacles present at once
-
-// Lane positions
-const lanePositions = [-2.5, 0, 2.5]; // Example lane X coordinates
-
-// Themed Obstacle Spawning
-const obstacleThemes = {
-    'jumps': ['jump1.glb', 'jump2.glb', 'jump3.glb', 'table.glb', 'teeter.glb'],
-    'tunnels': ['CoveredTunnel.glb', 'TunnelBendLarge.glb', 'TunnelBendSmall.glb', 'tunnelline.glb'],
-    'hoops': ['smallhoop.glb', 'largehoop.glb', 'ringette_ring.glb'],
-    'technical': ['slalom.glb', 'swingboard.glb'] 
-    // All models from obstacleModelFiles are categorized.
-};
-const themeKeys = Object.keys(obstacleThemes);
-let currentThemeIndex = 0; // Start with the first theme by index
-let currentThemeName = themeKeys[currentThemeIndex];
-let obstaclesSpawnedInCurrentTheme = 0;
-const maxObstaclesPerTheme = 5; // Spawn 5 obstacles before potentially switching themes
-
-// Placeholder for spawnObstacle function
-function spawnObstacle() {
-    // Theme switching logic
-    if (obstaclesSpawnedInCurrentTheme >= maxObstaclesPerTheme) {
-        currentThemeIndex = (currentThemeIndex + 1) % themeKeys.length; // Cycle to next theme
-        currentThemeName = themeKeys[currentThemeIndex];
-        obstaclesSpawnedInCurrentTheme = 0;
-        // console.log("Switched to theme:", currentThemeName); 
-    }
-
-    const themeModels = obstacleThemes[currentThemeName];
-    if (!themeModels || themeModels.length === 0) {
-        console.error(`Theme ${currentThemeName} has no models or is undefined.`);
-        // Fallback to a default model or skip spawning
-        return; 
-    }
-    const randomModelFilename = themeModels[Math.floor(Math.random() * themeModels.length)];
-    const modelPath = `./assets/models/obstacles/${randomModelFilename}`; // Assuming models are in this path
-
-    if (loadedObstacleAssets.has(randomModelFilename)) {
-        const originalAsset = loadedObstacleAssets.get(randomModelFilename);
-        const loadedModel = originalAsset.clone();
-        
-        const config = obstacleConfigurations[randomModelFilename] || obstacleConfigurations['default'];
-
-        loadedModel.scale.copy(config.scale);
-        loadedModel.rotation.copy(config.rotation);
-        
-        // Lane assignment for X position
-        const randomLaneIndex = Math.floor(Math.random() * lanePositions.length);
-        const laneX = lanePositions[randomLaneIndex];
-        const randomZ = -Math.random() * 50 - 20; // Spawn further ahead and ensure they are off-screen initially.
-        loadedModel.position.set(laneX, config.positionY, randomZ);
-
-        // Store model type for collision detection
-        loadedModel.userData = { type: randomModelFilename };
-        
-        obstaclesSpawnedInCurrentTheme++;
-        scene.add(loadedModel);
-        obstacles.push(loadedModel);
-        // console.log(`Loaded ${randomModelFilename} from cache (Theme: ${currentThemeName}).`);
+document.getElementById('resumeButton').addEventListener('click', () => gameState.transition(GameStates.playing));
+document.getElementById('restartButton').addEventListener('click', () => gameState.transition(GameStates.playing));
+for (const button of document.querySelectorAll('.menuButton')) {
+    button.addEventListener('click', () => gameState.transition(GameStates.menu));
+}
 
-    } else {
-        // PERF: For frequently spawned, identical obstacles (e.g., many slalom poles),
-        // consider using THREE.InstancedMesh if performance with many individual clones becomes an issue.
-        // This would require a different setup for managing instances.
-        gltfLoader.load(
-            modelPath,
-            (gltf) => {
-                // Store the original loaded scene (gltf.scene)
-                loadedObstacleAssets.set(randomModelFilename, gltf.scene);
-
-                // Clone it for the current instance
-                const loadedModel = gltf.scene.clone();
-
-                // Configure the cloned model
-                const config = obstacleConfigurations[randomModelFilename] || obstacleConfigurations['default'];
-
-                loadedModel.scale.copy(config.scale);
-                loadedModel.rotation.copy(config.rotation);
-
-                // Lane assignment for X position
-                const randomLaneIndex = Math.floor(Math.random() * lanePositions.length);
-                const laneX = lanePositions[randomLaneIndex];
-                const randomZ = -Math.random() * 50 - 20; // Spawn further ahead
-                loadedModel.position.set(laneX, config.positionY, randomZ);
-
-                // Store model type for collision detection
-                loadedModel.userData = { type: randomModelFilename };
-                
-                obstaclesSpawnedInCurrentTheme++;
-                scene.add(loadedModel);
-                obstacles.push(loadedModel);
-                // console.log(`Loaded ${randomModelFilename} from network (Theme: ${currentThemeName}) and cached.`);
-            },
-            undefined, // onProgress callback (optional)
-            (error) => {
-                console.error(`An error happened while loading ${randomModelFilename}:`, error);
-            }
-        );
+window.addEventListener('keydown', (event) => {
+    if (event.code !== 'Escape' && event.code !== 'KeyP') {
+        return;
     }
-}
+    if (currentRace && gameState.is(GameStates.playing)) {
+        return; // Races can't be paused
+    }
+    if (gameState.is(GameStates.replay)) {
+        playback.togglePlaying();
+        return;
+    }
+    if (gameState.is(GameStates.playing)) {
+        gameState.transition(GameStates.paused);
+    } else if (gameState.is(GameStates.paused)) {
+        gameState.transition(GameStates.playing);
+    }
+});
 
 // Simple animation loop (placeholder)
 function animate() {
     const deltaTime = clock.getDelta(); // Time since last frame
     requestAnimationFrame(animate);
+    perfOverlay.begin();
 
-    if (!isGameOver) {
-        // Update distance covered (example: based on time or player movement)
-        // For simplicity, let's assume a constant speed for distance calculation.
-        // This should ideally be tied to player's actual forward movement speed.
-        const playerSpeed = 5; // units per second (example value)
-        distanceCovered += playerSpeed * deltaTime;
-
-        // Move player forward (example, if not controlled by input)
-        // playerCube.position.z -= playerSpeed * deltaTime; 
-        // camera.position.z -= playerSpeed * deltaTime; // If camera follows player
-
-        // PERF: Complex collision detection (especially per-polygon or many raycasts) can be a bottleneck.
-        // Profile using browser developer tools if frame rate drops significantly with many obstacles.
-        // Collision Detection Logic
-        for (let i = 0; i < obstacles.length; i++) {
-            const obstacle = obstacles[i];
-            const obstacleType = obstacle.userData ? obstacle.userData.type : null;
-
-            // Ensure THREE.Box3 is available, otherwise skip collision (or rely on mock)
-            if (typeof THREE.Box3 === 'undefined') {
-                console.warn("THREE.Box3 not defined, skipping collision check.");
-                continue; 
-            }
-
-            const playerBoundingBox = new THREE.Box3().setFromObject(playerCube);
-            const obstacleBoundingBox = new THREE.Box3().setFromObject(obstacle);
-            let collisionDetected = false;
-
-            if (obstacleType && obstacleType.toLowerCase().includes('tunnel')) {
-                // For Tunnels: Pass through for now
-                if (playerBoundingBox.intersectsBox(obstacleBoundingBox)) {
-                    // TODO: Implement proper 'inside tunnel' collision detection.
-                    // Currently, player passes through all tunnels to avoid unfair early collisions.
-                    // A real check might involve:
-                    // 1. Verifying player intersects the main bounding box.
-                    // 2. Checking if player is *also* within a defined "passage" inner bounding box.
-                    // 3. Or, using raycasting from player to check distance to inner tunnel walls.
-                    collisionDetected = false; // Current placeholder: pass through
-                }
-            } else if (obstacleType && obstacleType.toLowerCase().includes('hoop')) {
-                // For Hoops: Standard AABB
-                if (playerBoundingBox.intersectsBox(obstacleBoundingBox)) {
-                    // TODO: Refine hoop collision for better accuracy.
-                    // Current AABB may be too sensitive at edges. Consider:
-                    // 1. Defining a slightly smaller "inner" bounding box for the actual passage.
-                    // 2. Checking if the player's center point is within the hoop's passage area.
-                    collisionDetected = true;
-                }
-            } else {
-                // Default for all other obstacles
-                if (playerBoundingBox.intersectsBox(obstacleBoundingBox)) {
-                    collisionDetected = true;
-                }
-            }
-
-            if (collisionDetected) {
-                isGameOver = true;
-                console.log(`Game Over! Collided with ${obstacleType || 'unknown obstacle'}`);
-                if (playerCube.material && playerCube.material.color) {
-                    playerCube.material.color.setHex(0x0000ff); // Change player color to blue
-                }
-                break; 
-            }
+    if (gameState.is(GameStates.playing)) {
+        graphicsQuality.sampleFrame(deltaTime);
+        const steps = sim.advance(deltaTime, input.getInput());
+        if (steps > 0) {
+            input.consume();
         }
-
-        // Basic obstacle removal (if they go too far behind player)
-        // This is a simple cleanup, not part of the core collision task
-        for (let i = obstacles.length - 1; i >= 0; i--) {
-            if (obstacles[i].position.z > camera.position.z + 10) { // Check if obstacle is far behind
-                scene.remove(obstacles[i]);
-                obstacles.splice(i, 1);
-                // console.log("Removed obstacle");
-            }
+        for (let i = 0; ghost && i < steps; i++) {
+            ghost.step(); // Keep the ghost in lockstep with the live run
         }
-        // Spawn new obstacles periodically using Difficulty Progression Option A
-        const currentTime = clock.getElapsedTime(); // Total time elapsed
-        let currentSpawnInterval = baseSpawnInterval - (Math.floor(distanceCovered / difficultyStepDistance) * spawnIntervalReductionFactor);
-        if (currentSpawnInterval < minSpawnInterval) { 
-            currentSpawnInterval = minSpawnInterval;
+        if (sim.state.isGameOver) {
+            gameState.transition(GameStates.gameOver);
         }
+    } else if (gameState.is(GameStates.replay)) {
+        playback.update(deltaTime);
+        sim = playback.sim; // Seeking backwards starts a new simulation
+    } else if (gameState.is(GameStates.editor)) {
+        courseEditor.update();
+    } else if (gameState.is(GameStates.spectating)) {
+        broadcastView.update(deltaTime);
+    }
 
-        if (currentTime - lastSpawnTime > currentSpawnInterval && obstacles.length < maxObstaclesInScene) { 
-            spawnObstacle();
-            lastSpawnTime = currentTime;
-            // console.log(`Spawn interval: ${currentSpawnInterval.toFixed(2)}s, Distance: ${distanceCovered.toFixed(0)}, Obstacles: ${obstacles.length}`);
+    if (sim) {
+        // The dog only moves while the run does (not while paused or over, or with a replay paused).
+        const isMoving = gameState.is(GameStates.playing) || (gameState.is(GameStates.replay) && playback.isPlaying());
+        const animationDelta = isMoving ? deltaTime : 0;
+        obstacleRenderer.sync(sim.state.obstacles, sim.getConfigFor);
+        trackView.sync(sim.state);
+        syncPlayer(animationDelta);
+        chaseCamera.update(sim.state.player, deltaTime);
+        syncGhost(animationDelta);
+        powerUpView.sync(sim.state);
+        if (currentRace) {
+            remotePlayers.sync(sim.state.distanceCovered);
         }
-
-    } // end if(!isGameOver)
-
+        colliderDebug.sync(sim.state);
+        gameEvents.emit('frame', {
+            state: sim.state,
+            race: currentRace,
+            live: gameState.is(GameStates.playing),
+            deltaTime
+        });
+    }
     renderer.render(scene, camera);
+    perfOverlay.end(renderer.info, obstacleRenderer.getStats);
 }
 
-// Initial setup calls (examples)
-camera.position.z = 10; // Move camera back a bit to see obstacles spawning further away
-// spawnObstacle(); // Initial obstacles will be spawned by the timer in animate()
-// spawnObstacle(); 
-// spawnObstacle(); 
-animate(); // Start the animation loop which includes spawning
-
-// Basic lighting
+// Basic lighting: ambient plus an overhead sun; higher quality presets add a sky fill and a back light.
 const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
 scene.add(ambientLight);
 const directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-directionalLight.position.set(0, 1, 0);
-scene.add(directionalLight);
-
-// Ensure THREE is defined (or imported/required if using modules)
-// This script assumes THREE is globally available via a <script> tag.
-// If using ES6 modules, you would use: import * as THREE from 'three';
-// and import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-if (typeof THREE === 'undefined') {
-    console.error('THREE.js is not loaded. Please include it in your HTML.');
-    // As a fallback for the sandbox environment, we might need to define a mock THREE
-    // if it's not actually running in a browser with Three.js loaded.
-    // For the purpose of this task, we assume THREE and GLTFLoader are available.
-}
-// Ensure GLTFLoader is available (or mock it for non-browser environments)
-if (typeof THREE !== 'undefined' && typeof THREE.GLTFLoader === 'undefined') {
-    // Mock GLTFLoader if not present (e.g., in a pure Node.js environment without JSDOM)
-    THREE.GLTFLoader = function() {
-        return {
-            load: function(url, onLoad, onProgress, onError) {
-                console.warn(`GLTFLoader.load called for ${url} - Mocking GLTF load. Call onLoad with a mock scene.`);
-                // Simulate a load completion with a mock object
-                // In a real scenario, this would be an async operation.
-                setTimeout(() => {
-                    if (onLoad) {
-                        onLoad({ scene: new THREE.Group() }); // Return a new Group as a mock scene
-                    }
-                }, 100);
-            }
-        };
-    };
-    gltfLoader = new THREE.GLTFLoader(); // Re-assign with mock if it was undefined
-    console.warn('THREE.GLTFLoader was undefined. A mock has been provided.');
-} else if (typeof THREE === 'undefined') {
-    // If THREE itself is undefined, GLTFLoader will also be.
-    // Define mock THREE and GLTFLoader for the script to not crash.
-    global.THREE = {
-        Scene: function() { return { add: () => {} }; },
-        PerspectiveCamera: function() {},
-        WebGLRenderer: function() { return { setSize: () => {}, render: () => {}, domElement: {} }; },
-        AmbientLight: function() {},
-        DirectionalLight: function() {},
-        GLTFLoader: function() {
-            return {
-                load: function(url, onLoad, onProgress, onError) {
-                    console.warn(`GLTFLoader.load called for ${url} - Mocking GLTF load (THREE was also undefined). Call onLoad with a mock scene.`);
-                    setTimeout(() => {
-                        if (onLoad) {
-                            const mockScene = { 
-                                userData: {}, 
-                                clone: function() { 
-                                    // console.log("Mock scene cloned for " + url + " (Theme: " + currentThemeName + ")");
-                                    return {
-                                        isObject3D: true,
-                                        userData: {}, 
-                                        clone: function() { return this; }, 
-                                        scale: { x:1, y:1, z:1, copy: function(s) { this.x=s.x; this.y=s.y; this.z=s.z;} },
-                                        rotation: { x:0, y:0, z:0, _order:'XYZ', copy: function(r) {this.x=r.x; this.y=r.y; this.z=r.z; this._order=r._order;} },
-                                        position: { x:0, y:0, z:0, set: function(x,y,z) {this.x=x; this.y=y; this.z=z;}, copy: function(p) {this.x=p.x; this.y=p.y; this.z=p.z;} }
-                                    };
-                                },
-                                scale: { x:1, y:1, z:1, copy: function(s) { this.x=s.x; this.y=s.y; this.z=s.z;} },
-                                rotation: { x:0, y:0, z:0, _order:'XYZ', copy: function(r) {this.x=r.x; this.y=r.y; this.z=r.z; this._order=r._order;} },
-                                position: { x:0, y:0, z:0, set: function(x,y,z) {this.x=x; this.y=y; this.z=z;}, copy: function(p) {this.x=p.x; this.y=p.y; this.z=p.z;} }
-                            };
-                            onLoad({ scene: mockScene.clone() });
-                        }
-                    }, 100);
-                }
-            };
-        },
-        Clock: function() { 
-            let mockStartTime = Date.now(); // Renamed to avoid conflict with outer scope if any
-            let mockElapsedTime = 0;
-            this.getDelta = function() { 
-                const newTime = Date.now();
-                const diff = (newTime - mockStartTime) / 1000;
-                mockStartTime = newTime;
-                mockElapsedTime += diff;
-                return diff > 0.05 ? 0.05 : diff; 
-            };
-            this.getElapsedTime = function() { return mockElapsedTime; };
-        },
-        Box3: function() { // Mock for THREE.Box3
-            this.min = { x: 0, y: 0, z: 0 };
-            this.max = { x: 0, y: 0, z: 0 };
-            this.setFromObject = function(object) {
-                // Super simplified AABB calculation for mock
-                // Assumes object has a 'geometry' and it has a 'boundingBox'
-                // or it's a Group and we should iterate children (not done for this mock)
-                if (object.geometry && object.geometry.boundingBox) {
-                    // Simplified: copy min/max directly if they exist (e.g. from another Box3)
-                    if (object.min && object.max) {
-                        this.min.x = object.min.x; this.min.y = object.min.y; this.min.z = object.min.z;
-                        this.max.x = object.max.x; this.max.y = object.max.y; this.max.z = object.max.z;
-                    } else { // Fallback for actual Mesh objects
-                        this.min.x = object.position.x - 0.25; this.max.x = object.position.x + 0.25;
-                        this.min.y = object.position.y - 0.25; this.max.y = object.position.y + 0.25;
-                        this.min.z = object.position.z - 0.25; this.max.z = object.position.z + 0.25;
-                    }
-                } else { // Default small box if no geometry/boundingBox and no position (should not happen for valid Object3D)
-                    this.min.x = -0.1; this.min.y = -0.1; this.min.z = -0.1;
-                    this.max.x = 0.1; this.max.y = 0.1; this.max.z = 0.1;
-                }
-                return this;
-            };
-            this.intersectsBox = function(box) {
-                return (this.max.x >= box.min.x && this.min.x <= box.max.x) &&
-                       (this.max.y >= box.min.y && this.min.y <= box.max.y) &&
-                       (this.max.z >= box.min.z && this.min.z <= box.max.z);
-            };
-            this.clone = function() {
-                const newBox = new THREE.Box3();
-                newBox.min.x = this.min.x; newBox.min.y = this.min.y; newBox.min.z = this.min.z;
-                newBox.max.x = this.max.x; newBox.max.y = this.max.y; newBox.max.z = this.max.z;
-                return newBox;
-            }
-        },
-        BoxGeometry: function(w,h,d) { // Mock for THREE.BoxGeometry
-             return { 
-                boundingBox: { 
-                    min: {x:-w/2,y:-h/2,z:-d/2, copy: function(v){this.x=v.x;this.y=v.y;this.z=v.z;}, set: function(x,y,z){this.x=x;this.y=y;this.z=z;}}, 
-                    max: {x:w/2,y:h/2,z:d/2, copy: function(v){this.x=v.x;this.y=v.y;this.z=v.z;}, set: function(x,y,z){this.x=x;this.y=y;this.z=z;}}
-                } 
-            };
-        },
-        MeshStandardMaterial: function(params) { 
-            return { color: { setHex: (hex) => { /* console.log(`Mock material color changed to ${hex}`); */ } } };
-        },
-        Mesh: function(geo, mat) { // Mock for THREE.Mesh
-            return { 
-                geometry: geo, material: mat, 
-                position: {x:0,y:0,z:0, set:function(x,y,z){this.x=x;this.y=y;this.z=z;}},
-                userData: {} // Ensure userData exists on mock playerMesh
-            };
-        },
-        Vector3: function(x=0, y=0, z=0) { 
-            this.x = x; this.y = y; this.z = z;
-            this.copy = function(v) { this.x = v.x; this.y = v.y; this.z = v.z; return this; };
-            this.set = function(x,y,z) { this.x=x; this.y=y; this.z=z; return this;};
-        },
-        Euler: function(x=0, y=0, z=0, order='XYZ') { 
-            this.x = x; this.y = y; this.z = z; this._order = order;
-            this.copy = function(e) { this.x = e.x; this.y = e.y; this.z = e.z; this._order = e._order; return this; };
-            this.set = function(x,y,z,order) { this.x=x; this.y=y; this.z=z; this._order = order || this._order; return this;};
-        },
-        Group: function() { 
-            return {
-                isObject3D: true, userData: {}, // Ensure userData exists on mock Group
-                clone: function() { console.log("Mock THREE.Group cloned"); return this; },
-                scale: { x:1, y:1, z:1, copy: function(s) { this.x=s.x; this.y=s.y; this.z=s.z;} },
-                rotation: { x:0, y:0, z:0, _order:'XYZ', copy: function(r) {this.x=r.x; this.y=r.y; this.z=r.z; this._order=r._order;} },
-                position: { x:0, y:0, z:0, set: function(x,y,z) {this.x=x; this.y=y; this.z=z;}, copy: function(p) {this.x=p.x; this.y=p.y; this.z=p.z;} }
-            };
-        },
-        Object3D: function() { 
-             return {
-                isObject3D: true, userData: {}, // Ensure userData exists on mock Object3D
-                clone: function() { console.log("Mock THREE.Object3D cloned"); return this; },
-                scale: { x:1, y:1, z:1, copy: function(s) { this.x=s.x; this.y=s.y; this.z=s.z;} },
-                rotation: { x:0, y:0, z:0, _order:'XYZ', copy: function(r) {this.x=r.x; this.y=r.y; this.z=r.z; this._order=r._order;} },
-                position: { x:0, y:0, z:0, set: function(x,y,z) {this.x=x; this.y=y; this.z=z;}, copy: function(p) {this.x=p.x; this.y=p.y; this.z=p.z;} }
-            };
-        }
-    };
-    // Re-initialize dependent variables if THREE was undefined to use mocks (ensure playerCube uses mocks too)
-    scene = new THREE.Scene(); 
-    camera = new THREE.PerspectiveCamera(75, 1, 0.1, 1000); 
-    renderer = new THREE.WebGLRenderer(); 
-    gltfLoader = new THREE.GLTFLoader(); 
-    ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-    directionalLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    scene.add(ambientLight);
-    scene.add(directionalLight);
-    // Player and material if THREE was undefined
-    playerGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-    playerMaterial = new THREE.MeshStandardMaterial({ color: 0xff0000 });
-    playerCube = new THREE.Mesh(playerGeometry, playerMaterial);
-    playerCube.position.set(0, 0.25, 0);
-    scene.add(playerCube);
-
-    console.warn('THREE object was undefined. Full mocks for THREE, GLTFLoader, Box3, Geometries, Materials, Mesh, Vector3, Euler, Group, Object3D have been provided.');
-} else if (typeof THREE !== 'undefined') {
-    // If THREE is defined, ensure necessary components are available for collision and player
-    if (typeof THREE.Box3 === 'undefined') {
-        console.warn('THREE.Box3 was undefined. Adding basic mock for collision detection.');
-        THREE.Box3 = function() { 
-            this.min = { x: 0, y: 0, z: 0 }; this.max = { x: 0, y: 0, z: 0 };
-            this.setFromObject = function(object) { /* Simplified */ this.min = object.position; this.max = object.position; return this; };
-            this.intersectsBox = function(box) { /* Simplified */ return false; };
-            this.clone = function() { return this; };
-        };
-    }
-    if (typeof THREE.BoxGeometry === 'undefined') {
-        console.warn('THREE.BoxGeometry was undefined. Player cube might not render correctly.');
-        THREE.BoxGeometry = function(w,h,d) { return {}; };
-    }
-     if (typeof THREE.MeshStandardMaterial === 'undefined') {
-        console.warn('THREE.MeshStandardMaterial was undefined. Player cube might not render correctly.');
-        THREE.MeshStandardMaterial = function(params) { return { color: { setHex: () => {} } }; };
-    }
-     if (typeof THREE.Mesh === 'undefined') {
-        console.warn('THREE.Mesh was undefined. Player cube might not render correctly.');
-        THREE.Mesh = function(geo, mat) { return { geometry: geo, material: mat, position: {x:0,y:0,z:0, set:function(){}}, userData: {} }; };
-    }
-    // Ensure Vector3 and Euler mocks from previous steps are still in place if needed
-    if (typeof THREE.Vector3 === 'undefined') {
-        console.warn('THREE.Vector3 was undefined. Adding basic mock.');
-        THREE.Vector3 = function(x=0, y=0, z=0) { this.x = x; this.y = y; this.z = z; this.copy = function(v) { this.x = v.x; this.y = v.y; this.z = v.z; return this; }; this.set = function(x,y,z) { this.x=x; this.y=y; this.z=z; return this;}; };
-    }
-    if (typeof THREE.Euler === 'undefined') {
-        console.warn('THREE.Euler was undefined. Adding basic mock.');
-        THREE.Euler = function(x=0, y=0, z=0, order='XYZ') { this.x = x; this.y = y; this.z = z; this._order = order; this.copy = function(e) { this.x = e.x; this.y = e.y; this.z = e.z; this._order = e._order; return this; }; this.set = function(x,y,z,order) { this.x=x; this.y=y; this.z=z; this._order = order || this._order; return this;}; };
+// Straight down over the stretch of track in front of the player, so its shadow map covers it.
+directionalLight.position.set(0, 30, playerSettings.startPosition[2] - 25);
+directionalLight.target.position.set(0, 0, playerSettings.startPosition[2] - 25);
+scene.add(directionalLight, directionalLight.target);
+Object.assign(directionalLight.shadow.camera, { left: -50, right: 50, top: 50, bottom: -50, near: 1, far: 40 });
+directionalLight.shadow.camera.updateProjectionMatrix();
+const hemisphereLight = new THREE.HemisphereLight(0xbfd9ff, 0x4c8a3f, 0.3);
+scene.add(hemisphereLight);
+const backLight = new THREE.DirectionalLight(0xffffff, 0.3);
+backLight.position.set(0, 5, 10);
+scene.add(backLight);
+
+// Graphics quality: the menu picks a preset or auto; auto steps down when frames run slow.
+const qualitySelect = document.getElementById('qualitySelect');
+const qualityStatus = document.getElementById('qualityStatus');
+const graphicsQuality = createGraphicsQuality({
+    renderer,
+    scene,
+    camera,
+    lights: [ambientLight, directionalLight, hemisphereLight, backLight],
+    shadowLight: directionalLight,
+    obstacleRenderer,
+    onChange(level) {
+        qualityStatus.textContent = `Using ${qualityPresets[level].label.toLowerCase()}.`;
     }
+});
+qualitySelect.add(new Option('Auto', 'auto'));
+for (const level of qualityLevels) {
+    qualitySelect.add(new Option(qualityPresets[level].label, level));
 }
+qualitySelect.value = graphicsQuality.choice;
+qualitySelect.addEventListener('change', () => graphicsQuality.setChoice(qualitySelect.value));
+
+// Initial setup calls
+frameCamera();
+loadAssets();
+animate(); // Render loop; the simulation only runs once a lane mode is picked from the menu
@@ -0,0 +1,175 @@
+// multiplayer/botClient.js
+// Scripted race client: joins a room on the race server, readies up and runs the shared simulation
+// headlessly with a simple driver, reporting its progress (and input log) like a browser tab would.
+//
+//   node multiplayer/botClient.js [--url ws://localhost:7017/multiplayer] [--room lobby] [--name Bot]
+//                                 [--lanes 3] [--bots 2]
+//
+// --bots N races N simulated racers at once (named "Bot 1", "Bot 2", ...), e.g. to feed a spectator
+// screen without anyone playing. A race needs two players, so the default is two bots; use --bots 1 to
+// race someone in a browser tab. Resolves (and the CLI prints) the final standings once the race is over.
+const WebSocket = require('ws');
+
+const STATE_SEND_INTERVAL_MS = 50; // Same rate as the browser client
+const LOOK_AHEAD_DISTANCE = 6; // How far ahead the driver looks for something in its lane
+
+// Steer away from the nearest obstacle ahead in our lane, towards a lane with nothing close.
+function chooseInput(state) {
+  const { player, obstacles, lanePositions } = state;
+  const input = { left: false, right: false, jump: false, crouch: false };
+  const isBlocked = (lane) => obstacles.some((obstacle) => obstacle.lane === lane &&
+    !obstacle.interaction.resolved &&
+    player.z - obstacle.z > 0 && player.z - obstacle.z < LOOK_AHEAD_DISTANCE);
+  if (player.isChangingLane || player.laneLocked || !isBlocked(player.lane)) {
+    return input;
+  }
+  if (player.lane > 0 && !isBlocked(player.lane - 1)) {
+    input.left = true;
+  } else if (player.lane < lanePositions.length - 1 && !isBlocked(player.lane + 1)) {
+    input.right = true;
+  } else {
+    input.jump = true;
+  }
+  return input;
+}
+
+function runBot(options = {}) {
+  const url = options.url || 'ws://localhost:7017/multiplayer';
+  const log = options.log || (() => {});
+
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    let simulationModule = null;
+    let replayModule = null;
+    let playerId = null;
+    let raceTimer = null;
+    let settled = false;
+
+    function send(message) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    }
+
+    function stopRace() {
+      clearInterval(raceTimer);
+      raceTimer = null;
+    }
+
+    // Give up on the race: the promise rejects (once) and the connection is closed.
+    function fail(error) {
+      stopRace();
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.close();
+      reject(error);
+    }
+
+    function startRace({ seed, laneCount, raceDistance }) {
+      const inputRecorder = replayModule.createInputRecorder();
+      const sim = simulationModule.createSimulation({ seed, laneCount, finishDistance: raceDistance, inputRecorder });
+      const stepSeconds = STATE_SEND_INTERVAL_MS / 1000;
+      let inputsSent = 0;
+      raceTimer = setInterval(() => {
+        sim.advance(stepSeconds, chooseInput(sim.state));
+        const { state } = sim;
+        const status = !state.isGameOver ? 'running' : (state.isFinished ? 'finished' : 'out');
+        const inputs = inputRecorder.getInputs();
+        send({
+          type: 'state',
+          lane: state.player.lane,
+          x: state.player.x,
+          y: state.player.y,
+          distance: state.distanceCovered,
+          points: state.score.points,
+          faults: state.score.faults.length,
+          livesRemaining: state.score.livesRemaining,
+          status,
+          tick: inputRecorder.getTicks(),
+          inputs: inputs.slice(inputsSent)
+        });
+        inputsSent = inputs.length;
+        if (status !== 'running') {
+          log(`${status} at ${Math.floor(state.distanceCovered)} with ${state.score.points} points`);
+          stopRace();
+        }
+      }, STATE_SEND_INTERVAL_MS);
+    }
+
+    socket.on('open', async () => {
+      simulationModule = await import('../game/simulation.mjs');
+      replayModule = await import('../game/replay.mjs');
+      send({ type: 'join', room: options.room || 'lobby', name: options.name || 'Bot', laneCount: options.laneCount || 3 });
+    });
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      switch (message.type) {
+        case 'welcome':
+          playerId = message.playerId;
+          log(`joined room ${message.room.id} as player ${playerId}`);
+          send({ type: 'ready', ready: true });
+          break;
+        case 'countdown':
+          log(`starting in ${message.seconds}`);
+          break;
+        case 'start':
+          log(`racing to ${message.raceDistance} on seed ${message.seed}`);
+          startRace(message);
+          break;
+        case 'finish':
+          log(`${message.name} finished, place ${message.place}`);
+          break;
+        case 'results':
+          settled = true;
+          stopRace();
+          socket.close();
+          resolve({ playerId, standings: message.standings });
+          break;
+        case 'error':
+          // e.g. the room is full or already racing; the bot can't get anywhere from here
+          fail(new Error(`Server error: ${message.message}`));
+          break;
+      }
+    });
+
+    socket.on('error', (error) => fail(error));
+    socket.on('close', () => fail(new Error('Disconnected before the race results.')));
+  });
+}
+
+module.exports = { runBot, chooseInput };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  const baseName = option('name', 'Bot');
+  const botCount = Number(option('bots', 2));
+  if (!Number.isInteger(botCount) || botCount < 1) {
+    console.error('--bots must be a whole number of at least 1.');
+    process.exit(1);
+  }
+  const names = botCount === 1 ? [baseName] : Array.from({ length: botCount }, (unused, i) => `${baseName} ${i + 1}`);
+  Promise.all(names.map((name) => runBot({
+    url: option('url', undefined),
+    room: option('room', 'lobby'),
+    name,
+    laneCount: Number(option('lanes', 3)),
+    log: (text) => console.log(`[${name}] ${text}`)
+  }).catch((error) => {
+    console.error(`[${name}] ${error.message}`);
+    process.exitCode = 1;
+    return null;
+  })))
+    .then((results) => {
+      const result = results.find(Boolean); // Every bot in the room gets the same standings
+      for (const racer of result ? result.standings : []) {
+        console.log(`${racer.place}. ${racer.name} - ${racer.status}, ${Math.floor(racer.distance)}, ${racer.points} points`);
+      }
+    });
+}
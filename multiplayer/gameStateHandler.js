@@ -1 +1,451 @@
-// Multiplayer game state handling will be implemented here.
+// multiplayer/gameStateHandler.js
+// Real-time races over WebSocket, on the same HTTP server as Express (path /multiplayer).
+//
+// Players join a room, everyone in it gets the same course seed, and once they're all ready the server
+// counts down and starts the race. While racing, clients report their progress and the server
+// broadcasts snapshots of every player at a fixed tick. The server decides finishing order: places are
+// handed out in the order "finished" reports arrive.
+//
+// Spectators (e.g. a big screen at a club event) watch a room without a player slot: they get every
+// message the racers do but can't ready up or race, and don't count towards the room's players.
+// Racers send their input log along with their progress and the server passes it on to spectators,
+// who re-run each racer's exact race from it (see game/replay.mjs and client/broadcastView.js).
+//
+// Messages are JSON objects with a `type`.
+// Client -> server:
+//   join     { room, name, laneCount } join (or create) a room; laneCount only counts for the first player in it
+//   spectate { room }                 watch a room (creating it if needed) instead of racing in it
+//   ready    { ready }                the countdown starts once every player in the room is ready
+//   state    { lane, x, y, distance, points, faults, livesRemaining, status, tick, inputs }
+//                                     progress while racing; status is 'running', 'finished' or 'out';
+//                                     inputs are the input log entries recorded since the last state
+//                                     (the [ticks, mask] pairs of game/replay.mjs) and tick the step the
+//                                     run is up to. Both are optional; without them spectators only see
+//                                     the racer's position.
+//   leave    {}
+// Server -> client:
+//   welcome   { playerId, room: { id, seed, laneCount, raceDistance, phase } }
+//   spectating { spectatorId, room }  a spectator's welcome; a race already running follows as start
+//                                     and one inputs message per racer
+//   lobby     { phase, seed, players: [{ id, name, ready }] }
+//   countdown { seconds }            once per second until the start
+//   start     { seed, laneCount, raceDistance }
+//   snapshot  { tick, players: [{ id, name, lane, x, y, distance, points, faults, livesRemaining, status, place }] }
+//   finish    { playerId, name, place }
+//   results   { standings: [{ id, name, place, status, distance, points }] }
+//   inputs    { playerId, tick, inputs } spectators only: a racer's new input log entries, or null inputs
+//                                     once the racer's log is unusable (an entry was rejected)
+//   error     { message }
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const MULTIPLAYER_PATH = '/multiplayer';
+const SNAPSHOT_INTERVAL_MS = 50; // 20 snapshots per second
+const COUNTDOWN_SECONDS = 3;
+const DEFAULT_RACE_DISTANCE = 500;
+const MAX_PLAYERS_PER_ROOM = 8;
+const MAX_SPECTATORS_PER_ROOM = 16;
+const MAX_INPUT_LOG_LENGTH = 100000; // Numbers in a racer's log; far more than a race's worth of key changes
+const MAX_INPUT_MASK = 15; // All four input bits (see inputBits in game/replay.mjs)
+const SUPPORTED_LANE_COUNTS = [1, 3, 5]; // Same as supportedLaneCounts in game/config.mjs
+const ROOM_ID_PATTERN = /^[\w-]{1,32}$/;
+const MAX_NAME_LENGTH = 20;
+const PLAYER_STATUSES = ['running', 'finished', 'out'];
+
+function newSeed() {
+  return crypto.randomInt(1, 2 ** 32);
+}
+
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function finiteOr(value, fallback) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+}
+
+// A chunk of an input log: [ticks since the previous change, mask] pairs.
+function isInputLogChunk(inputs) {
+  if (!Array.isArray(inputs) || inputs.length % 2 !== 0) {
+    return false;
+  }
+  for (let i = 0; i < inputs.length; i += 2) {
+    if (!Number.isInteger(inputs[i]) || inputs[i] < 1 ||
+        !Number.isInteger(inputs[i + 1]) || inputs[i + 1] < 0 || inputs[i + 1] > MAX_INPUT_MASK) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// options: { minPlayers (players needed before a countdown, default 2), raceDistance }
+function attachMultiplayer(httpServer, options = {}) {
+  const minPlayers = options.minPlayers || 2;
+  const raceDistance = options.raceDistance || DEFAULT_RACE_DISTANCE;
+  const wss = new WebSocketServer({ server: httpServer, path: MULTIPLAYER_PATH });
+  const rooms = new Map();
+  let nextPlayerId = 1;
+  let nextSpectatorId = 1;
+
+  function createRoom(id, laneCount) {
+    const room = {
+      id,
+      seed: newSeed(),
+      laneCount,
+      raceDistance,
+      phase: 'lobby', // 'lobby' | 'countdown' | 'racing'
+      players: new Map(), // player id -> player
+      spectators: new Map(), // spectator id -> { id, socket }
+      finishOrder: [],
+      tick: 0,
+      countdownTimer: null,
+      snapshotTimer: null
+    };
+    rooms.set(id, room);
+    return room;
+  }
+
+  function broadcast(room, message) {
+    for (const player of room.players.values()) {
+      send(player.socket, message);
+    }
+    sendToSpectators(room, message);
+  }
+
+  function sendToSpectators(room, message) {
+    for (const spectator of room.spectators.values()) {
+      send(spectator.socket, message);
+    }
+  }
+
+  function broadcastLobby(room) {
+    broadcast(room, {
+      type: 'lobby',
+      phase: room.phase,
+      seed: room.seed,
+      players: [...room.players.values()].map((player) => ({ id: player.id, name: player.name, ready: player.ready }))
+    });
+  }
+
+  function roomInfo(room) {
+    return { id: room.id, seed: room.seed, laneCount: room.laneCount, raceDistance: room.raceDistance, phase: room.phase };
+  }
+
+  function stopTimers(room) {
+    clearInterval(room.countdownTimer);
+    clearInterval(room.snapshotTimer);
+    room.countdownTimer = null;
+    room.snapshotTimer = null;
+  }
+
+  function maybeStartCountdown(room) {
+    const players = [...room.players.values()];
+    if (room.phase !== 'lobby' || players.length < minPlayers || !players.every((player) => player.ready)) {
+      return;
+    }
+    room.phase = 'countdown';
+    let seconds = COUNTDOWN_SECONDS;
+    broadcast(room, { type: 'countdown', seconds });
+    room.countdownTimer = setInterval(() => {
+      seconds--;
+      if (seconds > 0) {
+        broadcast(room, { type: 'countdown', seconds });
+        return;
+      }
+      clearInterval(room.countdownTimer);
+      room.countdownTimer = null;
+      startRace(room);
+    }, 1000);
+  }
+
+  function cancelCountdown(room) {
+    if (room.phase === 'countdown') {
+      stopTimers(room);
+      room.phase = 'lobby';
+    }
+  }
+
+  function startRace(room) {
+    room.phase = 'racing';
+    room.tick = 0;
+    room.finishOrder = [];
+    for (const player of room.players.values()) {
+      Object.assign(player, {
+        status: 'running', place: null, lane: null, x: 0, y: 0, distance: 0, points: 0, faults: 0, livesRemaining: null,
+        tick: 0, inputs: []
+      });
+    }
+    broadcast(room, { type: 'start', seed: room.seed, laneCount: room.laneCount, raceDistance: room.raceDistance });
+    room.snapshotTimer = setInterval(() => broadcastSnapshot(room), SNAPSHOT_INTERVAL_MS);
+  }
+
+  function broadcastSnapshot(room) {
+    room.tick++;
+    broadcast(room, {
+      type: 'snapshot',
+      tick: room.tick,
+      players: [...room.players.values()].map((player) => ({
+        id: player.id,
+        name: player.name,
+        lane: player.lane,
+        x: player.x,
+        y: player.y,
+        distance: player.distance,
+        points: player.points,
+        faults: player.faults,
+        livesRemaining: player.livesRemaining,
+        status: player.status,
+        place: player.place
+      }))
+    });
+  }
+
+  // Finishers in the order they finished, then everyone else by distance.
+  function standings(room) {
+    const players = [...room.players.values()];
+    const finished = room.finishOrder.map((id) => room.players.get(id)).filter(Boolean);
+    const others = players.filter((player) => player.place === null).sort((a, b) => b.distance - a.distance);
+    return [...finished, ...others].map((player, index) => ({
+      id: player.id,
+      name: player.name,
+      place: index + 1,
+      status: player.status,
+      distance: player.distance,
+      points: player.points
+    }));
+  }
+
+  // The race is over once nobody is still running; back to the lobby with a fresh seed for the next one.
+  function maybeEndRace(room) {
+    if (room.phase !== 'racing' || [...room.players.values()].some((player) => player.status === 'running')) {
+      return;
+    }
+    broadcastSnapshot(room);
+    broadcast(room, { type: 'results', standings: standings(room) });
+    stopTimers(room);
+    room.phase = 'lobby';
+    room.seed = newSeed();
+    for (const player of room.players.values()) {
+      player.ready = false;
+    }
+    broadcastLobby(room);
+  }
+
+  // The room a join or spectate message names, created if it doesn't exist yet; null after sending an error.
+  function findOrCreateRoom(socket, client, message) {
+    if (client.room) {
+      send(socket, { type: 'error', message: 'Already in a room; leave it first.' });
+      return null;
+    }
+    const roomId = message.room === undefined ? 'lobby' : message.room;
+    if (typeof roomId !== 'string' || !ROOM_ID_PATTERN.test(roomId)) {
+      send(socket, { type: 'error', message: 'Room names are 1-32 letters, digits, _ or -.' });
+      return null;
+    }
+    return rooms.get(roomId) || createRoom(roomId, 3);
+  }
+
+  function handleJoin(socket, client, message) {
+    const room = findOrCreateRoom(socket, client, message);
+    if (!room) {
+      return;
+    }
+    const roomId = room.id;
+    if (room.phase !== 'lobby') {
+      send(socket, { type: 'error', message: `Room ${roomId} is already racing.` });
+      return;
+    }
+    if (room.players.size >= MAX_PLAYERS_PER_ROOM) {
+      send(socket, { type: 'error', message: `Room ${roomId} is full.` });
+      return;
+    }
+    if (room.players.size === 0 && SUPPORTED_LANE_COUNTS.includes(message.laneCount)) {
+      room.laneCount = message.laneCount; // A room spectators opened gets its lane count from the first racer
+    }
+    const id = nextPlayerId++;
+    const name = typeof message.name === 'string' && message.name.trim()
+      ? message.name.trim().slice(0, MAX_NAME_LENGTH)
+      : `Player ${id}`;
+    const player = {
+      id,
+      name,
+      socket,
+      ready: false,
+      status: 'running',
+      place: null,
+      lane: null,
+      x: 0,
+      y: 0,
+      distance: 0,
+      points: 0,
+      faults: 0,
+      livesRemaining: null,
+      tick: 0,
+      inputs: [] // This race's input log so far, or null once an entry was rejected
+    };
+    room.players.set(id, player);
+    client.room = room;
+    client.player = player;
+    send(socket, { type: 'welcome', playerId: id, room: roomInfo(room) });
+    broadcastLobby(room);
+  }
+
+  function handleSpectate(socket, client, message) {
+    const room = findOrCreateRoom(socket, client, message);
+    if (!room) {
+      return;
+    }
+    if (room.spectators.size >= MAX_SPECTATORS_PER_ROOM) {
+      send(socket, { type: 'error', message: `Room ${room.id} has too many spectators.` });
+      return;
+    }
+    const spectator = { id: nextSpectatorId++, socket };
+    room.spectators.set(spectator.id, spectator);
+    client.room = room;
+    client.spectator = spectator;
+    send(socket, { type: 'spectating', spectatorId: spectator.id, room: roomInfo(room) });
+    broadcastLobby(room);
+    if (room.phase === 'racing') {
+      // Catch up: the race settings, then each racer's whole log so far.
+      send(socket, { type: 'start', seed: room.seed, laneCount: room.laneCount, raceDistance: room.raceDistance });
+      for (const player of room.players.values()) {
+        send(socket, { type: 'inputs', playerId: player.id, tick: player.tick, inputs: player.inputs });
+      }
+    }
+  }
+
+  // Append a state message's input log entries to the racer's log and pass them on to spectators.
+  function recordInputs(room, player, message) {
+    if (player.inputs === null || (message.inputs === undefined && message.tick === undefined)) {
+      return;
+    }
+    const valid = Number.isInteger(message.tick) && message.tick >= player.tick && isInputLogChunk(message.inputs) &&
+      player.inputs.length + message.inputs.length <= MAX_INPUT_LOG_LENGTH;
+    if (!valid) {
+      player.inputs = null; // A gap would desync every entry after it, so the log stops here
+      sendToSpectators(room, { type: 'inputs', playerId: player.id, tick: player.tick, inputs: null });
+      return;
+    }
+    player.tick = message.tick;
+    player.inputs.push(...message.inputs);
+    sendToSpectators(room, { type: 'inputs', playerId: player.id, tick: player.tick, inputs: message.inputs });
+  }
+
+  function handleState(client, message) {
+    const { room, player } = client;
+    if (room.phase !== 'racing' || player.status !== 'running') {
+      return;
+    }
+    player.lane = Number.isInteger(message.lane) ? message.lane : player.lane;
+    player.x = finiteOr(message.x, player.x);
+    player.y = finiteOr(message.y, player.y);
+    player.distance = Math.max(player.distance, finiteOr(message.distance, player.distance));
+    player.points = finiteOr(message.points, player.points);
+    player.faults = finiteOr(message.faults, player.faults);
+    player.livesRemaining = finiteOr(message.livesRemaining, player.livesRemaining);
+    recordInputs(room, player, message);
+    const status = PLAYER_STATUSES.includes(message.status) ? message.status : 'running';
+    if (status === 'finished' && player.distance >= room.raceDistance) {
+      player.status = 'finished';
+      room.finishOrder.push(player.id);
+      player.place = room.finishOrder.length;
+      broadcast(room, { type: 'finish', playerId: player.id, name: player.name, place: player.place });
+    } else if (status === 'out') {
+      player.status = 'out';
+    }
+    maybeEndRace(room);
+  }
+
+  function leaveRoom(client) {
+    const { room, player, spectator } = client;
+    if (!room) {
+      return;
+    }
+    client.room = null;
+    client.player = null;
+    client.spectator = null;
+    if (spectator) {
+      room.spectators.delete(spectator.id);
+    } else {
+      room.players.delete(player.id);
+    }
+    if (room.players.size === 0 && room.spectators.size === 0) {
+      stopTimers(room);
+      rooms.delete(room.id);
+      return;
+    }
+    if (spectator) {
+      return;
+    }
+    cancelCountdown(room);
+    if (room.phase === 'racing') {
+      maybeEndRace(room);
+    } else {
+      broadcastLobby(room);
+      maybeStartCountdown(room);
+    }
+  }
+
+  wss.on('connection', (socket) => {
+    const client = { room: null, player: null, spectator: null };
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send(socket, { type: 'error', message: 'Messages must be JSON.' });
+        return;
+      }
+      if (!message || typeof message !== 'object') {
+        send(socket, { type: 'error', message: 'Messages must be JSON objects.' });
+        return;
+      }
+      if (message.type === 'join') {
+        handleJoin(socket, client, message);
+        return;
+      }
+      if (message.type === 'spectate') {
+        handleSpectate(socket, client, message);
+        return;
+      }
+      if (!client.room) {
+        send(socket, { type: 'error', message: 'Join a room first.' });
+        return;
+      }
+      if (client.spectator && message.type !== 'leave') {
+        send(socket, { type: 'error', message: 'Spectators can only watch.' });
+        return;
+      }
+      switch (message.type) {
+        case 'ready':
+          if (client.room.phase === 'lobby' || client.room.phase === 'countdown') {
+            client.player.ready = message.ready !== false;
+            if (!client.player.ready) {
+              cancelCountdown(client.room);
+            }
+            broadcastLobby(client.room);
+            maybeStartCountdown(client.room);
+          }
+          break;
+        case 'state':
+          handleState(client, message);
+          break;
+        case 'leave':
+          leaveRoom(client);
+          break;
+        default:
+          send(socket, { type: 'error', message: `Unknown message type "${message.type}".` });
+      }
+    });
+
+    socket.on('close', () => leaveRoom(client));
+  });
+
+  console.log(`Multiplayer WebSocket endpoint ready at ${MULTIPLAYER_PATH}`);
+  return wss;
+}
+
+module.exports = { attachMultiplayer, MULTIPLAYER_PATH };
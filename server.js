@@ -1,17 +1,25 @@
 // server.js
 const express = require('express');
 const path = require('path');
+const { attachMultiplayer } = require('./multiplayer/gameStateHandler');
+const { createLeaderboardRouter } = require('./leaderboard/leaderboardRoutes');
 const app = express();
 const PORT = 7017;
 
 // Serve static files from the current directory (TopDog)
 app.use(express.static(__dirname));
 
+// Run submission and leaderboards (stored in data/runs.json)
+app.use('/api', createLeaderboardRouter());
+
 // Send index.html on root request
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`TopDog server running at http://localhost:${PORT}`);
 });
+
+// Multiplayer races share the HTTP server (ws://localhost:7017/multiplayer)
+attachMultiplayer(server);
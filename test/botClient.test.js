@@ -0,0 +1,61 @@
+// Scripted race clients (multiplayer/botClient.js) racing each other on a local race server.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const { attachMultiplayer, MULTIPLAYER_PATH } = require('../multiplayer/gameStateHandler');
+const { runBot } = require('../multiplayer/botClient');
+
+// Runs fn(url) against a race server on a free port, then shuts it down.
+async function withRaceServer(options, fn) {
+  const server = http.createServer();
+  const wss = attachMultiplayer(server, options);
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    return await fn(`ws://localhost:${server.address().port}${MULTIPLAYER_PATH}`);
+  } finally {
+    for (const client of wss.clients) {
+      client.terminate();
+    }
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test('two bots race to the results', { timeout: 60000 }, async () => {
+  await withRaceServer({ raceDistance: 60 }, async (url) => {
+    const results = await Promise.all(['Bot 1', 'Bot 2'].map((name) => runBot({ url, room: 'test', name })));
+    const [first, second] = results;
+    assert.notEqual(first.playerId, second.playerId);
+    assert.deepEqual(second.standings, first.standings, 'everyone gets the same results');
+    assert.deepEqual(first.standings.map((standing) => standing.place), [1, 2]);
+    assert.deepEqual(first.standings.map((standing) => standing.id).sort(),
+      [first.playerId, second.playerId].sort());
+    for (const standing of first.standings) {
+      assert.ok(standing.status === 'finished' || standing.status === 'out');
+    }
+  });
+});
+
+test('a bot fails instead of waiting when its room is already racing', { timeout: 60000 }, async () => {
+  await withRaceServer({ raceDistance: 100 }, async (url) => {
+    const racing = Promise.all(['Bot 1', 'Bot 2'].map((name) => runBot({ url, room: 'busy', name })));
+    await new Promise((resolve) => setTimeout(resolve, 4500)); // Past the 3 second countdown
+    await assert.rejects(runBot({ url, room: 'busy', name: 'Late' }), /already racing/);
+    await racing;
+  });
+});
+
+test('a bot fails when the server hangs up before the results', { timeout: 10000 }, async () => {
+  const server = http.createServer();
+  const wss = new WebSocketServer({ server, path: MULTIPLAYER_PATH });
+  wss.on('connection', (socket) => socket.on('message', () => socket.close()));
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    const url = `ws://localhost:${server.address().port}${MULTIPLAYER_PATH}`;
+    await assert.rejects(runBot({ url, room: 'test', name: 'Bot' }), /Disconnected before the race results/);
+  } finally {
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,65 @@
+// Course validation (game/course.mjs), in particular interaction overrides.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validateCourse } from '../game/course.mjs';
+import { checkInteractionRule } from '../game/interactions.mjs';
+import { obstacleConfigurations } from '../game/config.mjs';
+import { createSimulation } from '../game/simulation.mjs';
+
+function courseWith(model, config) {
+    return { name: 'Test', laneCount: 3, obstacles: [{ model, lane: 1, spacing: 5, config }] };
+}
+
+function errorsFor(model, interaction) {
+    return validateCourse(courseWith(model, { interaction })).errors;
+}
+
+test('the shipped courses are valid', () => {
+    const index = JSON.parse(fs.readFileSync(new URL('../courses/index.json', import.meta.url), 'utf8'));
+    for (const { file } of index) {
+        const data = JSON.parse(fs.readFileSync(new URL(`../courses/${file}`, import.meta.url), 'utf8'));
+        assert.deepEqual(validateCourse(data).errors, [], file);
+    }
+});
+
+test('every model\'s own interaction rule is playable', () => {
+    for (const [model, config] of Object.entries(obstacleConfigurations)) {
+        if (config.interaction) {
+            assert.equal(checkInteractionRule(config.interaction), null, model);
+        }
+    }
+});
+
+test('a hoop override needs its opening', () => {
+    assert.equal(errorsFor('jump1.glb', { type: 'hoop' }).length, 1);
+    assert.equal(errorsFor('jump1.glb', { type: 'hoop', opening: { centerY: 'high', radius: 0.6 } }).length, 1);
+    assert.equal(errorsFor('jump1.glb', { type: 'hoop', opening: { centerY: 1 } }).length, 1);
+    assert.equal(errorsFor('jump1.glb', { type: 'hoop', opening: { centerY: 1, radius: 0 } }).length, 1);
+    // Overriding the opening replaces it whole, so it needs both fields too.
+    assert.equal(errorsFor('largehoop.glb', { opening: { radius: 1 } }).length, 1);
+    assert.deepEqual(errorsFor('jump1.glb', { type: 'hoop', opening: { centerY: 1, radius: 0.6 } }), []);
+    assert.deepEqual(errorsFor('largehoop.glb', { opening: { centerY: 1.2, radius: 0.5 } }), []);
+});
+
+test('a weave override needs a whole number of weaves', () => {
+    assert.equal(errorsFor('jump1.glb', { type: 'weave' }).length, 1);
+    assert.equal(errorsFor('slalom.glb', { requiredWeaves: 'three' }).length, 1);
+    assert.equal(errorsFor('slalom.glb', { requiredWeaves: 0 }).length, 1);
+    assert.equal(errorsFor('slalom.glb', { requiredWeaves: 2.5 }).length, 1);
+    assert.deepEqual(errorsFor('slalom.glb', { requiredWeaves: 5 }), []);
+    assert.deepEqual(errorsFor('jump1.glb', { type: 'weave', requiredWeaves: 2 }), []);
+});
+
+test('an unknown interaction type is rejected', () => {
+    assert.equal(errorsFor('jump1.glb', { type: 'teleport' }).length, 1);
+});
+
+test('a course that validates can be played', () => {
+    const { course } = validateCourse(courseWith('jump1.glb', { interaction: { type: 'hoop', opening: { centerY: 1, radius: 0.6 } } }));
+    const sim = createSimulation({ seed: 1, course });
+    for (let tick = 0; tick < 600 && !sim.state.isGameOver; tick++) {
+        sim.step();
+    }
+    assert.equal(sim.state.isGameOver, true);
+});
@@ -0,0 +1,57 @@
+// Difficulty presets (game/difficulty.mjs): everything a preset spawns has to be takeable from the
+// first row on, at the preset's start speed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, FIXED_TIMESTEP } from '../game/simulation.mjs';
+import { difficultyPresets } from '../game/difficulty.mjs';
+import { getObstacleConfig } from '../game/config.mjs';
+
+const MIN_TAKE_OFF_TICKS = 6; // A tenth of a second to time a jump in, at least
+const outcomeTypes = ['obstacleCleared', 'obstacleFault', 'obstacleRefused'];
+
+// Runs one lane at the preset's start speed with only `model` spawning, until the first obstacle is
+// cleared or faulted. Resolves with the outcome event and the tick it came on.
+function takeFirstObstacle(preset, model, inputFor) {
+    const profile = {
+        ...preset,
+        speed: [[0, preset.speed[0][1]]],
+        themes: { only: { [model]: 1 } }
+    };
+    const sim = createSimulation({ seed: 1, laneCount: 1, difficulty: profile, powerUps: false });
+    for (let tick = 1; tick <= 60 * 30; tick++) {
+        sim.step(FIXED_TIMESTEP, inputFor(tick));
+        const outcome = sim.state.events.find((event) => outcomeTypes.includes(event.type));
+        if (outcome) {
+            return { outcome, tick };
+        }
+    }
+    throw new Error(`No ${model} reached the player.`);
+}
+
+const runStraight = () => ({});
+const weave = (tick) => ({ left: tick % 12 === 0, right: tick % 12 === 6 });
+
+for (const [name, preset] of Object.entries(difficultyPresets)) {
+    test(`every model ${name} spawns can be cleared at its start speed`, () => {
+        const models = new Set(Object.values(preset.themes).flatMap(Object.keys));
+        for (const model of models) {
+            const { type } = getObstacleConfig(model).interaction;
+            const straight = takeFirstObstacle(preset, model, runStraight);
+            if (type === 'jump' || type === 'hoop') {
+                // Try every take-off in the second before running into it.
+                let clearingTicks = 0;
+                for (let takeOff = straight.tick - 60; takeOff <= straight.tick; takeOff++) {
+                    const { outcome } = takeFirstObstacle(preset, model, (tick) => ({ jump: tick === takeOff }));
+                    if (outcome.type === 'obstacleCleared') {
+                        clearingTicks++;
+                    }
+                }
+                assert.ok(clearingTicks >= MIN_TAKE_OFF_TICKS,
+                    `${model} can only be jumped from ${clearingTicks} ticks at ${preset.speed[0][1]} units/s`);
+            } else {
+                const { outcome } = type === 'weave' ? takeFirstObstacle(preset, model, weave) : straight;
+                assert.equal(outcome.type, 'obstacleCleared', `${model} (${type}) could not be cleared`);
+            }
+        }
+    });
+}
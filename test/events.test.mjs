@@ -0,0 +1,104 @@
+// Game event bus (game/events.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventBus, forwardSimulationEvents } from '../game/events.mjs';
+
+test('handlers get the payloads of their event type', () => {
+    const bus = createEventBus();
+    const seen = [];
+    bus.on('distanceMilestone', ({ distance }) => seen.push(distance));
+    bus.on('themeChanged', () => seen.push('theme'));
+    bus.emit('distanceMilestone', { state: {}, distance: 100 });
+    bus.emit('distanceMilestone', { state: {}, distance: 200 });
+    assert.deepEqual(seen, [100, 200]);
+});
+
+test('unknown event types are refused', () => {
+    const bus = createEventBus();
+    assert.throws(() => bus.on('explosion', () => {}), /Unknown game event type "explosion"/);
+    assert.throws(() => bus.emit('explosion', {}), /Unknown game event type/);
+});
+
+test('on returns a function that unsubscribes', () => {
+    const bus = createEventBus();
+    let calls = 0;
+    const off = bus.on('frame', () => calls++);
+    bus.emit('frame', {});
+    off();
+    bus.emit('frame', {});
+    assert.equal(calls, 1);
+});
+
+test('a failing handler is skipped without stopping the others', (t) => {
+    const logged = t.mock.method(console, 'error', () => {});
+    const bus = createEventBus();
+    let reached = false;
+    bus.on('gameOver', () => {
+        throw new Error('broken plugin');
+    });
+    bus.on('gameOver', () => {
+        reached = true;
+    });
+    bus.emit('gameOver', { state: {} });
+    assert.equal(reached, true);
+    assert.equal(logged.mock.callCount(), 1);
+});
+
+test('plugins register their handlers and setup, and unregister cleanly', () => {
+    const bus = createEventBus();
+    const seen = [];
+    let cleanedUp = false;
+    const plugin = {
+        id: 'recorder',
+        setup(api) {
+            assert.equal(api, bus);
+            return () => {
+                cleanedUp = true;
+            };
+        },
+        obstaclePassed({ model }) {
+            seen.push(`${this.id} ${model}`); // Handlers are called with the plugin as this
+        }
+    };
+    bus.registerPlugin(plugin);
+    assert.deepEqual(bus.getPluginIds(), ['recorder']);
+    bus.emit('obstaclePassed', { state: {}, model: 'jump1.glb' });
+
+    assert.equal(bus.unregisterPlugin('recorder'), true);
+    bus.emit('obstaclePassed', { state: {}, model: 'jump2.glb' });
+    assert.deepEqual(seen, ['recorder jump1.glb']);
+    assert.equal(cleanedUp, true);
+    assert.deepEqual(bus.getPluginIds(), []);
+    assert.equal(bus.unregisterPlugin('recorder'), false);
+});
+
+test('plugins need a unique id and known event types', () => {
+    const bus = createEventBus();
+    assert.throws(() => bus.registerPlugin({ frame() {} }), /need an id/);
+    bus.registerPlugin({ id: 'hud', frame() {} });
+    assert.throws(() => bus.registerPlugin({ id: 'hud' }), /already registered/);
+    assert.throws(() => bus.registerPlugin({ id: 'typo', colision() {} }), /unknown game event type "colision"/);
+    assert.deepEqual(bus.getPluginIds(), ['hud'], 'a refused plugin leaves nothing behind');
+});
+
+test('simulation events are forwarded as game events', () => {
+    const bus = createEventBus();
+    const seen = [];
+    bus.on('obstaclePassed', ({ model, interaction }) => seen.push(['passed', model, interaction]));
+    bus.on('collision', ({ model, fault, refused, absorbed }) => seen.push(['collision', model, fault, refused, absorbed]));
+    bus.on('powerUpCollected', ({ state, powerUp }) => seen.push(['powerUp', powerUp, state.tick]));
+    const state = { tick: 7 };
+    forwardSimulationEvents(bus)([
+        { type: 'obstacleCleared', obstacleId: 1, model: 'jump1.glb', interaction: 'jump' },
+        { type: 'obstacleFault', obstacleId: 2, model: 'smallhoop.glb', interaction: 'hoop', fault: 'rimContact', absorbed: true },
+        { type: 'obstacleRefused', obstacleId: 3, model: 'table.glb', interaction: 'jump', fault: 'refusal' },
+        { type: 'powerUpCollected', powerUp: 'shield', pickupId: 4 },
+        { type: 'somethingInternal' }
+    ], state);
+    assert.deepEqual(seen, [
+        ['passed', 'jump1.glb', 'jump'],
+        ['collision', 'smallhoop.glb', 'rimContact', false, true],
+        ['collision', 'table.glb', 'refusal', true, false],
+        ['powerUp', 'shield', 7]
+    ]);
+});
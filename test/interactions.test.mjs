@@ -0,0 +1,27 @@
+// Per-obstacle interaction rules (game/interactions.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interactionHandlers, faultTypes } from '../game/interactions.mjs';
+
+function takeJump(airborneSteps) {
+    const handler = interactionHandlers.jump;
+    const interaction = {};
+    for (const isAirborne of airborneSteps) {
+        const fault = handler.update({ interaction, player: { isAirborne }, hit: null });
+        assert.equal(fault, null);
+    }
+    return handler.finish({ interaction });
+}
+
+test('a jump cleared in the air counts', () => {
+    assert.equal(takeJump([false, true, true, false]), null);
+});
+
+test('a jump passed without leaving the ground is a knocked bar', () => {
+    assert.equal(takeJump([false, false, false]), faultTypes.knockedBar);
+});
+
+test('touching a jump is a knocked bar', () => {
+    const fault = interactionHandlers.jump.update({ interaction: {}, player: { isAirborne: true }, hit: { part: 'bar' } });
+    assert.equal(fault, faultTypes.knockedBar);
+});
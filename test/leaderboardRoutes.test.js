@@ -0,0 +1,179 @@
+// Leaderboard routes (leaderboard/leaderboardRoutes.js): submissions are validated, rate limited,
+// verified and ranked.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createLeaderboardRouter } = require('../leaderboard/leaderboardRoutes');
+const { createRunStore } = require('../leaderboard/runStore');
+
+const gameModules = Promise.all([
+  import('../game/simulation.mjs'),
+  import('../game/replay.mjs'),
+  import('../game/random.mjs')
+]).then(([simulation, replay, random]) => ({ ...simulation, ...replay, ...random }));
+
+// Runs fn(api) against the router on a free port with a throwaway store, then shuts it down.
+// api(method, path, body) resolves with { status, headers, body }.
+async function withLeaderboard(options, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'topdog-runs-'));
+  const app = express();
+  app.use('/api', createLeaderboardRouter({ store: createRunStore(path.join(dir, 'runs.json')), ...options }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://localhost:${server.address().port}/api`;
+  async function api(method, route, body) {
+    const response = await fetch(base + route, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+  try {
+    return await fn(api);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Plays an endless run to its end with a fixed input script and returns the submission a client would send.
+async function playRun({ seed, laneCount = 3, daily = null, playerName = 'Rex' }) {
+  const { createSimulation, createInputRecorder, buildReplay } = await gameModules;
+  const inputRecorder = createInputRecorder();
+  const sim = createSimulation({ seed, laneCount, inputRecorder });
+  for (let frame = 1; !sim.state.isGameOver && frame < 60 * 600; frame++) {
+    sim.advance(1 / 60, {
+      left: frame % 97 === 0,
+      right: frame % 89 === 0,
+      jump: frame % 53 === 0,
+      crouch: frame % 200 < 20
+    });
+  }
+  const { state } = sim;
+  return {
+    playerName,
+    mode: 'endless',
+    laneCount,
+    difficulty: state.difficulty,
+    seed,
+    daily,
+    distance: state.distanceCovered,
+    score: state.score.points,
+    duration: state.time,
+    faults: state.score.faults.length,
+    finished: state.isFinished,
+    replay: buildReplay({ seed, laneCount, difficulty: state.difficulty }, inputRecorder)
+  };
+}
+
+test('invalid submissions are rejected with the reasons', async () => {
+  await withLeaderboard({}, async (api) => {
+    const notJson = await api('POST', '/runs', '{"playerName":');
+    assert.equal(notJson.status, 400);
+    assert.deepEqual(notJson.body.errors, ['Body must be valid JSON.']);
+
+    const run = await playRun({ seed: 7 });
+    const invalid = await api('POST', '/runs', { ...run, playerName: '<script>', laneCount: 4, score: -1 });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.errors.length, 3);
+    assert.match(invalid.body.errors.join(' '), /playerName/);
+    assert.match(invalid.body.errors.join(' '), /laneCount/);
+    assert.match(invalid.body.errors.join(' '), /score/);
+
+    const trialOnHard = await api('POST', '/runs', { ...run, mode: 'trial', course: 'Starter', difficulty: 'hard' });
+    assert.equal(trialOnHard.status, 400);
+    assert.match(trialOnHard.body.errors.join(' '), /trial runs are always played on normal/);
+
+    const tampered = await api('POST', '/runs', { ...run, score: run.score + 1000 });
+    assert.equal(tampered.status, 422);
+    assert.match(tampered.body.errors.join(' '), /does not reproduce the run's score/);
+
+    const leaderboard = await api('GET', '/leaderboard');
+    assert.equal(leaderboard.body.total, 0, 'nothing rejected is stored');
+    assert.equal((await api('GET', '/leaderboard?laneCount=2&limit=0')).status, 400);
+  });
+});
+
+test('submissions past the rate limit get a 429', async () => {
+  await withLeaderboard({ rateLimit: { windowMs: 60 * 1000, maxSubmissions: 2 } }, async (api) => {
+    assert.equal((await api('POST', '/runs', {})).status, 400);
+    assert.equal((await api('POST', '/runs', {})).status, 400);
+    const limited = await api('POST', '/runs', {});
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+  });
+});
+
+test('verified runs are stored and placed by score, then distance', { timeout: 60000 }, async () => {
+  const runs = await Promise.all([playRun({ seed: 7 }), playRun({ seed: 8 }), playRun({ seed: 9 })]);
+  const byScore = [...runs].sort((a, b) => b.score - a.score || b.distance - a.distance);
+  assert.notEqual(byScore[0].distance, byScore[2].distance, 'the seeds give different runs');
+
+  await withLeaderboard({}, async (api) => {
+    const lowest = await api('POST', '/runs', byScore[2]);
+    assert.equal(lowest.status, 201);
+    assert.deepEqual(lowest.body.placement, { rank: 1, total: 1 });
+    assert.equal(lowest.body.run.replay, undefined);
+
+    const highest = await api('POST', '/runs', byScore[0]);
+    assert.deepEqual(highest.body.placement, { rank: 1, total: 2 });
+    const middle = await api('POST', '/runs', byScore[1]);
+    assert.deepEqual(middle.body.placement, { rank: 2, total: 3 });
+
+    const otherBoard = await api('POST', '/runs', await playRun({ seed: 7, laneCount: 1 }));
+    assert.deepEqual(otherBoard.body.placement, { rank: 1, total: 1 }, 'each lane count has its own board');
+
+    const leaderboard = await api('GET', '/leaderboard?laneCount=3');
+    assert.deepEqual(leaderboard.body.entries.map((entry) => [entry.rank, entry.score, entry.distance]),
+      byScore.map((run, index) => [index + 1, run.score, run.distance]));
+
+    const replay = await api('GET', `/runs/${middle.body.run.id}/replay`);
+    assert.deepEqual(replay.body.replay, byScore[1].replay);
+    assert.equal((await api('GET', '/runs/999/replay')).status, 404);
+  });
+});
+
+test('a replay can only be submitted once', { timeout: 60000 }, async () => {
+  const run = await playRun({ seed: 7 });
+  await withLeaderboard({}, async (api) => {
+    const tampered = await api('POST', '/runs', { ...run, score: run.score + 1000 });
+    assert.equal(tampered.status, 422);
+    assert.equal((await api('POST', '/runs', run)).status, 201, 'a rejected replay can still be submitted honestly');
+
+    const again = await api('POST', '/runs', run);
+    assert.equal(again.status, 409);
+    assert.deepEqual(again.body.errors, ['This replay has already been submitted.']);
+    assert.equal((await api('POST', '/runs', { ...run, playerName: 'Fido' })).status, 409);
+    assert.equal((await api('GET', '/leaderboard')).body.total, 1);
+  });
+});
+
+test('daily runs need the day\'s seed and a current day', { timeout: 60000 }, async () => {
+  const { dailySeedKey, dailySeed } = await gameModules;
+  const today = dailySeedKey();
+  await withLeaderboard({}, async (api) => {
+    const wrongSeed = await api('POST', '/runs', await playRun({ seed: 7, daily: today }));
+    assert.equal(wrongSeed.status, 400);
+    assert.deepEqual(wrongSeed.body.errors, [`seed is not the seed for ${today}.`]);
+
+    const lastYear = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+    const stale = await api('POST', '/runs',
+      await playRun({ seed: dailySeed(lastYear), daily: dailySeedKey(lastYear) }));
+    assert.equal(stale.status, 400);
+    assert.deepEqual(stale.body.errors, [`${dailySeedKey(lastYear)} is not a current daily course.`]);
+
+    const daily = await api('POST', '/runs', await playRun({ seed: dailySeed(), daily: today }));
+    assert.equal(daily.status, 201);
+    assert.equal(daily.body.run.daily, today);
+
+    const board = await api('GET', '/leaderboard?daily=today');
+    assert.equal(board.body.filter.daily, today);
+    assert.deepEqual(board.body.entries.map((entry) => entry.id), [daily.body.run.id]);
+    assert.equal((await api('GET', '/leaderboard?daily=yesterday')).status, 400);
+  });
+});
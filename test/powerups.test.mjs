@@ -0,0 +1,29 @@
+// Power-up hooks (game/powerups.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPowerUpType } from '../game/powerups.mjs';
+import { getLanePositions } from '../game/config.mjs';
+
+const lanePositions = getLanePositions(3);
+
+test('the magnet pulls a pickup into the player\'s lane, lane and all', () => {
+    const magnet = getPowerUpType('magnet');
+    const pickup = { id: 1, type: 'shield', lane: 2, x: lanePositions[2], y: 0.5, z: -8 };
+    const state = { lanePositions, player: { x: lanePositions[1], z: 0 }, pickups: [pickup] };
+    magnet.onStep(state, {}, 0.1);
+    assert.ok(pickup.x < lanePositions[2]);
+    assert.equal(pickup.lane, 2, 'still nearest its own lane after a short pull');
+    magnet.onStep(state, {}, 0.1);
+    assert.equal(pickup.lane, 1, 'nearer the player\'s lane now');
+    magnet.onStep(state, {}, 1);
+    assert.equal(pickup.x, lanePositions[1]);
+    assert.equal(pickup.lane, 1);
+});
+
+test('the magnet leaves pickups out of range alone', () => {
+    const magnet = getPowerUpType('magnet');
+    const behind = { id: 1, type: 'shield', lane: 0, x: lanePositions[0], y: 0.5, z: 3 };
+    const farAhead = { id: 2, type: 'shield', lane: 2, x: lanePositions[2], y: 0.5, z: -30 };
+    magnet.onStep({ lanePositions, player: { x: lanePositions[1], z: 0 }, pickups: [behind, farAhead] }, {}, 1);
+    assert.deepEqual([behind.x, behind.lane, farAhead.x, farAhead.lane], [lanePositions[0], 0, lanePositions[2], 2]);
+});
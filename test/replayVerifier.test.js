@@ -0,0 +1,140 @@
+// Server-side replay verification (leaderboard/replayVerifier.js): genuine runs are accepted, tampered
+// ones rejected.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { verifyRun } = require('../leaderboard/replayVerifier');
+
+const gameModules = Promise.all([
+  import('../game/simulation.mjs'),
+  import('../game/replay.mjs'),
+  import('../game/course.mjs')
+]).then(([simulation, replay, course]) => ({ ...simulation, ...replay, ...course }));
+
+// Plays a run to its end with a fixed input script and returns what the client would submit.
+async function playRun({ seed, laneCount, course = null, courseFile = null }) {
+  const { createSimulation, createInputRecorder, buildReplay } = await gameModules;
+  const inputRecorder = createInputRecorder();
+  const sim = createSimulation({ seed, laneCount, course, inputRecorder });
+  for (let frame = 1; !sim.state.isGameOver && frame < 60 * 600; frame++) {
+    sim.advance(1 / (50 + (frame % 30)), {
+      left: frame % 97 === 0,
+      right: frame % 89 === 0,
+      jump: frame % 53 === 0,
+      crouch: frame % 200 < 20
+    });
+  }
+  const { state } = sim;
+  return {
+    run: {
+      mode: state.mode,
+      laneCount: state.laneCount,
+      difficulty: state.difficulty,
+      course: state.course ? state.course.name : null,
+      seed: state.seed,
+      daily: null,
+      distance: state.distanceCovered,
+      score: state.score.points,
+      duration: state.time,
+      courseTime: state.mode === 'trial' && state.isFinished ? state.courseTime : null,
+      faults: state.score.faults.length,
+      finished: state.isFinished
+    },
+    replay: buildReplay({ seed: state.seed, laneCount: state.laneCount, difficulty: state.difficulty, courseFile },
+      inputRecorder)
+  };
+}
+
+async function problems(run, replay) {
+  return (await verifyRun(run, replay)).errors;
+}
+
+const endlessRun = playRun({ seed: 7, laneCount: 3 });
+
+test('a genuine endless run is accepted', async () => {
+  const { run, replay } = await endlessRun;
+  const { errors, replay: stored } = await verifyRun(run, replay);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(stored, replay);
+});
+
+test('a genuine trial run is accepted', async () => {
+  const { validateCourse } = await gameModules;
+  const file = path.join(__dirname, '..', 'courses', 'starter.json');
+  const { course } = validateCourse(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const { run, replay } = await playRun({ seed: 9, course, courseFile: 'starter.json' });
+  assert.deepEqual(await problems(run, replay), []);
+});
+
+test('an edited score is rejected', async () => {
+  const { run, replay } = await endlessRun;
+  assert.notDeepEqual(await problems({ ...run, score: run.score + 500 }, replay), []);
+});
+
+test('a replay from a foreign seed is rejected', async () => {
+  const { run, replay } = await endlessRun;
+  assert.notDeepEqual(await problems(run, { ...replay, seed: replay.seed + 1 }), []);
+  assert.notDeepEqual(await problems({ ...run, seed: run.seed + 1 }, { ...replay, seed: replay.seed + 1 }), []);
+});
+
+test('a bad input mask is rejected', async () => {
+  const { run, replay } = await endlessRun;
+  const inputs = replay.inputs.slice();
+  inputs[1] = 99;
+  assert.notDeepEqual(await problems(run, { ...replay, inputs }), []);
+});
+
+test('an edited input is rejected', async () => {
+  const { run, replay } = await endlessRun;
+  const inputs = replay.inputs.map((value, i) => (i % 2 === 1 ? value & ~4 : value)); // Never jump
+  assert.deepEqual(await problems(run, { ...replay, inputs }), ['replay does not end where the run did.']);
+});
+
+test('inputs past the replay\'s ticks are rejected', async () => {
+  const { run, replay } = await endlessRun;
+  assert.notDeepEqual(await problems(run, { ...replay, inputs: [...replay.inputs, replay.ticks, 4] }), []);
+  assert.notDeepEqual(await problems(run, { ...replay, ticks: replay.ticks - 10 }), []);
+});
+
+test('a forged finish line is rejected', async () => {
+  const { createSimulation, createInputRecorder, buildReplay } = await gameModules;
+  // Finishes on the first step with the clean-run bonus, which would otherwise reproduce exactly.
+  const inputRecorder = createInputRecorder();
+  const sim = createSimulation({ seed: 7, laneCount: 3, finishDistance: 0.05, inputRecorder });
+  sim.step();
+  const { state } = sim;
+  assert.equal(state.isFinished, true);
+  const run = {
+    mode: 'endless',
+    laneCount: 3,
+    difficulty: state.difficulty,
+    course: null,
+    seed: 7,
+    daily: null,
+    distance: state.distanceCovered,
+    score: state.score.points,
+    duration: state.time,
+    courseTime: null,
+    faults: 0,
+    finished: true
+  };
+  const replay = buildReplay({ seed: 7, laneCount: 3, difficulty: state.difficulty, finishDistance: 0.05 }, inputRecorder);
+  assert.deepEqual(await problems(run, replay),
+    ['replay finishDistance must be null; races are not ranked on the leaderboards.']);
+});
+
+test('verification lets other work run while it replays', async () => {
+  const { run, replay } = await endlessRun;
+  let turns = 0;
+  let verifying = true;
+  (function countTurns() {
+    turns++;
+    if (verifying) {
+      setImmediate(countTurns);
+    }
+  })();
+  assert.deepEqual(await problems(run, replay), []);
+  verifying = false;
+  assert.ok(turns > 2, 'the event loop kept turning during verification');
+});
@@ -0,0 +1,114 @@
+// Scoring rules (game/scoring.mjs).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    defaultScoringRules,
+    createScoreState,
+    addDistancePoints,
+    applyScoringEvent,
+    awardCleanRunBonus
+} from '../game/scoring.mjs';
+
+const cleared = { type: 'obstacleCleared', model: 'jump1.glb', interaction: 'jump' };
+const knockedBar = { type: 'obstacleFault', model: 'jump1.glb', interaction: 'jump', fault: 'knockedBar' };
+const refusal = { type: 'obstacleRefused', model: 'table.glb', interaction: 'jump' };
+
+function clearObstacles(score, count) {
+    for (let i = 0; i < count; i++) {
+        applyScoringEvent(score, cleared, i);
+    }
+}
+
+test('clean obstacles build a combo that raises the multiplier up to its cap', () => {
+    const score = createScoreState();
+    clearObstacles(score, 2);
+    assert.equal(score.multiplier, 1);
+    assert.equal(score.points, 200);
+
+    clearObstacles(score, 1); // The third in a row is worth 1.5x
+    assert.equal(score.combo, 3);
+    assert.equal(score.multiplier, 1.5);
+    assert.equal(score.points, 350);
+
+    clearObstacles(score, 30);
+    assert.equal(score.multiplier, defaultScoringRules.combo.maxMultiplier);
+    assert.equal(score.bestCombo, 33);
+});
+
+test('every tenth clean obstacle in a row earns the streak bonus', () => {
+    const score = createScoreState();
+    clearObstacles(score, 9);
+    assert.equal(score.bonusPoints, 0);
+    clearObstacles(score, 1);
+    assert.equal(score.bonusPoints, defaultScoringRules.cleanStreakBonus.points);
+});
+
+test('a fault costs points, time and a life, and resets the combo', () => {
+    const score = createScoreState();
+    clearObstacles(score, 4);
+    const pointsBefore = score.points;
+    const lastLife = applyScoringEvent(score, knockedBar, 12.5);
+
+    assert.equal(lastLife, false);
+    assert.equal(score.points, pointsBefore - 100);
+    assert.equal(score.timePenalty, 5);
+    assert.equal(score.livesRemaining, 2);
+    assert.equal(score.combo, 0);
+    assert.equal(score.multiplier, 1);
+    assert.equal(score.bestCombo, 4);
+    assert.deepEqual(score.faults, [{ fault: 'knockedBar', label: 'Knocked bar', model: 'jump1.glb', time: 12.5 }]);
+    assert.deepEqual(score.faultCounts, { knockedBar: 1 });
+});
+
+test('a refusal costs points and time but no life', () => {
+    const score = createScoreState();
+    addDistancePoints(score, 200);
+    assert.equal(applyScoringEvent(score, refusal, 3), false);
+    assert.equal(score.points, 150);
+    assert.equal(score.refusals, 1);
+    assert.equal(score.livesRemaining, defaultScoringRules.lives);
+    assert.deepEqual(score.faultCounts, { refusal: 1 });
+});
+
+test('only the fault that takes the last life ends the run', () => {
+    const score = createScoreState();
+    assert.equal(applyScoringEvent(score, knockedBar, 1), false);
+    assert.equal(applyScoringEvent(score, { ...knockedBar, fault: 'rimContact' }, 2), false);
+    assert.equal(applyScoringEvent(score, refusal, 3), false);
+    assert.equal(applyScoringEvent(score, { ...knockedBar, fault: 'somethingNew' }, 4), true, 'unknown faults use defaultFault');
+    assert.equal(score.livesRemaining, 0);
+    assert.equal(score.points, 0, 'points never go negative');
+    assert.equal(score.penaltyPoints, 350);
+});
+
+test('a fault a shield absorbed costs nothing and keeps the combo', () => {
+    const score = createScoreState();
+    clearObstacles(score, 3);
+    const pointsBefore = score.points;
+    assert.equal(applyScoringEvent(score, { ...knockedBar, absorbed: true }, 5), false);
+    assert.equal(score.faultsAbsorbed, 1);
+    assert.equal(score.points, pointsBefore);
+    assert.equal(score.combo, 3);
+    assert.equal(score.livesRemaining, defaultScoringRules.lives);
+    assert.deepEqual(score.faults, []);
+});
+
+test('the clean run bonus needs a run without faults', () => {
+    const clean = createScoreState();
+    clearObstacles(clean, 1);
+    awardCleanRunBonus(clean);
+    assert.equal(clean.bonusPoints, defaultScoringRules.cleanRunBonus);
+
+    const faulted = createScoreState();
+    applyScoringEvent(faulted, refusal, 1);
+    awardCleanRunBonus(faulted);
+    assert.equal(faulted.bonusPoints, 0);
+});
+
+test('power-up multipliers scale distance and obstacle points', () => {
+    const score = createScoreState();
+    addDistancePoints(score, 10, defaultScoringRules, 2);
+    applyScoringEvent(score, { ...cleared, interaction: 'hoop' }, 1, defaultScoringRules, 2);
+    assert.equal(score.distancePoints, 20);
+    assert.equal(score.obstaclePoints, 300);
+});
@@ -0,0 +1,75 @@
+// Headless simulation (game/simulation.mjs), driven from Node with no renderer.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation, FIXED_TIMESTEP } from '../game/simulation.mjs';
+
+// A fixed input script: swerve and jump now and then, so the runs have something to agree on.
+function scriptedInput(tick) {
+    return {
+        left: tick % 240 === 60,
+        right: tick % 240 === 180,
+        jump: tick % 90 === 45,
+        crouch: false
+    };
+}
+
+function runFor(sim, ticks, inputFor = scriptedInput) {
+    for (let tick = 1; tick <= ticks && !sim.state.isGameOver; tick++) {
+        sim.step(FIXED_TIMESTEP, inputFor(tick));
+    }
+    return sim.state;
+}
+
+test('the same seed and inputs give the same state', () => {
+    const first = runFor(createSimulation({ seed: 42, laneCount: 3 }), 3000);
+    const second = runFor(createSimulation({ seed: 42, laneCount: 3 }), 3000);
+    assert.deepEqual(JSON.parse(JSON.stringify(second)), JSON.parse(JSON.stringify(first)));
+});
+
+test('a different seed gives a different course', () => {
+    const first = runFor(createSimulation({ seed: 42, laneCount: 3 }), 600);
+    const second = runFor(createSimulation({ seed: 43, laneCount: 3 }), 600);
+    assert.notDeepEqual(first.obstacles.map((obstacle) => [obstacle.type, obstacle.lane]),
+        second.obstacles.map((obstacle) => [obstacle.type, obstacle.lane]));
+});
+
+test('obstacles spawn ahead of the player and scroll towards it', () => {
+    const sim = createSimulation({ seed: 7, laneCount: 3, powerUps: false });
+    const spawned = [];
+    for (let tick = 1; tick <= 600; tick++) {
+        sim.step(FIXED_TIMESTEP, scriptedInput(tick));
+        spawned.push(...sim.state.events.filter((event) => event.type === 'obstacleSpawned'));
+    }
+    assert.ok(spawned.length > 0, 'no obstacleSpawned events in 10 seconds');
+    assert.ok(sim.state.obstacles.length > 0);
+    for (const obstacle of sim.state.obstacles) {
+        assert.ok(sim.state.lanePositions.includes(obstacle.x), `obstacle ${obstacle.id} is off the lanes`);
+    }
+    const [obstacle] = sim.state.obstacles;
+    const { z } = obstacle;
+    sim.step(FIXED_TIMESTEP);
+    assert.ok(obstacle.z > z, 'obstacles should move towards the player');
+});
+
+test('losing every life ends the game', () => {
+    const sim = createSimulation({ seed: 7, laneCount: 1, powerUps: false });
+    const state = runFor(sim, 60 * 60 * 10, () => ({ left: false, right: false, jump: false, crouch: false }));
+    assert.equal(state.isGameOver, true);
+    assert.equal(state.isFinished, false);
+    assert.equal(state.score.livesRemaining, 0);
+    assert.ok(state.gameOverReason, 'the obstacle that ended the run is reported');
+    assert.ok(state.gameOverFault, 'and so is its fault');
+
+    const { tick, distanceCovered } = state;
+    sim.step(FIXED_TIMESTEP);
+    assert.equal(sim.state.tick, tick, 'a finished run no longer steps');
+    assert.equal(sim.state.distanceCovered, distanceCovered);
+});
+
+test('a race ends at its finish distance', () => {
+    const sim = createSimulation({ seed: 3, laneCount: 3, finishDistance: 20, powerUps: false });
+    const state = runFor(sim, 60 * 60);
+    assert.equal(state.isGameOver, true);
+    assert.equal(state.isFinished, true);
+    assert.ok(state.distanceCovered >= 20);
+});
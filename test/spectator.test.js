@@ -0,0 +1,93 @@
+// Spectating a race room (multiplayer/gameStateHandler.js): a spectator who joins mid-race gets the
+// race's start and every racer's input log so far, and re-running those logs (as
+// client/broadcastView.js does) rebuilds the race's results.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { attachMultiplayer, MULTIPLAYER_PATH } = require('../multiplayer/gameStateHandler');
+const { runBot } = require('../multiplayer/botClient');
+
+const JOIN_DELAY_MS = 1500; // How long into the race the spectator turns up
+
+function watch(url, room) {
+  const socket = new WebSocket(url);
+  const messages = [];
+  const results = new Promise((resolve, reject) => {
+    socket.on('open', () => socket.send(JSON.stringify({ type: 'spectate', room })));
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      messages.push(message);
+      if (message.type === 'results') {
+        socket.close();
+        resolve(message.standings);
+      }
+    });
+    socket.on('error', reject);
+  });
+  return { messages, results };
+}
+
+test('a spectator joining mid-race rebuilds the results from the racers\' logs', { timeout: 60000 }, async () => {
+  const { createReplayPlayer, REPLAY_VERSION } = await import('../game/replay.mjs');
+  const { defaultDifficulty } = await import('../game/difficulty.mjs');
+  const server = http.createServer();
+  const wss = attachMultiplayer(server, { raceDistance: 100 });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `ws://localhost:${server.address().port}${MULTIPLAYER_PATH}`;
+  try {
+    let spectator = null;
+    let bots = null;
+    const joined = new Promise((resolve) => {
+      const log = (text) => {
+        if (text.startsWith('racing') && !spectator) {
+          setTimeout(() => {
+            spectator = watch(url, 'club');
+            resolve();
+          }, JOIN_DELAY_MS);
+        }
+      };
+      bots = Promise.all(['Bot 1', 'Bot 2'].map((name) => runBot({ url, room: 'club', name, log })));
+    });
+    await joined;
+    const [botResults] = await bots;
+    const standings = await spectator.results;
+    assert.deepEqual(standings, botResults.standings);
+
+    const { messages } = spectator;
+    assert.equal(messages[0].type, 'spectating');
+    const start = messages.find((message) => message.type === 'start');
+    assert.ok(start, 'a race already running is announced to the spectator');
+    const firstInputs = messages.filter((message) => message.type === 'inputs');
+    for (const standing of standings) {
+      const first = firstInputs.find((message) => message.playerId === standing.id);
+      assert.ok(first.tick > 0, 'the first inputs message carries the log so far');
+    }
+
+    // Put each racer's log back together and re-run it.
+    for (const standing of standings) {
+      const chunks = messages.filter((message) => message.type === 'inputs' && message.playerId === standing.id);
+      const replay = {
+        version: REPLAY_VERSION,
+        seed: start.seed,
+        laneCount: start.laneCount,
+        difficulty: defaultDifficulty,
+        courseFile: null,
+        finishDistance: start.raceDistance,
+        ticks: chunks[chunks.length - 1].tick,
+        inputs: chunks.flatMap((message) => message.inputs)
+      };
+      const player = createReplayPlayer(replay);
+      while (player.step()) {
+        // Run to the end of the log
+      }
+      const { state } = player.sim;
+      assert.equal(state.isFinished ? 'finished' : 'out', standing.status, standing.name);
+      assert.ok(Math.abs(state.distanceCovered - standing.distance) < 1e-6, standing.name);
+      assert.equal(state.score.points, standing.points, standing.name);
+    }
+  } finally {
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});